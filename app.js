@@ -5,336 +5,2774 @@
 // --- GLOBAL VARIABLES ---
 let allTransactions = [];
 let editingTransactionId = null;
+let editingAccountId = null;
+let auditTransactionId = null; // Transaction whose change history is open in the History tab
 let currentView = 'dashboard';
 let chartInstance = null;
+let forecastChartInstance = null;
 let currentLanguage = 'en';
 let L; // Active language object
 
 // --- DATA STORAGE MANAGEMENT ---
-class TransactionManager {
+const DEFAULT_COMPANY_ID = 'default';
+
+// Each company keeps its own copy of every store. The first company uses the original
+// storage keys, so data saved before workspaces existed needs no migration.
+class CompanyManager {
     constructor() {
-        this.storageKey = 'smartbook_transactions_v2';
-        this.transactions = this.loadTransactions();
+        this.storageKey = 'smartbook_companies_v1';
+        this.data = this.loadCompanies();
     }
     
-    loadTransactions() {
+    loadCompanies() {
         try {
             const data = localStorage.getItem(this.storageKey);
             if (data) {
-                const parsed = JSON.parse(data);
-                // Ensure all transactions have required fields
-                return parsed.map(t => ({
-                    id: t.id || this.generateId(),
-                    date: t.date || new Date().toISOString().split('T')[0],
-                    description: t.description || '',
-                    category: t.category || '',
-                    amount: parseFloat(t.amount) || 0,
-                    timestamp: t.timestamp || new Date().toISOString()
-                }));
+                return JSON.parse(data);
             }
         } catch (error) {
-            console.error('Error loading transactions:', error);
+            console.error('Error loading companies:', error);
         }
-        return [];
+        return {
+            companies: [{ id: DEFAULT_COMPANY_ID, name: 'My Company', registrationNo: '' }],
+            activeId: DEFAULT_COMPANY_ID
+        };
     }
     
-    generateId() {
-        return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+    getCompanies() {
+        return [...this.data.companies];
     }
     
-    saveTransaction(transaction) {
-        const newTransaction = {
-            id: this.generateId(),
-            date: transaction.date,
-            description: transaction.description.trim(),
-            category: transaction.category,
-            amount: parseFloat(transaction.amount),
-            timestamp: new Date().toISOString()
-        };
-        
-        this.transactions.push(newTransaction);
-        this.saveToStorage();
-        return newTransaction;
+    getActive() {
+        return this.data.companies.find(c => c.id === this.data.activeId) || this.data.companies[0];
     }
     
-    updateTransaction(id, updates) {
-        const index = this.transactions.findIndex(t => t.id === id);
-        if (index > -1) {
-            this.transactions[index] = {
-                ...this.transactions[index],
-                ...updates,
-                amount: parseFloat(updates.amount) || this.transactions[index].amount
-            };
-            this.saveToStorage();
-            return true;
+    // Storage key of a store for the active company
+    scopedKey(baseKey) {
+        const active = this.getActive();
+        return active.id === DEFAULT_COMPANY_ID ? baseKey : `${baseKey}@${active.id}`;
+    }
+    
+    validateCompany(name) {
+        if (!name || !name.trim()) {
+            throw new Error('Please enter a company name');
         }
-        return false;
     }
     
-    deleteTransaction(id) {
-        this.transactions = this.transactions.filter(t => t.id !== id);
+    addCompany(name, registrationNo) {
+        this.validateCompany(name);
+        const company = {
+            id: `company_${Date.now()}`,
+            name: name.trim(),
+            registrationNo: (registrationNo || '').trim()
+        };
+        this.data.companies.push(company);
         this.saveToStorage();
+        return company;
     }
     
-    saveToStorage() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.transactions));
-        } catch (error) {
-            console.error('Error saving to localStorage:', error);
+    updateCompany(id, name, registrationNo) {
+        this.validateCompany(name);
+        const company = this.data.companies.find(c => c.id === id);
+        if (!company) {
+            throw new Error('Company not found');
         }
+        company.name = name.trim();
+        company.registrationNo = (registrationNo || '').trim();
+        this.saveToStorage();
     }
     
-    clearAll() {
-        this.transactions = [];
-        localStorage.removeItem(this.storageKey);
+    setActive(id) {
+        if (!this.data.companies.some(c => c.id === id)) {
+            throw new Error('Company not found');
+        }
+        this.data.activeId = id;
+        this.saveToStorage();
     }
     
-    exportToFile() {
+    saveToStorage() {
         try {
-            const dataStr = JSON.stringify(this.transactions, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            const dateStr = new Date().toISOString().split('T')[0];
-            
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(dataBlob);
-            link.download = `smartbook-backup-${dateStr}.json`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            setTimeout(() => URL.revokeObjectURL(link.href), 100);
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
             return true;
         } catch (error) {
-            console.error('Export failed:', error);
+            reportStorageError(error);
             return false;
         }
     }
-    
-    importFromFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const importedData = JSON.parse(e.target.result);
-                    if (Array.isArray(importedData)) {
-                        // Validate imported data
-                        const validData = importedData.filter(item => 
-                            item.date && item.description && item.category && !isNaN(parseFloat(item.amount))
-                        );
-                        
-                        if (validData.length > 0) {
-                            // Merge with existing data (avoid duplicates by ID)
-                            const existingIds = new Set(this.transactions.map(t => t.id));
-                            const newTransactions = validData.filter(item => !existingIds.has(item.id));
-                            
-                            this.transactions.push(...newTransactions);
-                            this.saveToStorage();
-                            resolve({ success: true, count: newTransactions.length });
-                        } else {
-                            reject('No valid transactions found in file');
-                        }
-                    } else {
-                        reject('Invalid data format: Expected array of transactions');
-                    }
-                } catch (error) {
-                    reject('Failed to parse JSON file: ' + error.message);
-                }
-            };
-            reader.onerror = () => reject('Failed to read file');
-            reader.readAsText(file);
-        });
+}
+
+const companyManager = new CompanyManager();
+
+// --- ENCRYPTION AT REST ---
+// AES-GCM with a PBKDF2-derived key. Only the salt, iteration count and an encrypted
+// check value are stored; the passphrase and key never leave memory.
+const ENCRYPTION_ITERATIONS = 250000;
+const ENCRYPTED_VALUE_PREFIX = 'enc:';
+const ENCRYPTION_CHECK_TEXT = 'smartbook';
+const BACKUP_FORMAT = 'smartbook-encrypted';
+
+// Per-company stores protected by the passphrase. The company list and language stay
+// readable so the unlock screen can be shown in the right language.
+const SECURE_STORE_KEYS = [
+    'smartbook_settings_v1',
+    'smartbook_period_locks_v1',
+    'smartbook_audit_v1',
+    'smartbook_bank_statement_v1',
+    'smartbook_category_rules_v1',
+    'smartbook_recurring_v1',
+    'smartbook_budgets_v1',
+    'smartbook_accounts_v1',
+    'smartbook_transactions_v3'
+];
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
     }
+    return btoa(binary);
 }
 
-// Initialize transaction manager
-const transactionManager = new TransactionManager();
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
 
-// --- ACCOUNTING CLASSIFICATIONS ---
-const ACCOUNT_MAP = {
-    "Sales Revenue": { account: "Sales Revenue", report: "SOPL", lineItem: "Revenue", effect: 1, flow: "Operating" },
-    "Interest Received": { account: "Interest Income", report: "SOPL", lineItem: "Other Income", effect: 1, flow: "Operating" },
-    "Rent Expense": { account: "Rent Expense", report: "SOPL", lineItem: "Operating Expenses", effect: -1, flow: "Operating" },
-    "Utilities Expense": { account: "Utilities Expense", report: "SOPL", lineItem: "Operating Expenses", effect: -1, flow: "Operating" },
-    "Wages & Salaries": { account: "Wages & Salaries Expense", report: "SOPL", lineItem: "Operating Expenses", effect: -1, flow: "Operating" },
-    "Supplies & Consumables": { account: "Supplies Expense", report: "SOPL", lineItem: "Operating Expenses", effect: -1, flow: "Operating" },
-    "Other Operating Expense": { account: "Other Operating Expense", report: "SOPL", lineItem: "Operating Expenses", effect: -1, flow: "Operating" },
-    "Equipment Purchase": { account: "Equipment", report: "SOFP", lineItem: "Non-current Assets", effect: 1, flow: "Investing" },
-    "Capital Injection": { account: "Owner's Capital", report: "SOFP", lineItem: "Equity", effect: 1, flow: "Financing" },
-    "Loan Received": { account: "Loan Payable", report: "SOFP", lineItem: "Non-current Liabilities", effect: 1, flow: "Financing" },
-    "Drawings": { account: "Owner's Drawings", report: "SOFP", lineItem: "Equity (Reduction)", effect: -1, flow: "Financing" }
-};
+function deriveEncryptionKey(passphrase, salt, iterations) {
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+        .then(baseKey => crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        ));
+}
 
-// --- LANGUAGE PACKS ---
-const L_EN = {
-    // UI Texts
-    title: "SmartBook AI",
-    subtitle: "MASB Simplified Financial Reporting (Cash Basis).",
-    form_title: "Record Transaction",
-    label_date: "Date",
-    label_description: "Description",
-    label_category: "Category (Simple)",
-    label_amount: "Amount (RM)",
-    record_button: "Record Transaction",
-    update_button: "Update Transaction",
-    cancel_button: "Cancel Edit",
-    report_viewer_title: "Financial Reports",
-    label_reporting_period: "Reporting Period:",
-    tab_transactions: "History",
-    tab_sopl: "P/L (SOPL)",
-    tab_sofp: "Position (SOFP)",
-    tab_socf: "Cash Flow (SOCF)",
-    tab_dashboard: "Dashboard",
+function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    return crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text))
+        .then(data => ({ iv: toBase64(iv), data: toBase64(new Uint8Array(data)) }));
+}
+
+// Rejects when the key is wrong or the data was tampered with
+function decryptText(key, sealed) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data))
+        .then(data => new TextDecoder().decode(data));
+}
+
+// Synchronous localStorage facade. While encryption is on, reads come from the values
+// decrypted at unlock and writes are encrypted in the background.
+class SecureStorage {
+    constructor() {
+        this.metaKey = companyManager.scopedKey('smartbook_encryption_v1');
+        this.meta = this.loadMeta();
+        this.key = null;
+        this.cache = {};
+        this.pending = Promise.resolve();
+        this.unlocked = new Promise(resolve => { this.resolveUnlocked = resolve; });
+        if (!this.meta) this.resolveUnlocked();
+    }
     
-    // Table Headers
-    th_date: "Date",
-    th_description: "Description",
-    th_category: "Category",
-    th_amount: "Amount (RM)",
-    th_actions: "Actions",
+    loadMeta() {
+        try {
+            const data = localStorage.getItem(this.metaKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('Error loading encryption settings:', error);
+        }
+        return null;
+    }
     
-    // Actions
-    edit: "Edit",
-    delete: "Delete",
+    isEnabled() {
+        return !!this.meta;
+    }
     
-    // Messages
-    list_header: "Transaction History (Audit Trail)",
-    no_trans: "No transactions recorded yet. Start by adding a transaction above.",
-    no_data_msg: "No transactions recorded for this period.",
-    no_month_msg: "Please select a reporting period.",
-    status_saving: "Saving...",
-    status_updating: "Updating...",
-    status_success: "Transaction recorded successfully!",
-    status_update_success: "Transaction updated successfully!",
-    status_delete_success: "Transaction deleted successfully.",
-    status_edit_id: (id) => `Editing transaction ID: ${id}`,
+    isLocked() {
+        return this.isEnabled() && !this.key;
+    }
     
-    // Report Titles
-    sopl_title: "Statement of Profit or Loss (SOPL)",
-    sofp_title: "Statement of Financial Position (SOFP)",
-    socf_title: "Statement of Cash Flow (SOCF)",
+    getItem(key) {
+        if (!this.meta) return localStorage.getItem(key);
+        return key in this.cache ? this.cache[key] : null;
+    }
     
-    // Categories
-    cat_select: "Select a category",
-    cat_group_income: "Income & Financing Inflows",
-    cat_sales: "Sales Revenue (Service/Goods)",
-    cat_interest: "Interest Received",
-    cat_capital: "Owner/Investor Capital",
-    cat_loan: "Bank Loan / Financing",
-    cat_group_expense: "Operating Expenses",
-    cat_rent: "Rent Expense",
-    cat_utilities: "Utilities (Electric, Water)",
-    cat_wages: "Wages & Salaries",
-    cat_supplies: "Supplies & Consumables",
-    cat_other_op: "Other Operating Expense",
-    cat_group_investment: "Investment & Drawings",
-    cat_equipment: "Equipment Purchase (Asset)",
-    cat_drawings: "Owner Drawings / Withdrawal",
+    setItem(key, value) {
+        if (!this.meta) {
+            localStorage.setItem(key, value);
+            return;
+        }
+        if (!this.key) {
+            throw new Error('Data is locked');
+        }
+        this.cache[key] = value;
+        this.writeEncrypted(key, value);
+    }
     
-    // Report Sections
-    report_revenue: "REVENUE",
-    report_expenses: "EXPENSES",
-    report_total_revenue: "TOTAL REVENUE",
-    report_total_expenses: "TOTAL EXPENSES",
-    report_net_profit: "NET PROFIT / (LOSS)",
-    report_assets: "ASSETS",
-    report_liabilities_equity: "LIABILITIES & EQUITY",
-    report_current_assets: "Current Assets",
-    report_non_current_assets: "Non-Current Assets",
-    report_cash: "Cash & Bank Balance",
-    report_total_assets: "TOTAL ASSETS",
-    report_liabilities: "Liabilities",
-    report_total_liabilities: "Total Liabilities",
-    report_equity: "Equity",
-    report_opening_capital: "Opening Capital + Drawings/Injection",
-    report_retained_earnings: "Retained Earnings / Net Profit",
-    report_closing_equity: "CLOSING EQUITY",
-    report_total_l_e: "TOTAL LIABILITIES & EQUITY",
-    report_balance_check: (check, diff) => `Accounting Equation Status: ${check} (Difference: ${formatCurrency(diff)})`,
-    report_balanced: "Balanced",
-    report_unbalanced: "UNBALANCED!",
+    removeItem(key) {
+        delete this.cache[key];
+        localStorage.removeItem(key);
+    }
     
-    // Cash Flow
-    cf_operating: "CASH FLOW FROM OPERATING ACTIVITIES",
-    cf_investing: "CASH FLOW FROM INVESTING ACTIVITIES",
-    cf_financing: "CASH FLOW FROM FINANCING ACTIVITIES",
-    cf_net_op: "Net Cash from Operating Activities",
-    cf_net_inv: "Net Cash from Investing Activities",
-    cf_net_fin: "Net Cash from Financing Activities",
-    cf_net_change: "Net Increase / (Decrease) in Cash",
-    cf_ending_cash: "ENDING CASH BALANCE",
+    // Queued so an older value can never land after a newer one, or after encryption is turned off
+    writeEncrypted(key, value) {
+        const cryptoKey = this.key;
+        this.pending = this.pending
+            .then(() => encryptText(cryptoKey, value))
+            .then(sealed => {
+                if (this.key === cryptoKey) {
+                    localStorage.setItem(key, ENCRYPTED_VALUE_PREFIX + JSON.stringify(sealed));
+                }
+            })
+            .catch(error => reportStorageError(error));
+        return this.pending;
+    }
     
-    // Dashboard
-    dashboard_title: "Key Business Health Metrics (Cumulative)",
-    dashboard_trend_title: "Monthly Performance Trend",
-    dashboard_trend_subtitle: "This chart shows how your income (Revenue) compares to your spending (Expenses) over time, and the resulting profit (Net Profit).",
-    metric_profitability: "1. Profitability Score",
-    metric_profitability_desc: "The percentage of every RM1 of sales that turns into profit. Aim for high values!",
-    metric_safety: "2. Financial Safety Score",
-    metric_safety_desc_inf: "No debt recorded, indicating very high financial security.",
-    metric_safety_desc_safe: (ratio) => `Your assets can cover debts ${ratio.toFixed(1)} times. Score > 1 is safe.`,
-    metric_safety_desc_risk: "Your debts are higher than your assets. Take immediate action.",
-    metric_asset_efficiency: "3. Asset Efficiency",
-    metric_asset_efficiency_desc: "How much profit you generate for every RM1 worth of company assets (equipment, cash, etc.).",
+    scopedKeys() {
+        return SECURE_STORE_KEYS.map(key => companyManager.scopedKey(key));
+    }
     
-    // Chart Labels
-    chart_income: 'Total Income (Revenue)',
-    chart_spending: 'Total Spending (Expenses)',
-    chart_profit: 'Net Profit',
-    chart_trend_title: 'Income, Spending & Profit Trend',
-    chart_y_title: 'Amount (RM)',
+    verifyPassphrase(passphrase) {
+        return deriveEncryptionKey(passphrase, fromBase64(this.meta.salt), this.meta.iterations)
+            .then(key => decryptText(key, this.meta.check).then(() => key, () => {
+                throw new Error('Incorrect passphrase');
+            }));
+    }
     
-    // PDF
-    pdf_download: "Download PDF",
-    pdf_generating: (type) => `Generating PDF for ${type}... Please wait.`,
-    pdf_success: (name) => `'${name}' downloaded successfully.`,
-    pdf_error: (msg) => `Error generating PDF: ${msg}. Check console for details.`,
+    // Decrypts every store into memory. Stores were constructed while locked, so they
+    // re-read their data before the ledger loads and anything renders.
+    unlock(passphrase) {
+        return this.verifyPassphrase(passphrase).then(key => {
+            const reads = this.scopedKeys().map(storageKey => {
+                const raw = localStorage.getItem(storageKey);
+                if (raw === null) return null;
+                if (!raw.startsWith(ENCRYPTED_VALUE_PREFIX)) {
+                    this.cache[storageKey] = raw;
+                    return null;
+                }
+                return decryptText(key, JSON.parse(raw.substring(ENCRYPTED_VALUE_PREFIX.length)))
+                    .then(value => { this.cache[storageKey] = value; });
+            });
+            return Promise.all(reads).then(() => {
+                this.key = key;
+                reloadStores();
+                this.resolveUnlocked();
+            });
+        });
+    }
     
-    // Data Management
-    export_success: "Data exported successfully!",
-    export_error: "Failed to export data.",
-    import_success: (count) => `${count} transactions imported successfully!`,
-    import_error: (msg) => `Import failed: ${msg}`,
-    clear_confirm: "Are you sure you want to delete ALL transactions? This cannot be undone.",
-    clear_success: "All data cleared successfully.",
-    clear_cancelled: "Data clearance cancelled.",
+    // The settings record is written first: a value still in plain text when the page
+    // closes is read as-is at the next unlock and encrypted on its next save.
+    enable(passphrase) {
+        if (this.meta) {
+            return Promise.reject(new Error('Encryption is already enabled'));
+        }
+        if (!passphrase || passphrase.length < 8) {
+            return Promise.reject(new Error('The passphrase must be at least 8 characters'));
+        }
+        
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        return deriveEncryptionKey(passphrase, salt, ENCRYPTION_ITERATIONS).then(key =>
+            encryptText(key, ENCRYPTION_CHECK_TEXT).then(check => {
+                const meta = { salt: toBase64(salt), iterations: ENCRYPTION_ITERATIONS, check };
+                localStorage.setItem(this.metaKey, JSON.stringify(meta));
+                
+                this.scopedKeys().forEach(storageKey => {
+                    const value = localStorage.getItem(storageKey);
+                    if (value !== null) this.cache[storageKey] = value;
+                });
+                this.meta = meta;
+                this.key = key;
+                return Promise.all(Object.entries(this.cache).map(([storageKey, value]) => this.writeEncrypted(storageKey, value)));
+            })
+        );
+    }
     
-    // Account Names (for reports)
-    "Revenue": "Revenue",
-    "Other Income": "Other Income",
-    "Operating Expenses": "Operating Expenses",
-    "Cash & Bank Balance": "Cash & Bank Balance",
-    "Equipment": "Equipment",
-    "Owner's Capital": "Owner's Capital",
-    "Loan Payable": "Loan Payable",
-    "Owner's Drawings": "Owner's Drawings",
-    "Sales Revenue": "Sales Revenue",
-    "Interest Income": "Interest Income",
-    "Rent Expense": "Rent Expense",
-    "Utilities Expense": "Utilities Expense",
-    "Wages & Salaries Expense": "Wages & Salaries Expense",
-    "Supplies Expense": "Supplies Expense",
-    "Other Operating Expense": "Other Operating Expense"
+    disable(passphrase) {
+        return this.verifyPassphrase(passphrase).then(() => this.pending).then(() => {
+            Object.entries(this.cache).forEach(([storageKey, value]) => localStorage.setItem(storageKey, value));
+            localStorage.removeItem(this.metaKey);
+            this.meta = null;
+            this.key = null;
+            this.cache = {};
+        });
+    }
+    
+    // Transactions in IndexedDB are sealed individually; the id stays readable as the key.
+    // Date and category are sealed too, so the store's date and category indexes only
+    // cover unencrypted data rather than leaking them.
+    sealRecord(record) {
+        if (!this.meta) return Promise.resolve(record);
+        return encryptText(this.key, JSON.stringify(record)).then(sealed => ({ id: record.id, sealed }));
+    }
+    
+    openRecord(record) {
+        if (!record.sealed) return Promise.resolve(record);
+        return decryptText(this.key, record.sealed).then(text => JSON.parse(text));
+    }
+    
+    // Backups carry their own salt so they can be opened on another device with the passphrase
+    encryptBackup(text) {
+        if (!this.key) {
+            return Promise.reject(new Error('Turn on passphrase protection to export an encrypted backup'));
+        }
+        return encryptText(this.key, text).then(sealed => JSON.stringify({
+            format: BACKUP_FORMAT,
+            version: 1,
+            salt: this.meta.salt,
+            iterations: this.meta.iterations,
+            ...sealed
+        }));
+    }
+}
+
+function decryptBackup(text, passphrase) {
+    let envelope;
+    try {
+        envelope = JSON.parse(text);
+    } catch (error) {
+        return Promise.reject(new Error('This is not a SmartBook encrypted backup'));
+    }
+    if (envelope.format !== BACKUP_FORMAT) {
+        return Promise.reject(new Error('This is not a SmartBook encrypted backup'));
+    }
+    return deriveEncryptionKey(passphrase, fromBase64(envelope.salt), envelope.iterations)
+        .then(key => decryptText(key, envelope))
+        .catch(() => {
+            throw new Error('Incorrect passphrase or damaged backup');
+        });
+}
+
+const secureStorage = new SecureStorage();
+
+const DEFAULT_SETTINGS = {
+    accountingBasis: 'cash',
+    financialYearEndMonth: 12,
+    closedThrough: null,
+    dismissedDuplicates: [], // Pair keys of transactions confirmed not to be duplicates
+    showBudgetOnChart: true,
+    forecastMonths: 6,
+    ratioThresholds: {} // Ratio id -> healthy threshold chosen by the user
 };
 
-// Malay translation (similar structure - shortened for brevity)
-const L_ML = {
-    title: "SmartBook AI",
-    subtitle: "Pelaporan Kewangan Ringkas MASB (Asas Tunai).",
-    form_title: "Rekod Transaksi",
-    label_date: "Tarikh",
-    label_description: "Huraian",
-    label_category: "Kategori (Ringkas)",
-    label_amount: "Jumlah (RM)",
-    record_button: "Rekod Transaksi",
-    update_button: "Kemaskini Transaksi",
-    cancel_button: "Batal Suntingan",
-    report_viewer_title: "Laporan Kewangan",
+class SettingsManager {
+    constructor() {
+        this.storageKey = companyManager.scopedKey('smartbook_settings_v1');
+        this.settings = this.loadSettings();
+    }
+    
+    loadSettings() {
+        try {
+            const data = secureStorage.getItem(this.storageKey);
+            if (data) {
+                return { ...DEFAULT_SETTINGS, ...JSON.parse(data) };
+            }
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+        return { ...DEFAULT_SETTINGS };
+    }
+    
+    get(key) {
+        return this.settings[key];
+    }
+    
+    set(key, value) {
+        this.settings[key] = value;
+        this.saveToStorage();
+    }
+    
+    saveToStorage() {
+        try {
+            secureStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+            return true;
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
+    }
+}
+
+const settingsManager = new SettingsManager();
+
+// Locked months (YYYY-MM) reject edits, deletes and imports dated inside them.
+// Every lock and unlock is appended to a log that is never rewritten.
+class PeriodLockManager {
+    constructor() {
+        this.storageKey = companyManager.scopedKey('smartbook_period_locks_v1');
+        this.data = this.loadLocks();
+    }
+
+    loadLocks() {
+        try {
+            const data = secureStorage.getItem(this.storageKey);
+            if (data) {
+                const parsed = JSON.parse(data);
+                return {
+                    lockedMonths: Array.isArray(parsed.lockedMonths) ? parsed.lockedMonths : [],
+                    log: Array.isArray(parsed.log) ? parsed.log : []
+                };
+            }
+        } catch (error) {
+            console.error('Error loading period locks:', error);
+        }
+        return { lockedMonths: [], log: [] };
+    }
+
+    getLockedMonths() {
+        return [...this.data.lockedMonths].sort();
+    }
+
+    isLocked(date) {
+        return !!date && this.data.lockedMonths.includes(date.substring(0, 7));
+    }
+
+    // True when any locked month falls on or after `date`, i.e. a change
+    // dated here would alter balances already reported in a locked month
+    hasLockOnOrAfter(date) {
+        const month = date.substring(0, 7);
+        return this.data.lockedMonths.some(m => m >= month);
+    }
+
+    lock(month) {
+        if (!/^\d{4}-\d{2}$/.test(month)) {
+            throw new Error('Please enter the month as YYYY-MM');
+        }
+        if (this.data.lockedMonths.includes(month)) return false;
+
+        this.data.lockedMonths.push(month);
+        this.data.log.push({ action: 'lock', month, timestamp: new Date().toISOString(), reason: '' });
+        this.saveToStorage();
+        return true;
+    }
+
+    unlock(month, reason) {
+        if (!this.data.lockedMonths.includes(month)) return false;
+        if (!reason || !reason.trim()) {
+            throw new Error('A reason is required to unlock a period');
+        }
+
+        this.data.lockedMonths = this.data.lockedMonths.filter(m => m !== month);
+        this.data.log.push({ action: 'unlock', month, timestamp: new Date().toISOString(), reason: reason.trim() });
+        this.saveToStorage();
+        return true;
+    }
+
+    getLog() {
+        return [...this.data.log];
+    }
+
+    saveToStorage() {
+        try {
+            secureStorage.setItem(this.storageKey, JSON.stringify(this.data));
+            return true;
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
+    }
+}
+
+const periodLocks = new PeriodLockManager();
+
+// Append-only change log. Each entry keeps full before/after snapshots of one
+// transaction, so any earlier version can be shown or restored later.
+class AuditTrailManager {
+    constructor() {
+        this.storageKey = companyManager.scopedKey('smartbook_audit_v1');
+        this.entries = this.loadEntries();
+    }
+    
+    loadEntries() {
+        try {
+            const data = secureStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('Error loading audit trail:', error);
+        }
+        return [];
+    }
+    
+    record(action, transactionId, before, after) {
+        const entry = {
+            id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            action,
+            transactionId,
+            before: before ? JSON.parse(JSON.stringify(before)) : null,
+            after: after ? JSON.parse(JSON.stringify(after)) : null,
+            timestamp: new Date().toISOString()
+        };
+        this.entries.push(entry);
+        this.saveToStorage();
+        return entry;
+    }
+    
+    getEntry(id) {
+        return this.entries.find(e => e.id === id) || null;
+    }
+    
+    getHistory(transactionId) {
+        return this.entries.filter(e => e.transactionId === transactionId);
+    }
+    
+    getEntries() {
+        return [...this.entries];
+    }
+    
+    saveToStorage() {
+        try {
+            secureStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+            return true;
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
+    }
+}
+
+const auditTrail = new AuditTrailManager();
+
+// Imported bank statement lines. `amount` is signed from the bank's point of view
+// of the account: deposits positive, withdrawals negative. `matchedId` points at a
+// ledger entry (stored or generated) once the line has been reconciled.
+class BankStatementManager {
+    constructor() {
+        this.storageKey = companyManager.scopedKey('smartbook_bank_statement_v1');
+        this.lines = this.loadLines();
+    }
+    
+    loadLines() {
+        try {
+            const data = secureStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('Error loading bank statement:', error);
+        }
+        return [];
+    }
+    
+    getLines() {
+        return [...this.lines].sort((a, b) => a.date.localeCompare(b.date));
+    }
+    
+    getLine(id) {
+        return this.lines.find(l => l.id === id) || null;
+    }
+    
+    // Lines already imported (same FITID, or same date, amount, description and balance)
+    // are skipped so the same statement can be loaded twice safely
+    addLines(lines) {
+        const lineKey = (l) => l.fitId || `${l.date}|${l.amount}|${l.description}|${l.balance}`;
+        const existing = new Set(this.lines.map(lineKey));
+        const added = lines.filter(l => !existing.has(lineKey(l))).map(l => ({
+            id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+            date: l.date,
+            description: l.description,
+            amount: Math.round(l.amount * 100) / 100,
+            balance: l.balance === null || l.balance === undefined ? null : Math.round(l.balance * 100) / 100,
+            fitId: l.fitId || null,
+            matchedId: null
+        }));
+        
+        this.lines.push(...added);
+        this.saveToStorage();
+        return { count: added.length, duplicates: lines.length - added.length };
+    }
+    
+    setMatch(id, entryId) {
+        const line = this.getLine(id);
+        if (!line) {
+            throw new Error('Statement line not found');
+        }
+        line.matchedId = entryId;
+        this.saveToStorage();
+    }
+    
+    clearAll() {
+        this.lines = [];
+        secureStorage.removeItem(this.storageKey);
+    }
+    
+    saveToStorage() {
+        try {
+            secureStorage.setItem(this.storageKey, JSON.stringify(this.lines));
+            return true;
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
+    }
+}
+
+const bankStatement = new BankStatementManager();
+
+// User-defined "description contains keyword -> account" rules for auto-categorisation
+class CategoryRuleManager {
+    constructor() {
+        this.storageKey = companyManager.scopedKey('smartbook_category_rules_v1');
+        this.rules = this.loadRules();
+    }
+    
+    loadRules() {
+        try {
+            const data = secureStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('Error loading categorisation rules:', error);
+        }
+        return [];
+    }
+    
+    getRules() {
+        return [...this.rules];
+    }
+    
+    addRule(keyword, category) {
+        const trimmed = String(keyword || '').trim();
+        if (!trimmed) {
+            throw new Error('Please enter a keyword');
+        }
+        if (!chartOfAccounts.getAccount(category)) {
+            throw new Error('Please choose an account');
+        }
+        if (this.rules.some(r => r.keyword.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A rule for "${trimmed}" already exists`);
+        }
+        
+        const rule = { id: Date.now().toString() + Math.random().toString(36).substr(2, 9), keyword: trimmed, category };
+        this.rules.push(rule);
+        this.saveToStorage();
+        return rule;
+    }
+    
+    deleteRule(id) {
+        this.rules = this.rules.filter(r => r.id !== id);
+        this.saveToStorage();
+    }
+    
+    // Case-insensitive "contains". The longest keyword wins, so "TNB REFUND" beats "TNB".
+    findMatch(description) {
+        const text = String(description || '').toLowerCase();
+        return this.rules
+            .filter(r => text.includes(r.keyword.toLowerCase()) && chartOfAccounts.getAccount(r.category))
+            .sort((a, b) => b.keyword.length - a.keyword.length)[0] || null;
+    }
+    
+    saveToStorage() {
+        try {
+            secureStorage.setItem(this.storageKey, JSON.stringify(this.rules));
+            return true;
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
+    }
+}
+
+const categoryRules = new CategoryRuleManager();
+
+// Recurring templates. Occurrence n falls n periods after the start date; `nextIndex`
+// is the first occurrence not yet posted or skipped, so nothing is generated twice.
+const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+class RecurringManager {
+    constructor() {
+        this.storageKey = companyManager.scopedKey('smartbook_recurring_v1');
+        this.templates = this.loadTemplates();
+    }
+    
+    loadTemplates() {
+        try {
+            const data = secureStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('Error loading recurring transactions:', error);
+        }
+        return [];
+    }
+    
+    getTemplates() {
+        return [...this.templates];
+    }
+    
+    getTemplate(id) {
+        return this.templates.find(t => t.id === id) || null;
+    }
+    
+    addTemplate(data) {
+        const amount = parseFloat(data.amount);
+        if (!data.description || !data.description.trim()) {
+            throw new Error('Please enter a description');
+        }
+        if (!chartOfAccounts.getAccount(data.category)) {
+            throw new Error('Please choose an account');
+        }
+        if (isFixedAssetCategory(data.category) || isLoanCategory(data.category)) {
+            throw new Error('Fixed assets and loans must be entered through the form');
+        }
+        if (isNaN(amount) || amount <= 0) {
+            throw new Error('Please enter a valid amount');
+        }
+        if (!RECURRING_FREQUENCIES.includes(data.frequency)) {
+            throw new Error('Please choose a frequency');
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(data.startDate)) {
+            throw new Error('Please enter a start date');
+        }
+        if (data.endDate && data.endDate < data.startDate) {
+            throw new Error('End date cannot be before the start date');
+        }
+        
+        const template = {
+            id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+            description: data.description.trim(),
+            category: data.category,
+            amount: Math.round(amount * 100) / 100,
+            entryType: data.entryType === 'credit' ? 'credit' : 'cash',
+            frequency: data.frequency,
+            startDate: data.startDate,
+            endDate: data.endDate || null,
+            autoPost: !!data.autoPost,
+            paused: false,
+            nextIndex: 0,
+            skipped: []
+        };
+        this.templates.push(template);
+        this.saveToStorage();
+        return template;
+    }
+    
+    getOccurrenceDate(template, index) {
+        if (template.frequency === 'weekly') {
+            const date = new Date(`${template.startDate}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() + index * 7);
+            return date.toISOString().split('T')[0];
+        }
+        return addMonthsToDate(template.startDate, index * (template.frequency === 'yearly' ? 12 : 1));
+    }
+    
+    getNextDate(template) {
+        const date = this.getOccurrenceDate(template, template.nextIndex);
+        return template.endDate && date > template.endDate ? null : date;
+    }
+    
+    // Occurrences dated on or before `today` that have been neither posted nor skipped
+    getDueOccurrences(today) {
+        const due = [];
+        this.templates.filter(t => !t.paused).forEach(template => {
+            for (let index = template.nextIndex; ; index++) {
+                const date = this.getOccurrenceDate(template, index);
+                if (date > today || (template.endDate && date > template.endDate)) break;
+                due.push({ template, index, date });
+            }
+        });
+        return due.sort((a, b) => a.date.localeCompare(b.date));
+    }
+    
+    // Posts the template's next occurrence as a normal transaction
+    postNext(id) {
+        const template = this.getTemplate(id);
+        if (!template) {
+            throw new Error('Recurring transaction not found');
+        }
+        const date = this.getNextDate(template);
+        if (!date) {
+            throw new Error('This recurring transaction has ended');
+        }
+        
+        const transaction = transactionManager.saveTransaction({
+            date,
+            description: template.description,
+            category: template.category,
+            amount: template.amount,
+            entryType: template.entryType,
+            recurringId: template.id
+        });
+        template.nextIndex++;
+        this.saveToStorage();
+        return transaction;
+    }
+    
+    skipNext(id) {
+        const template = this.getTemplate(id);
+        const date = template ? this.getNextDate(template) : null;
+        if (!date) return false;
+        
+        template.skipped.push(date);
+        template.nextIndex++;
+        this.saveToStorage();
+        return true;
+    }
+    
+    setPaused(id, paused) {
+        const template = this.getTemplate(id);
+        if (!template) return;
+        template.paused = paused;
+        this.saveToStorage();
+    }
+    
+    deleteTemplate(id) {
+        this.templates = this.templates.filter(t => t.id !== id);
+        this.saveToStorage();
+    }
+    
+    saveToStorage() {
+        try {
+            secureStorage.setItem(this.storageKey, JSON.stringify(this.templates));
+            return true;
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
+    }
+}
+
+const recurringManager = new RecurringManager();
+
+// Monthly budgets per profit and loss account: { 'YYYY-MM': { ledgerAccount: amount } }.
+// Amounts are entered as they read, so both expected income and expected spending are positive.
+class BudgetManager {
+    constructor() {
+        this.storageKey = companyManager.scopedKey('smartbook_budgets_v1');
+        this.budgets = this.loadBudgets();
+    }
+    
+    loadBudgets() {
+        try {
+            const data = secureStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('Error loading budgets:', error);
+        }
+        return {};
+    }
+    
+    getAmount(month, account) {
+        return (this.budgets[month] && this.budgets[month][account]) || 0;
+    }
+    
+    getMonth(month) {
+        return { ...(this.budgets[month] || {}) };
+    }
+    
+    hasBudgets() {
+        return Object.keys(this.budgets).length > 0;
+    }
+    
+    setAmount(month, account, amount) {
+        if (!/^\d{4}-\d{2}$/.test(month)) {
+            throw new Error('Please enter the month as YYYY-MM');
+        }
+        const map = findAccount(account);
+        if (!map || map.report !== 'SOPL') {
+            throw new Error('Budgets can only be set for income and expense accounts');
+        }
+        const value = amount === '' || amount === null || amount === undefined ? 0 : parseFloat(amount);
+        if (isNaN(value) || value < 0) {
+            throw new Error('Please enter a budget of zero or more');
+        }
+        
+        const budget = this.budgets[month] || {};
+        if (value === 0) {
+            delete budget[account];
+        } else {
+            budget[account] = Math.round(value * 100) / 100;
+        }
+        this.storeMonth(month, budget);
+        this.saveToStorage();
+    }
+    
+    // Replaces whole months at once, e.g. a year copied from last year's actuals
+    replaceMonths(months, budgets) {
+        months.forEach(month => this.storeMonth(month, { ...(budgets[month] || {}) }));
+        this.saveToStorage();
+    }
+    
+    storeMonth(month, budget) {
+        if (Object.keys(budget).length > 0) {
+            this.budgets[month] = budget;
+        } else {
+            delete this.budgets[month];
+        }
+    }
+    
+    saveToStorage() {
+        try {
+            secureStorage.setItem(this.storageKey, JSON.stringify(this.budgets));
+            return true;
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
+    }
+}
+
+const budgetManager = new BudgetManager();
+
+// IndexedDB schema, one entry per database version. `upgrade` runs when an older
+// database is opened, so a browser several versions behind replays every step in order.
+const TRANSACTION_DB_VERSION = 1;
+const TRANSACTION_DB_MIGRATIONS = [
+    {
+        version: 1,
+        upgrade(db) {
+            const store = db.createObjectStore('transactions', { keyPath: 'id' });
+            store.createIndex('date', 'date');
+            store.createIndex('category', 'category');
+        }
+    }
+];
+
+// Promise wrapper around the transactions object store. Writes touch only the records
+// that changed instead of re-serialising the whole ledger.
+class TransactionStore {
+    constructor(name) {
+        this.name = name;
+        this.db = null;
+        this.pending = Promise.resolve();
+    }
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, TRANSACTION_DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                TRANSACTION_DB_MIGRATIONS
+                    .filter(m => m.version > event.oldVersion)
+                    .forEach(m => m.upgrade(request.result, request.transaction));
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The database is open in another tab with an older version'));
+        });
+    }
+    
+    getAll() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('transactions', 'readonly').objectStore('transactions').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(records => Promise.all(records.map(record => secureStorage.openRecord(record))));
+    }
+    
+    // Puts and deletes in one IndexedDB transaction, so a failed write leaves nothing half-applied.
+    // Writes are queued because sealing is asynchronous and must not reorder them.
+    write(records = [], deletedIds = [], clearFirst = false) {
+        const run = () => Promise.all(records.map(record => secureStorage.sealRecord(record)))
+            .then(sealed => new Promise((resolve, reject) => {
+                const tx = this.db.transaction('transactions', 'readwrite');
+                const store = tx.objectStore('transactions');
+                if (clearFirst) store.clear();
+                sealed.forEach(record => store.put(record));
+                deletedIds.forEach(id => store.delete(id));
+                tx.oncomplete = () => resolve(true);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('Write aborted'));
+            }));
+        this.pending = this.pending.then(run, run);
+        return this.pending;
+    }
+}
+
+class TransactionManager {
+    constructor() {
+        this.storageKey = companyManager.scopedKey('smartbook_transactions_v3');
+        this.legacyStorageKey = companyManager.scopedKey('smartbook_transactions_v2');
+        this.transactions = [];
+        this.store = typeof indexedDB !== 'undefined' ? new TransactionStore(companyManager.scopedKey('smartbook')) : null;
+        this.storeMarkerKey = companyManager.scopedKey('smartbook_transactions_idb');
+        
+        // Without IndexedDB the ledger stays in localStorage as before. Encrypted data
+        // can only be read once the passphrase has been entered.
+        this.ready = secureStorage.unlocked.then(() => {
+            if (this.store) return this.loadFromStore();
+            this.transactions = this.loadTransactions();
+        });
+    }
+    
+    // Opens IndexedDB and, on first run, moves the localStorage ledger (v3, or v2
+    // single-amount records) into it. localStorage is only cleared once the copy is committed.
+    loadFromStore() {
+        return this.store.open()
+            .then(() => this.store.getAll())
+            .then(records => {
+                if (records.length > 0) {
+                    this.transactions = records.map(t => this.normalizeTransaction(t));
+                    return;
+                }
+                const legacy = this.readLegacyTransactions();
+                if (legacy.length === 0) return;
+                
+                return this.store.write(legacy).then(() => {
+                    this.transactions = legacy;
+                    secureStorage.removeItem(this.storageKey);
+                    localStorage.removeItem(this.legacyStorageKey);
+                });
+            })
+            .then(() => localStorage.setItem(this.storeMarkerKey, '1'))
+            .catch(error => {
+                // Once the ledger lives in IndexedDB, localStorage no longer holds it: falling back
+                // would show an empty ledger and the next save would store that. Stop instead.
+                if (localStorage.getItem(this.storeMarkerKey)) throw error;
+                
+                // Before the first move the ledger is still in localStorage, so keep working from it
+                reportStorageError(error);
+                this.store = null;
+                this.transactions = this.loadTransactions();
+            });
+    }
+    
+    readLegacyTransactions() {
+        try {
+            const data = secureStorage.getItem(this.storageKey) || localStorage.getItem(this.legacyStorageKey);
+            if (data) {
+                return JSON.parse(data).map(t => this.normalizeTransaction(t));
+            }
+        } catch (error) {
+            console.error('Error reading legacy transactions:', error);
+        }
+        return [];
+    }
+    
+    loadTransactions() {
+        try {
+            const data = secureStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data).map(t => this.normalizeTransaction(t));
+            }
+            
+            // Migrate v2 single-amount records into journal entries
+            const legacyData = localStorage.getItem(this.legacyStorageKey);
+            if (legacyData) {
+                this.transactions = JSON.parse(legacyData).map(t => this.normalizeTransaction(t));
+                if (this.saveToStorage()) {
+                    localStorage.removeItem(this.legacyStorageKey);
+                }
+                return this.transactions;
+            }
+        } catch (error) {
+            console.error('Error loading transactions:', error);
+        }
+        return [];
+    }
+    
+    // Persists only what changed (or, with `clearFirst`, replaces the whole store) and resolves
+    // to whether it was saved. Failures are shown to the user, never just logged, and the ledger
+    // in memory is reloaded from disk so the screen never shows a change that is not saved.
+    persist(changed = [], deletedIds = [], clearFirst = false) {
+        if (!this.store) {
+            const saved = this.saveToStorage();
+            if (!saved) this.transactions = this.loadTransactions();
+            return Promise.resolve(saved);
+        }
+        
+        return this.store.write(changed, deletedIds, clearFirst).catch(error => {
+            reportStorageError(error);
+            return this.rollbackToStore().then(() => false);
+        });
+    }
+    
+    // Waits for queued writes so the reload sees everything that did commit
+    rollbackToStore() {
+        return this.store.pending
+            .catch(() => {})
+            .then(() => this.store.getAll())
+            .then(records => {
+                this.transactions = records.map(t => this.normalizeTransaction(t));
+                renderTransactionList();
+                updateReportsView();
+            })
+            .catch(error => console.error('Error reloading transactions:', error));
+    }
+    
+    normalizeTransaction(t) {
+        // Ensure all transactions have required fields and balanced journal lines
+        const transaction = {
+            id: t.id || this.generateId(),
+            date: t.date || new Date().toISOString().split('T')[0],
+            description: t.description || '',
+            category: t.category || '',
+            amount: parseFloat(t.amount) || 0,
+            entryType: t.entryType || 'cash',
+            timestamp: t.timestamp || new Date().toISOString()
+        };
+        if (t.linkedId) transaction.linkedId = t.linkedId;
+        if (t.asset) transaction.asset = t.asset;
+        if (t.loan) transaction.loan = t.loan;
+        if (t.recurringId) transaction.recurringId = t.recurringId;
+        transaction.lines = Array.isArray(t.lines) && isBalancedEntry(t.lines)
+            ? t.lines
+            : buildJournalLines(transaction.category, transaction.amount, transaction.entryType);
+        return transaction;
+    }
+    
+    generateId() {
+        return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+    }
+    
+    // Builds and validates a new entry without recording it
+    buildTransaction(transaction) {
+        const newTransaction = {
+            id: this.generateId(),
+            date: transaction.date,
+            description: transaction.description.trim(),
+            category: transaction.category,
+            amount: parseFloat(transaction.amount),
+            entryType: transaction.entryType || 'cash',
+            timestamp: new Date().toISOString()
+        };
+        if (transaction.linkedId) newTransaction.linkedId = transaction.linkedId;
+        if (transaction.asset) newTransaction.asset = transaction.asset;
+        if (transaction.loan) newTransaction.loan = transaction.loan;
+        if (transaction.recurringId) newTransaction.recurringId = transaction.recurringId;
+        this.assertPeriodOpen(newTransaction.date, !!newTransaction.asset || !!newTransaction.loan);
+        newTransaction.lines = transaction.lines || buildJournalLines(newTransaction.category, newTransaction.amount, newTransaction.entryType);
+        
+        if (newTransaction.lines.length === 0) {
+            throw new Error('This category cannot be recorded with the selected payment status');
+        }
+        if (!isBalancedEntry(newTransaction.lines)) {
+            throw new Error('Journal entry does not balance');
+        }
+        return newTransaction;
+    }
+    
+    saveTransaction(transaction) {
+        const newTransaction = this.buildTransaction(transaction);
+        this.transactions.push(newTransaction);
+        this.persist([newTransaction]);
+        auditTrail.record('create', newTransaction.id, null, newTransaction);
+        return newTransaction;
+    }
+    
+    updateTransaction(id, updates) {
+        const index = this.transactions.findIndex(t => t.id === id);
+        if (index > -1) {
+            const current = this.transactions[index];
+            this.assertPeriodOpen(current.date, !!current.asset || !!current.loan);
+            const updated = {
+                ...this.transactions[index],
+                ...updates,
+                amount: parseFloat(updates.amount) || this.transactions[index].amount
+            };
+            this.assertPeriodOpen(updated.date, !!updated.asset || !!updated.loan);
+            
+            // A settled credit entry must stay on credit, otherwise its settlement double-counts cash.
+            // Likewise a prepayment must stay a prepayment while its recognition exists.
+            if (updated.entryType !== this.transactions[index].entryType && this.getLinkedEntry(id, 'settlement')) {
+                throw new Error('Delete the settlement before changing the payment status');
+            }
+            if (updated.entryType !== this.transactions[index].entryType && this.getLinkedEntry(id, 'recognition')) {
+                throw new Error('Delete the prepayment and record it again to change its payment status');
+            }
+            
+            updated.lines = updates.lines || buildJournalLines(updated.category, updated.amount, updated.entryType);
+            
+            if (updated.lines.length === 0) {
+                throw new Error('This category cannot be recorded with the selected payment status');
+            }
+            if (!isBalancedEntry(updated.lines)) {
+                throw new Error('Journal entry does not balance');
+            }
+            
+            const linked = this.rebuildLinkedEntries(updated);
+            this.transactions[index] = updated;
+            linked.forEach(({ index: linkedIndex, after }) => { this.transactions[linkedIndex] = after; });
+            this.persist([updated, ...linked.map(l => l.after)]);
+            auditTrail.record('update', id, current, updated);
+            linked.forEach(({ before, after }) => auditTrail.record('update', after.id, before, after));
+            return true;
+        }
+        return false;
+    }
+    
+    // Settlements and recognitions repeat the description, category and amount of the entry
+    // they belong to. Returns the ones that change with `updated`, validated but not yet stored.
+    rebuildLinkedEntries(updated) {
+        const changes = [];
+        this.transactions.forEach((entry, index) => {
+            if (entry.linkedId !== updated.id || !['settlement', 'recognition'].includes(entry.entryType)) return;
+            
+            const after = {
+                ...entry,
+                description: updated.description,
+                category: updated.category,
+                amount: updated.amount,
+                lines: buildJournalLines(updated.category, updated.amount, entry.entryType)
+            };
+            if (entry.date < updated.date) {
+                throw new Error(entry.entryType === 'settlement'
+                    ? 'Settlement date cannot be before the invoice date'
+                    : 'Recognition date cannot be before the payment date');
+            }
+            if (JSON.stringify(after) === JSON.stringify(entry)) return;
+            
+            this.assertPeriodOpen(entry.date);
+            if (after.lines.length === 0) {
+                throw new Error('This category cannot be recorded with the selected payment status');
+            }
+            changes.push({ index, before: entry, after });
+        });
+        return changes;
+    }
+    
+    deleteTransaction(id) {
+        const transaction = this.transactions.find(t => t.id === id);
+        if (transaction) {
+            this.assertPeriodOpen(transaction.date, !!transaction.asset || !!transaction.loan);
+            this.transactions
+                .filter(t => t.linkedId === id)
+                .forEach(t => this.assertPeriodOpen(t.date));
+        }
+        
+        // Settlements and recognitions cannot exist without the entry they belong to
+        const removed = this.transactions.filter(t => t.id === id || t.linkedId === id);
+        this.transactions = this.transactions.filter(t => t.id !== id && t.linkedId !== id);
+        this.persist([], removed.map(t => t.id));
+        removed.forEach(t => auditTrail.record('delete', t.id, t, null));
+    }
+    
+    // Entries dated on or before the last closed year end, or inside a locked month,
+    // cannot change. Assets and loans post entries in every later month, so changing
+    // them is also blocked while any later month is locked.
+    assertPeriodOpen(date, affectsLaterMonths = false) {
+        const closedThrough = settingsManager.get('closedThrough');
+        if (closedThrough && date <= closedThrough) {
+            throw new Error(`The period up to ${closedThrough} is closed`);
+        }
+        if (periodLocks.isLocked(date)) {
+            throw new Error(`${date.substring(0, 7)} is locked. Record an adjusting entry in an open period instead`);
+        }
+        if (affectsLaterMonths && periodLocks.hasLockOnOrAfter(date)) {
+            throw new Error('This entry posts into a locked period. Unlock it first or record an adjusting entry');
+        }
+    }
+    
+    isPeriodOpen(date) {
+        const closedThrough = settingsManager.get('closedThrough');
+        return !(closedThrough && date <= closedThrough) && !periodLocks.isLocked(date);
+    }
+    
+    getOpeningEntry() {
+        return this.transactions.find(t => t.entryType === 'opening') || null;
+    }
+    
+    // Replaces the single opening balance entry. `balances` maps account name to a
+    // positive amount on the account's normal side; the difference goes to retained earnings.
+    saveOpeningBalances(date, balances) {
+        const lines = [];
+        for (const [account, amount] of Object.entries(balances)) {
+            const value = Math.round((parseFloat(amount) || 0) * 100) / 100;
+            if (value === 0) continue;
+            
+            const map = findAccount(account);
+            if (!map || map.report !== 'SOFP') {
+                throw new Error(`${account} is not a balance sheet account`);
+            }
+            const normalDebit = isAssetAccount(map) ? map.effect === 1 : map.effect === -1;
+            lines.push({ account, debit: normalDebit ? value : 0, credit: normalDebit ? 0 : value });
+        }
+        
+        const difference = Math.round(lines.reduce((sum, line) => sum + line.debit - line.credit, 0) * 100) / 100;
+        if (difference !== 0) {
+            lines.push({
+                account: RETAINED_EARNINGS_ACCOUNT,
+                debit: difference < 0 ? -difference : 0,
+                credit: difference > 0 ? difference : 0
+            });
+        }
+        
+        const existing = this.getOpeningEntry();
+        if (lines.length === 0) {
+            if (existing) this.deleteTransaction(existing.id);
+            return null;
+        }
+        
+        // Validate the new entry before touching the old one, then swap them in one write
+        if (existing) this.assertPeriodOpen(existing.date);
+        const entry = this.buildTransaction({
+            date,
+            description: 'Opening balances',
+            category: '',
+            amount: lines.reduce((sum, line) => sum + line.debit, 0),
+            entryType: 'opening',
+            lines
+        });
+        
+        this.transactions = this.transactions.filter(t => t !== existing);
+        this.transactions.push(entry);
+        this.persist([entry], existing ? [existing.id] : []);
+        if (existing) auditTrail.record('delete', existing.id, existing, null);
+        auditTrail.record('create', entry.id, null, entry);
+        return entry;
+    }
+    
+    // Zeroes every SOPL account into retained earnings as at the year end and locks the year
+    closeFinancialYear(yearEndDate) {
+        const entries = getLedgerEntries(this.transactions, yearEndDate).filter(t => t.date <= yearEndDate);
+        const balances = calculateLedgerBalances(entries);
+        
+        const lines = [];
+        for (const [account, balance] of Object.entries(balances)) {
+            const map = findAccount(account);
+            const value = Math.round(balance * 100) / 100;
+            if (!map || map.report !== 'SOPL' || value === 0) continue;
+            lines.push({ account, debit: value < 0 ? -value : 0, credit: value > 0 ? value : 0 });
+        }
+        
+        const netProfit = Math.round(lines.reduce((sum, line) => sum + line.debit - line.credit, 0) * 100) / 100;
+        if (netProfit !== 0) {
+            lines.push({
+                account: RETAINED_EARNINGS_ACCOUNT,
+                debit: netProfit < 0 ? -netProfit : 0,
+                credit: netProfit > 0 ? netProfit : 0
+            });
+        }
+        
+        if (lines.length > 0) {
+            this.saveTransaction({
+                date: yearEndDate,
+                description: `Year-end closing ${yearEndDate}`,
+                category: '',
+                amount: Math.abs(netProfit),
+                entryType: 'closing',
+                lines
+            });
+        }
+        
+        settingsManager.set('closedThrough', yearEndDate);
+        return netProfit;
+    }
+    
+    getLinkedEntry(id, entryType) {
+        return this.transactions.find(t => t.linkedId === id && t.entryType === entryType) || null;
+    }
+    
+    settleTransaction(id, date) {
+        const original = this.transactions.find(t => t.id === id);
+        if (!original || original.entryType !== 'credit') {
+            throw new Error('Only unpaid entries can be settled');
+        }
+        if (this.getLinkedEntry(id, 'settlement')) {
+            throw new Error('This entry has already been settled');
+        }
+        if (date < original.date) {
+            throw new Error('Settlement date cannot be before the invoice date');
+        }
+        
+        return this.saveTransaction({
+            date,
+            description: original.description,
+            category: original.category,
+            amount: original.amount,
+            entryType: 'settlement',
+            linkedId: id
+        });
+    }
+    
+    disposeAsset(id, date, proceeds) {
+        const transaction = this.transactions.find(t => t.id === id);
+        if (!transaction || !transaction.asset) {
+            throw new Error('Asset not found in the fixed asset register');
+        }
+        if (date < transaction.date) {
+            throw new Error('Disposal date cannot be before the purchase date');
+        }
+        if (isNaN(proceeds) || proceeds < 0) {
+            throw new Error('Please enter valid disposal proceeds');
+        }
+        
+        this.assertPeriodOpen(date, true);
+        const before = JSON.parse(JSON.stringify(transaction));
+        transaction.asset = { ...transaction.asset, disposal: { date, proceeds } };
+        this.persist([transaction]);
+        auditTrail.record('update', id, before, transaction);
+        return transaction;
+    }
+    
+    savePrepayment(transaction, recognitionDate) {
+        if (recognitionDate < transaction.date) {
+            throw new Error('Recognition date cannot be before the payment date');
+        }
+        this.assertPeriodOpen(recognitionDate);
+        
+        const prepayment = this.saveTransaction({ ...transaction, entryType: 'prepayment' });
+        this.saveTransaction({
+            ...transaction,
+            date: recognitionDate,
+            entryType: 'recognition',
+            linkedId: prepayment.id
+        });
+        return prepayment;
+    }
+    
+    // Puts back the transaction as it stood after the given audit entry (or before
+    // it, for deletes and clears). The restore itself is logged as a new entry.
+    restoreVersion(auditId) {
+        const entry = auditTrail.getEntry(auditId);
+        if (!entry) {
+            throw new Error('Audit entry not found');
+        }
+        const version = JSON.parse(JSON.stringify(entry.after || entry.before));
+        const index = this.transactions.findIndex(t => t.id === version.id);
+        const current = index > -1 ? this.transactions[index] : null;
+        
+        if (current) {
+            this.assertPeriodOpen(current.date, !!current.asset || !!current.loan);
+            if (version.entryType !== current.entryType && this.getLinkedEntry(current.id, 'settlement')) {
+                throw new Error('Delete the settlement before changing the payment status');
+            }
+        }
+        this.assertPeriodOpen(version.date, !!version.asset || !!version.loan);
+        if (version.linkedId && !this.transactions.some(t => t.id === version.linkedId)) {
+            throw new Error('Restore the entry this one belongs to first');
+        }
+        if (!isBalancedEntry(version.lines)) {
+            throw new Error('Journal entry does not balance');
+        }
+        
+        if (current) {
+            this.transactions[index] = version;
+        } else {
+            this.transactions.push(version);
+        }
+        this.persist([version]);
+        auditTrail.record('restore', version.id, current, version);
+        return version;
+    }
+    
+    saveToStorage() {
+        try {
+            secureStorage.setItem(this.storageKey, JSON.stringify(this.transactions));
+            return true;
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
+    }
+    
+    // Resolves to whether the clear was saved. The audit trail survives a clear, so every
+    // cleared entry can still be restored; it is only logged once the clear is on disk.
+    clearAll() {
+        const cleared = this.transactions;
+        this.transactions = [];
+        localStorage.removeItem(this.legacyStorageKey);
+        return this.persist([], [], true).then(saved => {
+            if (saved) cleared.forEach(t => auditTrail.record('clear', t.id, t, null));
+            return saved;
+        });
+    }
+    
+    exportToFile() {
+        return createBackup().then(text => downloadBackup(text, 'json'));
+    }
+    
+    // Same backup as exportToFile, sealed with the data passphrase
+    exportEncryptedToFile() {
+        return createBackup()
+            .then(text => secureStorage.encryptBackup(text))
+            .then(text => downloadBackup(text, 'smartbook'));
+    }
+    
+    // Shared by the JSON backup import and the spreadsheet wizard. Rows dated in closed
+    // or locked periods are left out rather than silently changing reported figures.
+    importTransactions(items) {
+        const candidates = items.map(item => this.normalizeTransaction(item));
+        const newTransactions = candidates.filter(t => this.isPeriodOpen(t.date));
+        
+        this.transactions.push(...newTransactions);
+        const written = this.persist(newTransactions);
+        newTransactions.forEach(t => auditTrail.record('import', t.id, null, t));
+        return { count: newTransactions.length, skipped: candidates.length - newTransactions.length, written };
+    }
+    
+    // Full restore from a backup, resolving to whether it was saved. Period locks are restored
+    // with the data, so they do not filter it; every removed and restored entry is recorded in
+    // the audit trail once the new ledger is on disk.
+    replaceAll(items) {
+        const restored = items.map(item => this.normalizeTransaction(item));
+        const previous = this.transactions;
+        this.transactions = restored;
+        
+        return this.persist(restored, [], true).then(saved => {
+            if (saved) {
+                previous.forEach(t => auditTrail.record('clear', t.id, t, null));
+                restored.forEach(t => auditTrail.record('import', t.id, null, t));
+            }
+            return saved;
+        });
+    }
+}
+
+function downloadBackup(text, extension) {
+    const dataBlob = new Blob([text], { type: 'application/json' });
+    const dateStr = new Date().toISOString().split('T')[0];
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    const companySlug = companyManager.getActive().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'company';
+    link.download = `smartbook-${companySlug}-backup-${dateStr}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    setTimeout(() => URL.revokeObjectURL(link.href), 100);
+}
+
+// --- ACCOUNTING CLASSIFICATIONS ---
+// Built-in chart of accounts. `id` is the category key stored on transactions,
+// `labelKey` points at the language-pack label used until the account is renamed.
+const DEFAULT_ACCOUNTS = [
+    { id: "Sales Revenue", labelKey: "cat_sales", account: "Sales Revenue", report: "SOPL", lineItem: "Revenue", effect: 1, flow: "Operating" },
+    { id: "Interest Received", labelKey: "cat_interest", account: "Interest Income", report: "SOPL", lineItem: "Other Income", effect: 1, flow: "Operating" },
+    { id: "Capital Injection", labelKey: "cat_capital", account: "Owner's Capital", report: "SOFP", lineItem: "Equity", effect: 1, flow: "Financing" },
+    { id: "Loan Received", labelKey: "cat_loan", account: "Loan Payable", report: "SOFP", lineItem: "Non-current Liabilities", effect: 1, flow: "Financing" },
+    { id: "Rent Expense", labelKey: "cat_rent", account: "Rent Expense", report: "SOPL", lineItem: "Operating Expenses", effect: -1, flow: "Operating" },
+    { id: "Utilities Expense", labelKey: "cat_utilities", account: "Utilities Expense", report: "SOPL", lineItem: "Operating Expenses", effect: -1, flow: "Operating" },
+    { id: "Wages & Salaries", labelKey: "cat_wages", account: "Wages & Salaries Expense", report: "SOPL", lineItem: "Operating Expenses", effect: -1, flow: "Operating" },
+    { id: "Supplies & Consumables", labelKey: "cat_supplies", account: "Supplies Expense", report: "SOPL", lineItem: "Operating Expenses", effect: -1, flow: "Operating" },
+    { id: "Other Operating Expense", labelKey: "cat_other_op", account: "Other Operating Expense", report: "SOPL", lineItem: "Operating Expenses", effect: -1, flow: "Operating" },
+    { id: "Equipment Purchase", labelKey: "cat_equipment", account: "Equipment", report: "SOFP", lineItem: "Non-current Assets", effect: 1, flow: "Investing" },
+    { id: "Drawings", labelKey: "cat_drawings", account: "Owner's Drawings", report: "SOFP", lineItem: "Equity (Reduction)", effect: -1, flow: "Financing" }
+];
+
+const LINE_ITEMS = {
+    SOPL: ["Revenue", "Other Income", "Cost of Sales", "Operating Expenses"],
+    SOFP: ["Current Assets", "Non-current Assets", "Current Liabilities", "Non-current Liabilities", "Equity", "Equity (Reduction)"]
+};
+
+const CASH_FLOW_CLASSES = ["Operating", "Investing", "Financing"];
+
+class ChartOfAccountsManager {
+    constructor() {
+        this.storageKey = companyManager.scopedKey('smartbook_accounts_v1');
+        this.accounts = this.loadAccounts();
+    }
+    
+    loadAccounts() {
+        try {
+            const data = secureStorage.getItem(this.storageKey);
+            if (data) {
+                const parsed = JSON.parse(data);
+                // Built-in accounts removed from storage are restored so old transactions still resolve
+                const missing = DEFAULT_ACCOUNTS
+                    .filter(def => !parsed.some(a => a.id === def.id))
+                    .map(def => ({ ...def, names: null, archived: false }));
+                return [...parsed, ...missing];
+            }
+        } catch (error) {
+            console.error('Error loading chart of accounts:', error);
+        }
+        return DEFAULT_ACCOUNTS.map(def => ({ ...def, names: null, archived: false }));
+    }
+    
+    getAccounts(includeArchived = false) {
+        return this.accounts.filter(a => includeArchived || !a.archived);
+    }
+    
+    getAccount(id) {
+        return this.accounts.find(a => a.id === id) || null;
+    }
+    
+    findByLedgerAccount(accountName) {
+        return this.accounts.find(a => a.account === accountName) || null;
+    }
+    
+    validateAccount(account) {
+        if (!account.names || !account.names.en || !account.names.ml) {
+            throw new Error('Both English and Malay names are required');
+        }
+        if (!LINE_ITEMS[account.report] || !LINE_ITEMS[account.report].includes(account.lineItem)) {
+            throw new Error(`Invalid line item for ${account.report}`);
+        }
+        if (account.effect !== 1 && account.effect !== -1) {
+            throw new Error('Effect must be 1 or -1');
+        }
+        if (!CASH_FLOW_CLASSES.includes(account.flow)) {
+            throw new Error('Invalid cash flow class');
+        }
+    }
+    
+    addAccount(account) {
+        const name = account.names.en.trim();
+        if (this.getAccount(name) || this.findByLedgerAccount(name) || SYSTEM_ACCOUNTS[name]) {
+            throw new Error(`An account named "${name}" already exists`);
+        }
+        
+        const newAccount = {
+            id: name,
+            account: name,
+            names: { en: name, ml: account.names.ml.trim() },
+            report: account.report,
+            lineItem: account.lineItem,
+            effect: parseInt(account.effect, 10),
+            flow: account.flow,
+            archived: false
+        };
+        this.validateAccount(newAccount);
+        
+        this.accounts.push(newAccount);
+        this.saveToStorage();
+        return newAccount;
+    }
+    
+    updateAccount(id, updates) {
+        const index = this.accounts.findIndex(a => a.id === id);
+        if (index === -1) return false;
+        
+        // The ledger account name and id are fixed so existing journal lines keep resolving
+        const updated = {
+            ...this.accounts[index],
+            ...updates,
+            id: this.accounts[index].id,
+            account: this.accounts[index].account,
+            effect: parseInt(updates.effect ?? this.accounts[index].effect, 10)
+        };
+        this.validateAccount({ ...updated, names: updated.names || { en: id, ml: id } });
+        
+        this.accounts[index] = updated;
+        this.saveToStorage();
+        return true;
+    }
+    
+    setArchived(id, archived) {
+        return this.updateAccount(id, { archived });
+    }
+    
+    moveAccount(id, direction) {
+        const index = this.accounts.findIndex(a => a.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.accounts.length) return false;
+        
+        [this.accounts[index], this.accounts[target]] = [this.accounts[target], this.accounts[index]];
+        this.saveToStorage();
+        return true;
+    }
+    
+    saveToStorage() {
+        try {
+            secureStorage.setItem(this.storageKey, JSON.stringify(this.accounts));
+            return true;
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
+    }
+}
+
+// Accounts used by the ledger that are not selectable as a category
+const CASH_ACCOUNT = 'Cash & Bank Balance';
+const RECEIVABLES_ACCOUNT = 'Trade Receivables';
+const PAYABLES_ACCOUNT = 'Trade Payables';
+const PREPAYMENTS_ACCOUNT = 'Prepayments';
+const DEPRECIATION_ACCOUNT = 'Depreciation Expense';
+const ACCUMULATED_DEPRECIATION_ACCOUNT = 'Accumulated Depreciation';
+const DISPOSAL_ACCOUNT = 'Gain / (Loss) on Disposal';
+const FINANCE_COST_ACCOUNT = 'Finance Cost';
+const CURRENT_LOAN_ACCOUNT = 'Current Portion of Borrowings';
+const RETAINED_EARNINGS_ACCOUNT = 'Retained Earnings';
+const SYSTEM_ACCOUNTS = {
+    [CASH_ACCOUNT]: { account: CASH_ACCOUNT, report: "SOFP", lineItem: "Current Assets", effect: 1, flow: null },
+    [RECEIVABLES_ACCOUNT]: { account: RECEIVABLES_ACCOUNT, report: "SOFP", lineItem: "Current Assets", effect: 1, flow: "Operating" },
+    [PAYABLES_ACCOUNT]: { account: PAYABLES_ACCOUNT, report: "SOFP", lineItem: "Current Liabilities", effect: 1, flow: "Operating" },
+    [PREPAYMENTS_ACCOUNT]: { account: PREPAYMENTS_ACCOUNT, report: "SOFP", lineItem: "Current Assets", effect: 1, flow: "Operating" },
+    [DEPRECIATION_ACCOUNT]: { account: DEPRECIATION_ACCOUNT, report: "SOPL", lineItem: "Depreciation", effect: -1, flow: null },
+    [ACCUMULATED_DEPRECIATION_ACCOUNT]: { account: ACCUMULATED_DEPRECIATION_ACCOUNT, report: "SOFP", lineItem: "Non-current Assets", effect: -1, flow: "Investing" },
+    [DISPOSAL_ACCOUNT]: { account: DISPOSAL_ACCOUNT, report: "SOPL", lineItem: "Gain / (Loss) on Disposal", effect: 1, flow: "Investing" },
+    [FINANCE_COST_ACCOUNT]: { account: FINANCE_COST_ACCOUNT, report: "SOPL", lineItem: "Finance Costs", effect: -1, flow: "Operating" },
+    [CURRENT_LOAN_ACCOUNT]: { account: CURRENT_LOAN_ACCOUNT, report: "SOFP", lineItem: "Current Liabilities", effect: 1, flow: "Financing" },
+    [RETAINED_EARNINGS_ACCOUNT]: { account: RETAINED_EARNINGS_ACCOUNT, report: "SOFP", lineItem: "Equity", effect: 1, flow: null }
+};
+
+// Initialize chart of accounts (must exist before transactions are loaded)
+const chartOfAccounts = new ChartOfAccountsManager();
+
+// --- GENERAL LEDGER ---
+function findAccount(accountName) {
+    return SYSTEM_ACCOUNTS[accountName] || chartOfAccounts.findByLedgerAccount(accountName);
+}
+
+function isAssetAccount(map) {
+    return map.report === 'SOFP' && map.lineItem.includes('Assets');
+}
+
+// Builds the debit/credit lines for a single-category transaction.
+// Assets increase with a debit; income, liabilities and equity increase with a credit,
+// so `effect` decides whether cash is received or paid. Accrual entry types swap one
+// or both sides for a control account:
+//   cash        account  <-> cash
+//   credit      account  <-> receivables/payables   (recognised on invoice date)
+//   settlement  receivables/payables <-> cash        (cash moves on settlement date)
+//   prepayment  prepayments <-> cash                 (expenses only)
+//   recognition account  <-> prepayments             (expenses only)
+function buildJournalLines(category, amount, entryType = 'cash') {
+    const map = chartOfAccounts.getAccount(category);
+    const value = parseFloat(amount);
+    if (!map || isNaN(value)) return [];
+    
+    const cashReceived = isAssetAccount(map) ? map.effect === -1 : map.effect === 1;
+    const isOperatingItem = map.report === 'SOPL';
+    const isExpense = isOperatingItem && map.effect === -1;
+    const controlAccount = cashReceived ? RECEIVABLES_ACCOUNT : PAYABLES_ACCOUNT;
+    
+    let accountSide;
+    let cashSide;
+    if (entryType === 'cash') {
+        [accountSide, cashSide] = [map.account, CASH_ACCOUNT];
+    } else if (entryType === 'credit' && isOperatingItem) {
+        [accountSide, cashSide] = [map.account, controlAccount];
+    } else if (entryType === 'settlement' && isOperatingItem) {
+        [accountSide, cashSide] = [controlAccount, CASH_ACCOUNT];
+    } else if (entryType === 'prepayment' && isExpense) {
+        [accountSide, cashSide] = [PREPAYMENTS_ACCOUNT, CASH_ACCOUNT];
+    } else if (entryType === 'recognition' && isExpense) {
+        [accountSide, cashSide] = [map.account, PREPAYMENTS_ACCOUNT];
+    } else {
+        return [];
+    }
+    
+    return cashReceived
+        ? [
+            { account: cashSide, debit: value, credit: 0 },
+            { account: accountSide, debit: 0, credit: value }
+        ]
+        : [
+            { account: accountSide, debit: value, credit: 0 },
+            { account: cashSide, debit: 0, credit: value }
+        ];
+}
+
+function isBalancedEntry(lines) {
+    if (!Array.isArray(lines)) return false;
+    const totalDebit = lines.reduce((sum, line) => sum + (parseFloat(line.debit) || 0), 0);
+    const totalCredit = lines.reduce((sum, line) => sum + (parseFloat(line.credit) || 0), 0);
+    return Math.abs(totalDebit - totalCredit) < 0.005;
+}
+
+// Net balance per account, debit-positive
+function calculateLedgerBalances(transactions) {
+    const balances = {};
+    transactions.forEach(t => {
+        (t.lines || []).forEach(line => {
+            balances[line.account] = (balances[line.account] || 0) + (line.debit || 0) - (line.credit || 0);
+        });
+    });
+    return balances;
+}
+
+// Stored transactions plus the entries the ledger generates from them
+// (depreciation, disposals and loan instalments) up to and including `untilDate`
+function getLedgerEntries(transactions, untilDate) {
+    return [
+        ...transactions,
+        ...generateAssetEntries(transactions, untilDate),
+        ...generateLoanEntries(transactions, untilDate)
+    ];
+}
+
+// --- FIXED ASSET REGISTER ---
+function isFixedAssetCategory(category) {
+    const map = chartOfAccounts.getAccount(category);
+    return !!map && map.report === 'SOFP' && map.lineItem === 'Non-current Assets' && map.effect === 1;
+}
+
+function getMonthEnd(yyyyMm) {
+    const [year, month] = yyyyMm.split('-').map(Number);
+    const lastDay = new Date(year, month, 0).getDate();
+    return `${yyyyMm}-${String(lastDay).padStart(2, '0')}`;
+}
+
+function addMonths(yyyyMm, count) {
+    const [year, month] = yyyyMm.split('-').map(Number);
+    const date = new Date(year, month - 1 + count, 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// Full-month convention: the purchase month is charged in full, nothing after the useful life.
+// Reducing balance charges double the straight-line rate on the amount still to be depreciated
+// (book value less residual value), then switches to straight-line over the remaining life once
+// that gives the larger charge, so the asset reaches its residual value in its last month.
+function calculateDepreciationSchedule(transaction) {
+    const asset = transaction.asset;
+    if (!asset || !asset.usefulLifeMonths) return [];
+    
+    const cost = transaction.amount;
+    const residual = Math.min(asset.residualValue || 0, cost);
+    const months = asset.usefulLifeMonths;
+    const monthlyRate = Math.min(2 / months, 1);
+    
+    const schedule = [];
+    let accumulated = 0;
+    for (let i = 0; i < months; i++) {
+        const month = addMonths(transaction.date.substring(0, 7), i);
+        const bookValue = cost - accumulated;
+        const remaining = bookValue - residual;
+        let charge = asset.method === 'reducing-balance'
+            ? Math.max(remaining * monthlyRate, remaining / (months - i))
+            : (cost - residual) / months;
+        
+        // The last month picks up rounding so the book value lands exactly on the residual value
+        if (i === months - 1 || bookValue - charge < residual) {
+            charge = bookValue - residual;
+        }
+        charge = Math.round(charge * 100) / 100;
+        if (charge <= 0) break;
+        
+        accumulated = Math.round((accumulated + charge) * 100) / 100;
+        schedule.push({ month, date: getMonthEnd(month), amount: charge, accumulated, bookValue: cost - accumulated });
+    }
+    return schedule;
+}
+
+function generateAssetEntries(transactions, untilDate) {
+    const entries = [];
+    
+    transactions.forEach(t => {
+        if (!t.asset || !isFixedAssetCategory(t.category)) return;
+        
+        const map = chartOfAccounts.getAccount(t.category);
+        const disposal = t.asset.disposal;
+        let accumulated = 0;
+        
+        calculateDepreciationSchedule(t).forEach(row => {
+            if (row.date > untilDate || (disposal && row.date >= disposal.date)) return;
+            accumulated = row.accumulated;
+            entries.push({
+                id: `dep-${t.id}-${row.month}`,
+                date: row.date,
+                description: `${L.depreciation_entry}: ${t.description}`,
+                category: t.category,
+                amount: row.amount,
+                entryType: 'depreciation',
+                linkedId: t.id,
+                lines: [
+                    { account: DEPRECIATION_ACCOUNT, debit: row.amount, credit: 0 },
+                    { account: ACCUMULATED_DEPRECIATION_ACCOUNT, debit: 0, credit: row.amount }
+                ]
+            });
+        });
+        
+        if (disposal && disposal.date <= untilDate) {
+            const proceeds = disposal.proceeds || 0;
+            const gain = Math.round((proceeds - (t.amount - accumulated)) * 100) / 100;
+            const lines = [
+                { account: map.account, debit: 0, credit: t.amount },
+                { account: ACCUMULATED_DEPRECIATION_ACCOUNT, debit: accumulated, credit: 0 }
+            ];
+            if (gain !== 0) {
+                lines.push({ account: DISPOSAL_ACCOUNT, debit: gain < 0 ? -gain : 0, credit: gain > 0 ? gain : 0 });
+            }
+            if (proceeds > 0) {
+                lines.push({ account: CASH_ACCOUNT, debit: proceeds, credit: 0 });
+            }
+            entries.push({
+                id: `disp-${t.id}`,
+                date: disposal.date,
+                description: `${L.disposal_entry}: ${t.description}`,
+                category: t.category,
+                amount: proceeds,
+                entryType: 'disposal',
+                linkedId: t.id,
+                lines
+            });
+        }
+    });
+    
+    return entries;
+}
+
+// --- LOANS ---
+function isLoanCategory(category) {
+    const map = chartOfAccounts.getAccount(category);
+    return !!map && map.report === 'SOFP' && map.lineItem.includes('Liabilities') && map.effect === 1;
+}
+
+// Same day of the month `count` months later, clamped to the month end
+function addMonthsToDate(date, count) {
+    const month = addMonths(date.substring(0, 7), count);
+    const monthEnd = getMonthEnd(month);
+    return date.substring(8) > monthEnd.substring(8) ? monthEnd : `${month}-${date.substring(8)}`;
+}
+
+function addDaysToDate(date, count) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + count);
+    return result.toISOString().split('T')[0];
+}
+
+// Equal monthly instalments (annuity). Interest is charged on the opening balance
+// and the final instalment clears whatever principal is left after rounding.
+function calculateLoanSchedule(transaction) {
+    const loan = transaction.loan;
+    if (!loan || !loan.tenureMonths) return [];
+    
+    const principal = transaction.amount;
+    const monthlyRate = (loan.annualRate || 0) / 100 / 12;
+    const months = loan.tenureMonths;
+    const instalment = monthlyRate > 0
+        ? principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months))
+        : principal / months;
+    // Dates are counted from a fixed anchor so a short month does not pull later instalments forward
+    const anchorDate = loan.firstRepaymentDate || transaction.date;
+    const firstOffset = loan.firstRepaymentDate ? 0 : 1;
+    
+    const schedule = [];
+    let balance = principal;
+    for (let i = 0; i < months; i++) {
+        const interest = Math.round(balance * monthlyRate * 100) / 100;
+        const principalPart = i === months - 1
+            ? Math.round(balance * 100) / 100
+            : Math.round((instalment - interest) * 100) / 100;
+        balance = Math.round((balance - principalPart) * 100) / 100;
+        
+        schedule.push({
+            number: i + 1,
+            date: addMonthsToDate(anchorDate, firstOffset + i),
+            payment: Math.round((principalPart + interest) * 100) / 100,
+            interest,
+            principal: principalPart,
+            balance
+        });
+    }
+    return schedule;
+}
+
+function generateLoanEntries(transactions, untilDate) {
+    const entries = [];
+    
+    transactions.forEach(t => {
+        if (!t.loan || !isLoanCategory(t.category)) return;
+        
+        const map = chartOfAccounts.getAccount(t.category);
+        calculateLoanSchedule(t).forEach(row => {
+            if (row.date > untilDate) return;
+            
+            const lines = [{ account: map.account, debit: row.principal, credit: 0 }];
+            if (row.interest > 0) {
+                lines.push({ account: FINANCE_COST_ACCOUNT, debit: row.interest, credit: 0 });
+            }
+            lines.push({ account: CASH_ACCOUNT, debit: 0, credit: row.payment });
+            
+            entries.push({
+                id: `loan-${t.id}-${row.number}`,
+                date: row.date,
+                description: `${L.loan_instalment_entry(row.number)}: ${t.description}`,
+                category: t.category,
+                amount: row.payment,
+                entryType: 'instalment',
+                linkedId: t.id,
+                lines
+            });
+        });
+    });
+    
+    return entries;
+}
+
+// Moves principal falling due within 12 months of `asOfDate` out of the loan account
+// into current liabilities. Presentation only: the ledger keeps one loan balance.
+function reclassifyCurrentBorrowings(reportData, transactions, asOfDate) {
+    const cutOff = addMonthsToDate(asOfDate, 12);
+    
+    transactions.forEach(t => {
+        if (!t.loan || !isLoanCategory(t.category) || t.date > asOfDate) return;
+        
+        const account = chartOfAccounts.getAccount(t.category).account;
+        const currentPortion = calculateLoanSchedule(t)
+            .filter(row => row.date > asOfDate && row.date <= cutOff)
+            .reduce((sum, row) => sum + row.principal, 0);
+        if (currentPortion <= 0) return;
+        
+        const liabilities = reportData.sofp.liabilities;
+        liabilities[account] = (liabilities[account] || 0) - currentPortion;
+        liabilities[CURRENT_LOAN_ACCOUNT] = (liabilities[CURRENT_LOAN_ACCOUNT] || 0) + currentPortion;
+    });
+    
+    return reportData;
+}
+
+// --- FINANCIAL YEAR ---
+// Last day of the financial year that contains `date`
+function getFinancialYearEnd(date) {
+    const endMonth = settingsManager.get('financialYearEndMonth');
+    const year = parseInt(date.substring(0, 4), 10);
+    const month = parseInt(date.substring(5, 7), 10);
+    const endYear = month <= endMonth ? year : year + 1;
+    return getMonthEnd(`${endYear}-${String(endMonth).padStart(2, '0')}`);
+}
+
+function getFinancialYearStart(date) {
+    return `${addMonths(getFinancialYearEnd(date).substring(0, 7), -11)}-01`;
+}
+
+// The next year end that can be closed: the year after the last close, or the
+// year of the first transaction. Null while that year is still running.
+function getNextClosableYearEnd(transactions, today) {
+    const closedThrough = settingsManager.get('closedThrough');
+    let yearEnd;
+    if (closedThrough) {
+        yearEnd = getFinancialYearEnd(addMonthsToDate(closedThrough, 1));
+    } else {
+        const dates = transactions.map(t => t.date).sort();
+        if (dates.length === 0) return null;
+        yearEnd = getFinancialYearEnd(dates[0]);
+    }
+    return yearEnd < today ? yearEnd : null;
+}
+
+// --- REPORTING PERIODS ---
+// A period is an inclusive { start, end } date range. Quarters and half-years follow the
+// financial year, so with a March year end Q1 runs from April to June.
+const REPORT_PERIOD_TYPES = ['month', 'quarter', 'half', 'ytd', 'year', 'custom'];
+
+function countMonthsBetween(fromMonth, toMonth) {
+    const [fromYear, fromM] = fromMonth.split('-').map(Number);
+    const [toYear, toM] = toMonth.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toM - fromM);
+}
+
+// `month` (YYYY-MM) picks the period that contains it; custom periods use their own dates.
+// Returns null while the selection is incomplete.
+function getReportPeriod(type, month, customStart, customEnd) {
+    if (type === 'custom') {
+        if (!customStart || !customEnd || customStart > customEnd) return null;
+        return { type, start: customStart, end: customEnd };
+    }
+    if (!month) return null;
+    
+    const yearStart = getFinancialYearStart(`${month}-01`);
+    const monthIndex = countMonthsBetween(yearStart.substring(0, 7), month);
+    const block = (size) => {
+        const index = Math.floor(monthIndex / size);
+        const first = addMonths(yearStart.substring(0, 7), index * size);
+        return { type, index: index + 1, start: `${first}-01`, end: getMonthEnd(addMonths(first, size - 1)) };
+    };
+    
+    switch (type) {
+        case 'quarter':
+            return block(3);
+        case 'half':
+            return block(6);
+        case 'ytd':
+            return { type, start: yearStart, end: getMonthEnd(month) };
+        case 'year':
+            return { type, start: yearStart, end: getFinancialYearEnd(yearStart) };
+        default:
+            return { type: 'month', start: `${month}-01`, end: getMonthEnd(month) };
+    }
+}
+
+// --- COMPARATIVES ---
+// Statements can show the prior period and the same period a year earlier beside the
+// current figures. Each comparative is calculateReportData over its own date window.
+const COMPARE_OPTIONS = ['none', 'prior', 'year', 'both'];
+const VARIANCE_HIGHLIGHT = 0.2; // Swings of 20% or more stand out
+
+function shiftReportPeriod(period, months) {
+    // Quarters and half-years are rebuilt so their number follows the financial year they land in
+    if (period.type === 'quarter' || period.type === 'half') {
+        return getReportPeriod(period.type, addMonths(period.start.substring(0, 7), months));
+    }
+    // Month ends stay month ends, so February compares with the whole of January
+    const shift = (date) => date === getMonthEnd(date.substring(0, 7))
+        ? getMonthEnd(addMonths(date.substring(0, 7), months))
+        : addMonthsToDate(date, months);
+    return { ...period, start: shift(period.start), end: shift(period.end) };
+}
+
+// The period immediately before: last month, last quarter, and so on. Year to date has no
+// shorter "previous" window, so it compares with the same months of last year.
+function getPriorPeriod(period) {
+    if (period.type === 'custom') {
+        const end = addDaysToDate(period.start, -1);
+        return { ...period, start: addDaysToDate(end, -daysBetween(period.start, period.end)), end };
+    }
+    const months = { month: 1, quarter: 3, half: 6, ytd: 12, year: 12 }[period.type];
+    return shiftReportPeriod(period, -months);
+}
+
+function getComparativePeriods(period, compare) {
+    const periods = [];
+    if (compare === 'prior' || compare === 'both') {
+        periods.push({ kind: 'prior', period: getPriorPeriod(period) });
+    }
+    // For YTD and financial years the prior period already is last year
+    if ((compare === 'year' || compare === 'both') && !(compare === 'both' && ['ytd', 'year'].includes(period.type))) {
+        periods.push({ kind: 'year', period: shiftReportPeriod(period, -12) });
+    }
+    return periods;
+}
+
+// Percentage change against the comparative; null when there is nothing to compare with
+function calculateVariance(current, comparative) {
+    const amount = Math.round((current - comparative) * 100) / 100;
+    return { amount, percent: comparative === 0 ? null : amount / Math.abs(comparative) };
+}
+
+// Initialize transaction manager
+const transactionManager = new TransactionManager();
+
+// --- LANGUAGE PACKS ---
+const L_EN = {
+    // UI Texts
+    title: "SmartBook AI",
+    subtitle: "MASB Simplified Financial Reporting (Cash Basis).",
+    subtitle_accrual: "MASB Simplified Financial Reporting (Accrual Basis).",
+    form_title: "Record Transaction",
+    label_date: "Date",
+    label_description: "Description",
+    label_category: "Category (Simple)",
+    label_amount: "Amount (RM)",
+    label_basis: "Accounting Basis:",
+    label_payment_status: "Payment Status",
+    label_recognition_date: "Expense Period (Recognition Date)",
+    basis_cash: "Cash Basis",
+    basis_accrual: "Accrual Basis",
+    status_paid: "Paid / Received Now",
+    status_unpaid: "Unpaid (On Credit)",
+    status_prepaid: "Prepaid (Expense Paid in Advance)",
+    label_useful_life: "Useful Life (Years)",
+    label_residual_value: "Residual Value (RM)",
+    label_depreciation_method: "Depreciation Method",
+    "method_straight-line": "Straight-line",
+    "method_reducing-balance": "Reducing Balance",
+    label_loan_rate: "Interest Rate (% per year)",
+    label_loan_tenure: "Tenure (Months)",
+    label_loan_first_repayment: "First Repayment Date (optional)",
+    record_button: "Record Transaction",
+    update_button: "Update Transaction",
+    cancel_button: "Cancel Edit",
+    report_viewer_title: "Financial Reports",
+    label_reporting_period: "Reporting Period:",
+    period_type_month: "Month",
+    period_type_quarter: "Quarter",
+    period_type_half: "Half-year",
+    period_type_ytd: "Year to date",
+    period_type_year: "Financial year",
+    period_type_custom: "Custom range",
+    period_quarter: (quarter, year) => `Q${quarter} FY${year}`,
+    period_half: (half, year) => `H${half} FY${year}`,
+    period_ytd: (month) => `Year to Date, ${month}`,
+    period_year: (year) => `Financial Year ${year}`,
+    period_for_month: (month) => `For the Month of ${month}`,
+    period_for_range: (start, end) => `For the Period ${start} to ${end}`,
+    period_as_at: (date) => `As at ${date}`,
+    label_compare: "Compare with:",
+    compare_none: "No comparison",
+    compare_prior: "Prior period",
+    compare_year: "Same period last year",
+    compare_both: "Prior period and last year",
+    variance_amount: "Change",
+    variance_percent: "Change %",
+    variance_new: "New",
+    tab_transactions: "History",
+    tab_sopl: "P/L (SOPL)",
+    tab_sofp: "Position (SOFP)",
+    tab_socf: "Cash Flow (SOCF)",
+    tab_dashboard: "Dashboard",
+    tab_accounts: "Accounts",
+    tab_assets: "Fixed Assets",
+    tab_loans: "Loans",
+    tab_yearend: "Year End",
+    
+    // Table Headers
+    th_date: "Date",
+    th_description: "Description",
+    th_category: "Category",
+    th_amount: "Amount (RM)",
+    th_actions: "Actions",
+    
+    // Actions
+    edit: "Edit",
+    delete: "Delete",
+    settle: "Settle",
+    entry_unpaid: "Unpaid",
+    entry_credit: "Settled",
+    entry_settlement: "Settlement",
+    entry_prepayment: "Prepayment",
+    entry_recognition: "Prepaid Expense",
+    entry_opening: "Opening Balances",
+    entry_closing: "Year-End Close",
+    
+    // Messages
+    list_header: "Transaction History (Audit Trail)",
+    no_trans: "No transactions recorded yet. Start by adding a transaction above.",
+    history_search: "Search",
+    history_search_placeholder: "Description contains...",
+    history_from: "From",
+    history_to: "To",
+    history_all_categories: "All categories",
+    history_min_amount: "Min amount",
+    history_max_amount: "Max amount",
+    history_clear_filters: "Clear filters",
+    history_no_match: "No transactions match these filters.",
+    history_showing: (first, last, filtered, total) => `Showing ${first}-${last} of ${filtered}${filtered !== total ? ` (filtered from ${total})` : ''}`,
+    history_income: "Income",
+    history_expenses: "Expenses",
+    history_net_cash: "Net cash",
+    history_page: (page, count) => `Page ${page} of ${count}`,
+    no_data_msg: "No transactions recorded for this period.",
+    no_month_msg: "Please select a reporting period.",
+    status_saving: "Saving...",
+    status_updating: "Updating...",
+    status_success: "Transaction recorded successfully!",
+    status_update_success: "Transaction updated successfully!",
+    status_delete_success: "Transaction deleted successfully.",
+    status_edit_id: (id) => `Editing transaction ID: ${id}`,
+    settle_prompt: "Settlement date (YYYY-MM-DD):",
+    settle_invalid_date: "Please enter the settlement date as YYYY-MM-DD.",
+    settle_success: "Entry settled successfully!",
+    recognition_date_required: "Please enter the date the prepaid expense relates to.",
+    asset_life_required: "Please enter the asset's useful life in years.",
+    asset_residual_invalid: "Residual value must be between zero and the purchase cost.",
+    
+    // Fixed Assets
+    asset_register_title: "Fixed Asset Register",
+    asset_none: "No fixed assets recorded yet.",
+    asset_th_method: "Method / Life",
+    asset_th_cost: "Cost (RM)",
+    asset_th_accumulated: "Accum. Depreciation (RM)",
+    asset_th_nbv: "Net Book Value (RM)",
+    asset_th_status: "Status",
+    asset_years: "years",
+    asset_status_active: "In use",
+    asset_status_no_schedule: "No depreciation schedule",
+    asset_status_disposed: (date, proceeds) => `Disposed ${date} for ${proceeds}`,
+    asset_dispose: "Dispose",
+    dispose_date_prompt: "Disposal date (YYYY-MM-DD):",
+    dispose_proceeds_prompt: "Disposal proceeds (RM):",
+    dispose_success: "Asset disposal recorded.",
+    depreciation_entry: "Depreciation",
+    disposal_entry: "Disposal",
+    
+    // Loans
+    loan_register_title: "Loan Repayment Schedules",
+    loan_none: "No loans with repayment terms recorded yet.",
+    loan_summary: (date, principal, rate, tenure) => `Drawn down ${date}: ${principal} at ${rate}% p.a. over ${tenure} months`,
+    loan_outstanding: "Outstanding Principal",
+    loan_current_portion: "Current Portion (due within 12 months)",
+    loan_non_current_portion: "Non-Current Portion",
+    loan_th_payment: "Instalment (RM)",
+    loan_th_interest: "Interest (RM)",
+    loan_th_principal: "Principal (RM)",
+    loan_th_balance: "Balance (RM)",
+    loan_instalment_entry: (number) => `Loan instalment #${number}`,
+    loan_rate_invalid: "Please enter a valid interest rate (0 or more).",
+    loan_tenure_invalid: "Please enter the loan tenure in months.",
+    loan_first_repayment_invalid: "First repayment date must be after the drawdown date.",
+    
+    // Opening Balances & Year End
+    fy_title: "Financial Year",
+    fy_end_month: "Financial year ends in:",
+    fy_save: "Save",
+    fy_saved: "Financial year end saved.",
+    fy_none_closed: "No financial year has been closed yet.",
+    fy_closed_through: (date) => `Books are closed up to ${date}. Entries on or before this date are locked.`,
+    fy_close_button: (date) => `Close Financial Year Ending ${date}`,
+    fy_nothing_to_close: "There is no completed financial year to close.",
+    fy_close_confirm: (date) => `Close the financial year ending ${date}? Net profit will be moved to retained earnings and the period will be locked.`,
+    fy_close_success: (date, profit) => `Financial year ending ${date} closed. ${profit} transferred to retained earnings.`,
+    opening_title: "Opening Balances",
+    opening_desc: "Enter balances brought forward from before you started using SmartBook. Enter each amount as a positive figure; the difference is posted to retained earnings.",
+    opening_date: "Balances as at:",
+    opening_date_required: "Please enter the date of the opening balances.",
+    opening_retained: (amount) => `Retained earnings brought forward: ${amount}`,
+    opening_save: "Save Opening Balances",
+    opening_saved: "Opening balances saved.",
+    lock_title: "Period Locks",
+    lock_desc: "Locked months cannot be edited, deleted or imported into. Record corrections as adjusting entries in an open month. Every unlock is logged with its reason.",
+    lock_status_locked: "Locked",
+    lock_status_open: "Open",
+    lock_lock: "Lock",
+    lock_unlock: "Unlock",
+    lock_confirm: (month) => `Lock ${month}? Entries dated in this month can no longer be changed.`,
+    lock_success: (month) => `${month} locked.`,
+    unlock_reason_prompt: (month) => `Reason for unlocking ${month} (required):`,
+    unlock_success: (month) => `${month} unlocked. The reason has been logged.`,
+    lock_log_title: "Lock Log",
+    lock_log_empty: "No periods have been locked yet.",
+    lock_log_locked: "Locked",
+    lock_log_unlocked: "Unlocked",
+    period_locked_edit: (month) => `${month} is locked. Record an adjusting entry in an open period instead.`,
+    import_skipped_locked: (count) => `${count} transaction(s) dated in locked or closed periods were skipped.`,
+    audit_history: "History",
+    audit_recent_title: "Recent Changes",
+    audit_history_title: (description) => `Change History: ${description}`,
+    audit_empty: "No changes have been recorded yet.",
+    audit_back: "Show All Changes",
+    audit_view_history: "View History",
+    audit_th_time: "Time",
+    audit_th_action: "Action",
+    audit_th_details: "Details",
+    audit_action_create: "Created",
+    audit_action_update: "Updated",
+    audit_action_delete: "Deleted",
+    audit_action_import: "Imported",
+    audit_action_clear: "Cleared",
+    audit_action_restore: "Restored",
+    audit_field_date: "Date",
+    audit_field_description: "Description",
+    audit_field_category: "Category",
+    audit_field_amount: "Amount",
+    audit_field_entryType: "Type",
+    audit_type_cash: "Cash",
+    audit_type_credit: "On Credit",
+    audit_lines_changed: "Journal lines changed",
+    audit_asset_changed: "Asset details changed",
+    audit_loan_changed: "Loan details changed",
+    audit_no_changes: "No changes",
+    audit_current: "Current version",
+    audit_restore: "Restore",
+    audit_restore_confirm: "Restore this version of the transaction? The restore will be recorded in the audit trail.",
+    audit_restore_success: "Transaction version restored.",
+    audit_deleted_note: "This transaction has been deleted. Restore a version to bring it back.",
+    data_title: "Data",
+    label_export: "Export Backup (JSON)",
+    label_import: "Import File",
+    import_hint: "SmartBook backups (.json, or encrypted .smartbook) are imported directly. CSV and Excel files open a column mapping step.",
+    label_clear: "Clear All Data",
+    import_unsupported: "Please select a JSON, SmartBook encrypted, CSV or Excel file.",
+    passphrase_placeholder: "Passphrase",
+    passphrase_confirm_placeholder: "Repeat passphrase",
+    passphrase_mismatch: "The passphrases do not match.",
+    passphrase_ok: "OK",
+    passphrase_cancel: "Cancel",
+    unlock_title: (company) => `Unlock ${company}`,
+    unlock_message: "This company's data is protected. Enter the passphrase to open it.",
+    backup_unlock_title: (fileName) => `Passphrase for ${fileName}`,
+    encryption_off: "Passphrase protection is off. Data is stored unencrypted in this browser.",
+    encryption_on: "Passphrase protection is on. Data is encrypted in this browser.",
+    encryption_enable: "Protect with Passphrase",
+    encryption_enable_message: "Use at least 8 characters. The passphrase cannot be recovered: if you forget it, the data cannot be opened.",
+    encryption_enabled: "Data is now encrypted with your passphrase.",
+    encryption_disable: "Remove Passphrase",
+    encryption_disable_confirm: "Remove passphrase protection? Data will be stored unencrypted in this browser.",
+    encryption_disabled: "Passphrase protection removed.",
+    encryption_lock: "Lock Now",
+    encryption_export: "Export Encrypted Backup (.smartbook)",
+    backup_restore_title: (fileName) => `Restore ${fileName}`,
+    backup_info: (exportedAt, version) => `Backup exported ${exportedAt} (format version ${version}). Checksum verified.`,
+    backup_legacy: "Older backup containing transactions only. Settings and accounts are left as they are.",
+    backup_mode_merge: "Merge: add records that are not here yet and keep everything else",
+    backup_mode_replace: "Replace: make this company match the backup exactly, removing anything not in it",
+    backup_area_transactions: "Transactions",
+    backup_area_accounts: "Chart of accounts",
+    backup_area_rules: "Categorisation rules",
+    backup_area_recurring: "Recurring transactions",
+    backup_area_settings: "Settings",
+    backup_area_locks: "Locked periods",
+    backup_area_bank: "Bank statement",
+    backup_area_budgets: "Budgets",
+    backup_area_language: "Language",
+    backup_area_company: "Company name",
+    backup_diff_new: (count) => `${count} new`,
+    backup_diff_existing: (count) => `${count} already here (kept)`,
+    backup_diff_locked: (count) => `${count} in locked periods (skipped)`,
+    backup_diff_duplicates: (count) => `${count} possible duplicate(s)`,
+    backup_diff_rejected: (count) => `${count} unreadable row(s) missing a date, amount or category (not restored)`,
+    backup_diff_replace: (added, changed, removed) => `${added} added, ${changed} changed, ${removed} removed`,
+    backup_no_changes: "No changes",
+    backup_none: "None",
+    backup_settings_changed: (keys) => `Changed: ${keys}`,
+    backup_bank_lines: (count, current) => `${count} lines (currently ${current})`,
+    backup_budget_months: (count, current) => `${count} budgeted months (currently ${current})`,
+    backup_apply_merge: "Merge",
+    backup_apply_replace: "Replace",
+    backup_replace_confirm: "Replace this company's data with the backup? Removed transactions can still be restored from the audit trail.",
+    import_wizard_title: (fileName) => `Import ${fileName}`,
+    import_step_columns: "1. Columns",
+    import_has_header: "First row contains column headers",
+    import_map_date: "Date column",
+    import_map_description: "Description column",
+    import_map_amount: "Amount column",
+    import_map_category: "Category column",
+    import_date_format: "Date format",
+    import_column: (n) => `Column ${n}`,
+    import_column_none: "(none)",
+    import_step_categories: "2. Categories",
+    import_default_category: "Record every row as:",
+    import_unmapped: "-- Choose account --",
+    import_step_preview: "3. Preview",
+    import_preview_summary: (valid, invalid) => `${valid} row(s) ready to import, ${invalid} row(s) with errors.`,
+    import_preview_truncated: (limit, total) => `Showing the first ${limit} of ${total} rows.`,
+    import_th_row: "Row",
+    import_th_status: "Status",
+    import_row_ok: "OK",
+    import_err_date: "Invalid date for the selected format",
+    import_err_description: "Description is empty",
+    import_err_amount: "Amount is not a number greater than zero",
+    import_err_category: "Category is not mapped to an account",
+    import_err_category_form: "Fixed assets and loans must be entered through the form",
+    import_err_locked: "Date falls in a locked or closed period",
+    import_commit: (count) => `Import ${count} Row(s)`,
+    import_skip_invalid_confirm: (count) => `${count} row(s) have errors and will be skipped. Continue?`,
+    import_rows_skipped: (count) => `${count} row(s) with errors were skipped.`,
+    import_duplicate_of: (existing) => `Possible duplicate of ${existing}`,
+    import_skip_duplicates: (count) => `Skip ${count} possible duplicate(s) of existing transactions`,
+    import_duplicates_skipped: (count) => `${count} possible duplicate(s) were skipped.`,
+    duplicate_confirm: (existing) => `This looks like a transaction already recorded:\n\n${existing}\n\nSave it anyway?`,
+    find_duplicates: "Find Duplicates",
+    duplicates_title: "Possible Duplicates",
+    duplicates_hint: (days) => `Transactions with the same amount, dates within ${days} days and similar descriptions. Delete the extra copies, or mark a group as not duplicates.`,
+    duplicates_none: "No possible duplicates found.",
+    duplicates_dismiss: "Not duplicates",
+    tab_bank: "Bank",
+    bank_title: "Bank Reconciliation",
+    bank_desc: "Import a bank statement (OFX, or the CSV export from your bank). Lines are matched to recorded transactions by amount, date and description. Unmatched lines can be recorded with one click.",
+    bank_import: "Import Statement",
+    bank_auto_match: "Auto-Match",
+    bank_clear: "Clear Statement",
+    bank_clear_confirm: "Remove all imported statement lines? Recorded transactions are not affected.",
+    bank_empty: "No bank statement imported yet.",
+    bank_th_balance: "Balance",
+    bank_th_status: "Status",
+    bank_matched: (date, description) => `Matched: ${date} ${description}`,
+    bank_unmatch: "Unmatch",
+    bank_create: "Record",
+    bank_choose_account: "Please choose an account for this statement line.",
+    bank_import_success: (count, duplicates, matched) => `${count} statement line(s) imported${duplicates ? `, ${duplicates} already imported` : ''}. ${matched} matched automatically.`,
+    bank_auto_match_result: (count) => `${count} statement line(s) matched.`,
+    bank_recon_title: "Reconciliation Statement",
+    bank_recon_as_at: (date) => `As at ${date}`,
+    bank_no_balance: "The statement has no running balance on or before this date, so the bank balance cannot be reconciled.",
+    bank_balance_per_bank: "Balance per Bank Statement",
+    bank_outstanding: "Add/(Less): Book Entries Not Yet on Statement",
+    bank_unrecorded: "(Less)/Add: Statement Lines Not Yet Recorded",
+    bank_adjusted_balance: "Adjusted Bank Balance",
+    bank_balance_per_books: "Cash & Bank Balance per Books",
+    bank_reconciled: "Bank and book balances agree.",
+    bank_unreconciled: (diff) => `Unreconciled difference of ${diff}.`,
+    category_suggested: (category, source) => `Suggested: ${category} (${source})`,
+    category_source_rule: "from your rules",
+    category_source_learned: "learned from past transactions",
+    category_source_suggested: "suggested",
+    rules_title: "Categorisation Rules",
+    rules_desc: "When a description contains the keyword, the account is suggested automatically. Rules take priority over suggestions learned from past transactions; the longest matching keyword wins.",
+    rules_keyword: "Description contains",
+    rules_category: "Account",
+    rules_add: "Add Rule",
+    rules_add_success: "Rule added.",
+    rules_empty: "No rules yet. Suggestions are learned from past transactions.",
+    tab_recurring: "Recurring",
+    recurring_title: "Recurring Transactions",
+    recurring_desc: "Set up rent, wages and other regular entries once. Due occurrences are posted when the app starts, or queued below for confirmation. Loan instalments are already generated from the loan schedule.",
+    recurring_frequency: "Frequency",
+    recurring_freq_weekly: "Weekly",
+    recurring_freq_monthly: "Monthly",
+    recurring_freq_yearly: "Yearly",
+    recurring_start: "Start date",
+    recurring_end: "End date (optional)",
+    recurring_auto_post: "Post automatically when due (otherwise ask for confirmation)",
+    recurring_add: "Add Recurring Transaction",
+    recurring_add_success: "Recurring transaction added.",
+    recurring_due_title: "Due for Confirmation",
+    recurring_due_empty: "Nothing is waiting for confirmation.",
+    recurring_empty: "No recurring transactions yet.",
+    recurring_next: "Next",
+    recurring_status: "Status",
+    recurring_status_auto: "Posts automatically",
+    recurring_status_confirm: "Needs confirmation",
+    recurring_status_paused: "Paused",
+    recurring_status_ended: "Ended",
+    recurring_skipped_count: (count) => `${count} occurrence(s) skipped`,
+    recurring_post: "Post",
+    recurring_post_all: (count) => `Post All (${count})`,
+    recurring_posted: (count) => `${count} recurring transaction(s) posted.`,
+    recurring_skip: "Skip",
+    recurring_skip_next: "Skip Next",
+    recurring_skip_confirm: (date) => `Skip the occurrence on ${date}? It will not be posted.`,
+    recurring_pause: "Pause",
+    recurring_resume: "Resume",
+    recurring_delete_confirm: "Delete this recurring transaction? Entries already posted are kept.",
+    recurring_startup: (posted, queued) => `${posted} recurring transaction(s) posted, ${queued} waiting for confirmation on the Recurring tab.`,
+    tab_budget: "Budget",
+    budget_title: "Monthly Budget",
+    budget_desc: "Enter expected income and spending per account as positive amounts. Leave a cell empty for no budget.",
+    budget_growth: "Growth %:",
+    budget_copy: "Copy Last Year's Actuals",
+    budget_copy_confirm: "Replace this year's budget with last year's actuals?",
+    budget_copied: (growth) => `Budget copied from last year's actuals with ${growth}% growth.`,
+    budget_total: "Total",
+    budget_budget: "Budget",
+    budget_actual: "Actual",
+    budget_month: "Month",
+    budget_budgeted_profit: "Budgeted Profit",
+    budget_actual_profit: "Actual Profit",
+    budget_vs_actual_title: "Budget vs Actual",
+    budget_vs_actual_empty: "No budget or actual figures for this period.",
+    label_company: "Company:",
+    company_new: "New",
+    company_edit: "Details",
+    company_name_prompt: "Company name:",
+    company_reg_prompt: "Registration number (SSM), printed on every statement:",
+    company_saved: "Company details saved.",
+    company_switch_confirm: "Discard the transaction you are editing and switch company?",
+    storage_write_error: (detail) => `Your last change could not be saved (${detail}). Export a backup now and reload the page before making further changes.`,
+    storage_quota_error: "Browser storage is full, so your last change was not saved. Export a backup and remove old data before making further changes.",
+    storage_load_error: (detail) => `Your transactions could not be loaded (${detail}). Nothing has been changed. Close other SmartBook tabs and reload the page.`,
+    
+    // Report Titles
+    sopl_title: "Statement of Profit or Loss (SOPL)",
+    sofp_title: "Statement of Financial Position (SOFP)",
+    socf_title: "Statement of Cash Flow (SOCF)",
+    
+    // Categories
+    cat_select: "Select a category",
+    cat_group_income: "Income & Financing Inflows",
+    cat_sales: "Sales Revenue (Service/Goods)",
+    cat_interest: "Interest Received",
+    cat_capital: "Owner/Investor Capital",
+    cat_loan: "Bank Loan / Financing",
+    cat_group_expense: "Operating Expenses",
+    cat_rent: "Rent Expense",
+    cat_utilities: "Utilities (Electric, Water)",
+    cat_wages: "Wages & Salaries",
+    cat_supplies: "Supplies & Consumables",
+    cat_other_op: "Other Operating Expense",
+    cat_group_investment: "Investment & Drawings",
+    cat_equipment: "Equipment Purchase (Asset)",
+    cat_drawings: "Owner Drawings / Withdrawal",
+    
+    // Report Sections
+    report_revenue: "REVENUE",
+    report_expenses: "EXPENSES",
+    report_total_revenue: "TOTAL REVENUE",
+    report_total_expenses: "TOTAL EXPENSES",
+    report_net_profit: "NET PROFIT / (LOSS)",
+    report_assets: "ASSETS",
+    report_liabilities_equity: "LIABILITIES & EQUITY",
+    report_current_assets: "Current Assets",
+    report_non_current_assets: "Non-Current Assets",
+    report_cash: "Cash & Bank Balance",
+    report_total_current_assets: "Total Current Assets",
+    report_total_non_current_assets: "Total Non-Current Assets",
+    report_total_assets: "TOTAL ASSETS",
+    report_liabilities: "Liabilities",
+    report_current_liabilities: "Current Liabilities",
+    report_non_current_liabilities: "Non-Current Liabilities",
+    report_total_current_liabilities: "Total Current Liabilities",
+    report_total_non_current_liabilities: "Total Non-Current Liabilities",
+    report_total_liabilities: "Total Liabilities",
+    report_equity: "Equity",
+    report_opening_capital: "Opening Capital + Drawings/Injection",
+    report_retained_earnings: "Retained Earnings (including Current Profit)",
+    report_closing_equity: "CLOSING EQUITY",
+    report_total_l_e: "TOTAL LIABILITIES & EQUITY",
+    report_balance_check: (check, diff) => `Accounting Equation Status: ${check} (Difference: ${formatCurrency(diff)})`,
+    report_balanced: "Balanced",
+    report_unbalanced: "UNBALANCED!",
+    
+    // Cash Flow
+    cf_operating: "CASH FLOW FROM OPERATING ACTIVITIES",
+    cf_investing: "CASH FLOW FROM INVESTING ACTIVITIES",
+    cf_financing: "CASH FLOW FROM FINANCING ACTIVITIES",
+    cf_net_op: "Net Cash from Operating Activities",
+    cf_net_inv: "Net Cash from Investing Activities",
+    cf_net_fin: "Net Cash from Financing Activities",
+    cf_net_change: "Net Increase / (Decrease) in Cash",
+    cf_opening_cash: "Cash at Beginning of Period",
+    cf_ending_cash: "ENDING CASH BALANCE",
+    cf_reconciliation_check: (check, sofpCash, diff) => `Cash Reconciliation: ${check} (SOFP Cash: ${formatCurrency(sofpCash)}, Difference: ${formatCurrency(diff)})`,
+    cf_reconciled: "Agrees with SOFP",
+    cf_unreconciled: "DOES NOT AGREE WITH SOFP!",
+    
+    // Dashboard
+    dashboard_title: "Key Business Health Metrics",
+    dashboard_trend_title: "Monthly Performance Trend",
+    dashboard_trend_subtitle: "This chart shows how your income (Revenue) compares to your spending (Expenses) over time, and the resulting profit (Net Profit).",
+    ratio_current_ratio: "Current Ratio",
+    ratio_current_ratio_desc: "Current assets divided by current liabilities: how many times the bills due within a year are covered by cash, receivables and other short-term assets.",
+    ratio_quick_ratio: "Quick Ratio",
+    ratio_quick_ratio_desc: "Like the current ratio, but counting only assets that turn into cash quickly. Prepayments are left out.",
+    ratio_gross_margin: "Gross Margin",
+    ratio_gross_margin_desc: "Revenue less cost of sales, as a share of revenue. Classify direct costs under the Cost of Sales line item in the chart of accounts.",
+    ratio_net_margin: "Net Margin",
+    ratio_net_margin_desc: "Net profit as a share of total income: how much of every RM1 earned is kept as profit.",
+    ratio_expense_ratio: "Expense-to-Revenue",
+    ratio_expense_ratio_desc: "Total expenses as a share of total income. Each expense account is listed with its own share.",
+    ratio_debt_to_equity: "Debt-to-Equity",
+    ratio_debt_to_equity_desc: "Total liabilities divided by equity, including retained earnings. Higher values mean the business relies more on borrowed money.",
+    ratio_cash_burn: "Monthly Cash Flow",
+    ratio_cash_burn_desc: "Average net change in cash per month over the period. A negative figure is the monthly cash burn.",
+    ratio_revenue_growth: "Revenue Growth (MoM)",
+    ratio_revenue_growth_desc: "Revenue in the last month of the period compared with the month before.",
+    ratio_threshold: (direction, value) => `Healthy: ${direction} ${value}`,
+    ratio_set_threshold: "Set healthy threshold",
+    ratio_threshold_prompt: (name, isPercent) => `Healthy threshold for ${name}${isPercent ? ' (in %)' : ''}. Leave empty for the default.`,
+    ratio_threshold_invalid: "Please enter a number",
+    ratio_not_applicable: "n/a",
+    ratio_quick_assets: "Quick assets",
+    ratio_gross_profit: "Gross profit",
+    ratio_months: "Months",
+    ratio_transactions: (count) => `Transactions behind this figure (${count} lines)`,
+    ratio_more: (shown, total) => `Showing the latest ${shown} of ${total} lines.`,
+    ratio_debit: "Debit",
+    ratio_credit: "Credit",
+    
+    // Chart Labels
+    chart_income: 'Total Income (Revenue)',
+    chart_spending: 'Total Spending (Expenses)',
+    chart_profit: 'Net Profit',
+    chart_budget_income: 'Budgeted Income',
+    chart_budget_spending: 'Budgeted Spending',
+    chart_show_budget: 'Show budget',
+    forecast_title: 'Cash Flow Forecast',
+    forecast_desc: (months) => `Projected from the average everyday cash flow of the last ${months} complete month(s), plus recurring transactions and loan instalments already scheduled.`,
+    forecast_horizon: 'Forecast:',
+    forecast_months: (months) => `${months} months`,
+    forecast_today: 'Today',
+    forecast_cash_today: 'Cash Today',
+    forecast_cash_end: (month) => `Projected Cash, ${month}`,
+    forecast_runway: 'Cash Runway',
+    forecast_runway_months: (months) => `${months} month(s)`,
+    forecast_runway_estimate: (months) => `About ${months} month(s)`,
+    forecast_runway_none: 'Not running down',
+    forecast_warning: (month, amount) => `Warning: cash is forecast to run out in ${month}, reaching ${formatAccounting(amount)}.`,
+    forecast_baseline: 'Everyday Trading',
+    forecast_recurring: 'Recurring',
+    forecast_loans: 'Loan Instalments',
+    forecast_net: 'Net Cash Flow',
+    forecast_closing: 'Projected Ending Cash',
+    chart_trend_title: 'Income, Spending & Profit Trend',
+    chart_y_title: 'Amount (RM)',
+    
+    // PDF
+    pdf_download: "Download PDF",
+    pdf_generating: (type) => `Generating PDF for ${type}... Please wait.`,
+    pdf_success: (name) => `'${name}' downloaded successfully.`,
+    pdf_error: (msg) => `Error generating PDF: ${msg}. Check console for details.`,
+    
+    // Data Management
+    export_success: "Data exported successfully!",
+    export_error: "Failed to export data.",
+    import_success: (count) => `${count} transactions imported successfully!`,
+    import_error: (msg) => `Import failed: ${msg}`,
+    clear_confirm: "Are you sure you want to delete ALL transactions? This cannot be undone.",
+    clear_success: "All data cleared successfully.",
+    clear_cancelled: "Data clearance cancelled.",
+    
+    // Chart of Accounts
+    coa_add_title: "Add Account",
+    coa_edit_title: "Edit Account",
+    coa_name_en: "Name (English)",
+    coa_name_ml: "Name (Malay)",
+    coa_th_name: "Account",
+    coa_report: "Report",
+    coa_line_item: "Line Item",
+    coa_effect: "Effect",
+    coa_effect_increase: "Increase (+)",
+    coa_effect_decrease: "Decrease (-)",
+    coa_flow: "Cash Flow Class",
+    coa_add_button: "Add Account",
+    coa_update_button: "Update Account",
+    coa_archive: "Archive",
+    coa_restore: "Restore",
+    coa_add_success: "Account added successfully!",
+    coa_update_success: "Account updated successfully!",
+    
+    // Account Names (for reports)
+    "Revenue": "Revenue",
+    "Other Income": "Other Income",
+    "Cost of Sales": "Cost of Sales",
+    "Operating Expenses": "Operating Expenses",
+    "Cash & Bank Balance": "Cash & Bank Balance",
+    "Trade Receivables": "Trade Receivables",
+    "Trade Payables": "Trade Payables",
+    "Prepayments": "Prepayments",
+    "Depreciation": "Depreciation",
+    "Gain / (Loss) on Disposal": "Gain / (Loss) on Disposal",
+    "Accumulated Depreciation": "Less: Accumulated Depreciation",
+    "Finance Costs": "Finance Costs",
+    "Finance Cost": "Finance Cost (Interest)",
+    "Current Portion of Borrowings": "Current Portion of Borrowings",
+    "Retained Earnings": "Retained Earnings (Brought Forward)",
+    "Equipment": "Equipment",
+    "Owner's Capital": "Owner's Capital",
+    "Loan Payable": "Loan Payable",
+    "Owner's Drawings": "Owner's Drawings",
+    "Sales Revenue": "Sales Revenue",
+    "Interest Income": "Interest Income",
+    "Rent Expense": "Rent Expense",
+    "Utilities Expense": "Utilities Expense",
+    "Wages & Salaries Expense": "Wages & Salaries Expense",
+    "Supplies Expense": "Supplies Expense",
+    "Other Operating Expense": "Other Operating Expense"
+};
+
+// Malay translation (similar structure - shortened for brevity)
+const L_ML = {
+    title: "SmartBook AI",
+    subtitle: "Pelaporan Kewangan Ringkas MASB (Asas Tunai).",
+    subtitle_accrual: "Pelaporan Kewangan Ringkas MASB (Asas Akruan).",
+    form_title: "Rekod Transaksi",
+    label_date: "Tarikh",
+    label_description: "Huraian",
+    label_category: "Kategori (Ringkas)",
+    label_amount: "Jumlah (RM)",
+    label_basis: "Asas Perakaunan:",
+    label_payment_status: "Status Bayaran",
+    label_recognition_date: "Tempoh Perbelanjaan (Tarikh Pengiktirafan)",
+    basis_cash: "Asas Tunai",
+    basis_accrual: "Asas Akruan",
+    status_paid: "Dibayar / Diterima Sekarang",
+    status_unpaid: "Belum Bayar (Kredit)",
+    status_prepaid: "Prabayar (Belanja Dibayar Terdahulu)",
+    label_useful_life: "Hayat Berguna (Tahun)",
+    label_residual_value: "Nilai Sisa (RM)",
+    label_depreciation_method: "Kaedah Susut Nilai",
+    "method_straight-line": "Garis Lurus",
+    "method_reducing-balance": "Baki Berkurangan",
+    label_loan_rate: "Kadar Faedah (% setahun)",
+    label_loan_tenure: "Tempoh (Bulan)",
+    label_loan_first_repayment: "Tarikh Bayaran Balik Pertama (pilihan)",
+    record_button: "Rekod Transaksi",
+    update_button: "Kemaskini Transaksi",
+    cancel_button: "Batal Suntingan",
+    report_viewer_title: "Laporan Kewangan",
     label_reporting_period: "Tempoh Pelaporan:",
+    period_type_month: "Bulan",
+    period_type_quarter: "Suku tahun",
+    period_type_half: "Separuh tahun",
+    period_type_ytd: "Tahun hingga kini",
+    period_type_year: "Tahun kewangan",
+    period_type_custom: "Julat tersuai",
+    period_quarter: (quarter, year) => `S${quarter} TK${year}`,
+    period_half: (half, year) => `H${half} TK${year}`,
+    period_ytd: (month) => `Tahun Hingga Kini, ${month}`,
+    period_year: (year) => `Tahun Kewangan ${year}`,
+    period_for_month: (month) => `Bagi Bulan ${month}`,
+    period_for_range: (start, end) => `Bagi Tempoh ${start} hingga ${end}`,
+    period_as_at: (date) => `Pada ${date}`,
+    label_compare: "Bandingkan dengan:",
+    compare_none: "Tiada perbandingan",
+    compare_prior: "Tempoh sebelumnya",
+    compare_year: "Tempoh sama tahun lepas",
+    compare_both: "Tempoh sebelumnya dan tahun lepas",
+    variance_amount: "Perubahan",
+    variance_percent: "Perubahan %",
+    variance_new: "Baharu",
     tab_transactions: "Sejarah",
     tab_sopl: "U/R (SOPL)",
     tab_sofp: "Kedudukan (SOFP)",
     tab_socf: "Aliran Tunai (SOCF)",
     tab_dashboard: "Papan Pemuka",
+    tab_accounts: "Akaun",
+    tab_assets: "Aset Tetap",
+    tab_loans: "Pinjaman",
+    tab_yearend: "Akhir Tahun",
     th_date: "Tarikh",
     th_description: "Huraian",
     th_category: "Kategori",
@@ -342,8 +2780,30 @@ const L_ML = {
     th_actions: "Tindakan",
     edit: "Sunting",
     delete: "Padam",
+    settle: "Jelaskan",
+    entry_unpaid: "Belum Bayar",
+    entry_credit: "Dijelaskan",
+    entry_settlement: "Penjelasan",
+    entry_prepayment: "Prabayar",
+    entry_recognition: "Belanja Prabayar",
+    entry_opening: "Baki Pembukaan",
+    entry_closing: "Penutupan Akhir Tahun",
     list_header: "Sejarah Transaksi (Jejak Audit)",
     no_trans: "Tiada transaksi direkodkan lagi. Mulakan dengan menambah transaksi di atas.",
+    history_search: "Cari",
+    history_search_placeholder: "Keterangan mengandungi...",
+    history_from: "Dari",
+    history_to: "Hingga",
+    history_all_categories: "Semua kategori",
+    history_min_amount: "Jumlah minimum",
+    history_max_amount: "Jumlah maksimum",
+    history_clear_filters: "Kosongkan penapis",
+    history_no_match: "Tiada transaksi sepadan dengan penapis ini.",
+    history_showing: (first, last, filtered, total) => `Menunjukkan ${first}-${last} daripada ${filtered}${filtered !== total ? ` (ditapis daripada ${total})` : ''}`,
+    history_income: "Pendapatan",
+    history_expenses: "Perbelanjaan",
+    history_net_cash: "Tunai bersih",
+    history_page: (page, count) => `Halaman ${page} daripada ${count}`,
     no_data_msg: "Tiada data transaksi direkodkan untuk tempoh ini.",
     no_month_msg: "Sila pilih tempoh pelaporan.",
     status_saving: "Menyimpan...",
@@ -352,6 +2812,345 @@ const L_ML = {
     status_update_success: "Transaksi berjaya dikemaskini!",
     status_delete_success: "Transaksi berjaya dipadam.",
     status_edit_id: (id) => `Menyunting ID transaksi: ${id}`,
+    settle_prompt: "Tarikh penjelasan (YYYY-MM-DD):",
+    settle_invalid_date: "Sila masukkan tarikh penjelasan sebagai YYYY-MM-DD.",
+    settle_success: "Entri berjaya dijelaskan!",
+    recognition_date_required: "Sila masukkan tarikh perbelanjaan prabayar tersebut.",
+    asset_life_required: "Sila masukkan hayat berguna aset dalam tahun.",
+    asset_residual_invalid: "Nilai sisa mesti antara sifar dan kos belian.",
+    
+    // Fixed Assets
+    asset_register_title: "Daftar Aset Tetap",
+    asset_none: "Tiada aset tetap direkodkan lagi.",
+    asset_th_method: "Kaedah / Hayat",
+    asset_th_cost: "Kos (RM)",
+    asset_th_accumulated: "Susut Nilai Terkumpul (RM)",
+    asset_th_nbv: "Nilai Buku Bersih (RM)",
+    asset_th_status: "Status",
+    asset_years: "tahun",
+    asset_status_active: "Digunakan",
+    asset_status_no_schedule: "Tiada jadual susut nilai",
+    asset_status_disposed: (date, proceeds) => `Dilupuskan ${date} pada ${proceeds}`,
+    asset_dispose: "Lupus",
+    dispose_date_prompt: "Tarikh pelupusan (YYYY-MM-DD):",
+    dispose_proceeds_prompt: "Hasil pelupusan (RM):",
+    dispose_success: "Pelupusan aset direkodkan.",
+    depreciation_entry: "Susut Nilai",
+    disposal_entry: "Pelupusan",
+    
+    // Loans
+    loan_register_title: "Jadual Bayaran Balik Pinjaman",
+    loan_none: "Tiada pinjaman dengan terma bayaran balik direkodkan lagi.",
+    loan_summary: (date, principal, rate, tenure) => `Dikeluarkan ${date}: ${principal} pada ${rate}% setahun selama ${tenure} bulan`,
+    loan_outstanding: "Baki Prinsipal",
+    loan_current_portion: "Bahagian Semasa (perlu dibayar dalam 12 bulan)",
+    loan_non_current_portion: "Bahagian Bukan Semasa",
+    loan_th_payment: "Ansuran (RM)",
+    loan_th_interest: "Faedah (RM)",
+    loan_th_principal: "Prinsipal (RM)",
+    loan_th_balance: "Baki (RM)",
+    loan_instalment_entry: (number) => `Ansuran pinjaman #${number}`,
+    loan_rate_invalid: "Sila masukkan kadar faedah yang sah (0 atau lebih).",
+    loan_tenure_invalid: "Sila masukkan tempoh pinjaman dalam bulan.",
+    loan_first_repayment_invalid: "Tarikh bayaran balik pertama mesti selepas tarikh pengeluaran.",
+    
+    // Opening Balances & Year End
+    fy_title: "Tahun Kewangan",
+    fy_end_month: "Tahun kewangan berakhir pada:",
+    fy_save: "Simpan",
+    fy_saved: "Akhir tahun kewangan disimpan.",
+    fy_none_closed: "Belum ada tahun kewangan yang ditutup.",
+    fy_closed_through: (date) => `Buku ditutup sehingga ${date}. Entri pada atau sebelum tarikh ini dikunci.`,
+    fy_close_button: (date) => `Tutup Tahun Kewangan Berakhir ${date}`,
+    fy_nothing_to_close: "Tiada tahun kewangan yang lengkap untuk ditutup.",
+    fy_close_confirm: (date) => `Tutup tahun kewangan berakhir ${date}? Untung bersih akan dipindahkan ke untung terkumpul dan tempoh ini akan dikunci.`,
+    fy_close_success: (date, profit) => `Tahun kewangan berakhir ${date} ditutup. ${profit} dipindahkan ke untung terkumpul.`,
+    opening_title: "Baki Pembukaan",
+    opening_desc: "Masukkan baki dibawa ke hadapan sebelum anda mula menggunakan SmartBook. Masukkan setiap jumlah sebagai angka positif; perbezaan akan dicatat ke untung terkumpul.",
+    opening_date: "Baki pada:",
+    opening_date_required: "Sila masukkan tarikh baki pembukaan.",
+    opening_retained: (amount) => `Untung terkumpul dibawa ke hadapan: ${amount}`,
+    opening_save: "Simpan Baki Pembukaan",
+    opening_saved: "Baki pembukaan disimpan.",
+    lock_title: "Kunci Tempoh",
+    lock_desc: "Bulan yang dikunci tidak boleh diedit, dipadam atau diimport. Rekod pembetulan sebagai entri pelarasan dalam bulan yang terbuka. Setiap buka kunci dilog bersama sebabnya.",
+    lock_status_locked: "Dikunci",
+    lock_status_open: "Terbuka",
+    lock_lock: "Kunci",
+    lock_unlock: "Buka Kunci",
+    lock_confirm: (month) => `Kunci ${month}? Entri bertarikh dalam bulan ini tidak boleh diubah lagi.`,
+    lock_success: (month) => `${month} dikunci.`,
+    unlock_reason_prompt: (month) => `Sebab membuka kunci ${month} (wajib):`,
+    unlock_success: (month) => `${month} dibuka. Sebabnya telah dilog.`,
+    lock_log_title: "Log Kunci",
+    lock_log_empty: "Belum ada tempoh yang dikunci.",
+    lock_log_locked: "Dikunci",
+    lock_log_unlocked: "Dibuka",
+    period_locked_edit: (month) => `${month} dikunci. Rekod entri pelarasan dalam tempoh yang terbuka.`,
+    import_skipped_locked: (count) => `${count} transaksi bertarikh dalam tempoh yang dikunci atau ditutup telah dilangkau.`,
+    audit_history: "Sejarah",
+    audit_recent_title: "Perubahan Terkini",
+    audit_history_title: (description) => `Sejarah Perubahan: ${description}`,
+    audit_empty: "Belum ada perubahan direkodkan.",
+    audit_back: "Tunjuk Semua Perubahan",
+    audit_view_history: "Lihat Sejarah",
+    audit_th_time: "Masa",
+    audit_th_action: "Tindakan",
+    audit_th_details: "Butiran",
+    audit_action_create: "Dicipta",
+    audit_action_update: "Dikemas kini",
+    audit_action_delete: "Dipadam",
+    audit_action_import: "Diimport",
+    audit_action_clear: "Dikosongkan",
+    audit_action_restore: "Dipulihkan",
+    audit_field_date: "Tarikh",
+    audit_field_description: "Keterangan",
+    audit_field_category: "Kategori",
+    audit_field_amount: "Jumlah",
+    audit_field_entryType: "Jenis",
+    audit_type_cash: "Tunai",
+    audit_type_credit: "Kredit",
+    audit_lines_changed: "Baris jurnal berubah",
+    audit_asset_changed: "Butiran aset berubah",
+    audit_loan_changed: "Butiran pinjaman berubah",
+    audit_no_changes: "Tiada perubahan",
+    audit_current: "Versi semasa",
+    audit_restore: "Pulihkan",
+    audit_restore_confirm: "Pulihkan versi transaksi ini? Pemulihan akan direkodkan dalam jejak audit.",
+    audit_restore_success: "Versi transaksi dipulihkan.",
+    audit_deleted_note: "Transaksi ini telah dipadam. Pulihkan satu versi untuk mengembalikannya.",
+    data_title: "Data",
+    label_export: "Eksport Sandaran (JSON)",
+    label_import: "Import Fail",
+    import_hint: "Sandaran SmartBook (.json, atau .smartbook tersulit) diimport terus. Fail CSV dan Excel akan membuka langkah pemetaan lajur.",
+    label_clear: "Kosongkan Semua Data",
+    import_unsupported: "Sila pilih fail JSON, sandaran SmartBook tersulit, CSV atau Excel.",
+    passphrase_placeholder: "Frasa laluan",
+    passphrase_confirm_placeholder: "Ulang frasa laluan",
+    passphrase_mismatch: "Frasa laluan tidak sepadan.",
+    passphrase_ok: "OK",
+    passphrase_cancel: "Batal",
+    unlock_title: (company) => `Buka Kunci ${company}`,
+    unlock_message: "Data syarikat ini dilindungi. Masukkan frasa laluan untuk membukanya.",
+    backup_unlock_title: (fileName) => `Frasa laluan untuk ${fileName}`,
+    encryption_off: "Perlindungan frasa laluan dimatikan. Data disimpan tanpa penyulitan dalam pelayar ini.",
+    encryption_on: "Perlindungan frasa laluan dihidupkan. Data disulitkan dalam pelayar ini.",
+    encryption_enable: "Lindungi dengan Frasa Laluan",
+    encryption_enable_message: "Gunakan sekurang-kurangnya 8 aksara. Frasa laluan tidak boleh dipulihkan: jika terlupa, data tidak boleh dibuka.",
+    encryption_enabled: "Data kini disulitkan dengan frasa laluan anda.",
+    encryption_disable: "Buang Frasa Laluan",
+    encryption_disable_confirm: "Buang perlindungan frasa laluan? Data akan disimpan tanpa penyulitan dalam pelayar ini.",
+    encryption_disabled: "Perlindungan frasa laluan dibuang.",
+    encryption_lock: "Kunci Sekarang",
+    encryption_export: "Eksport Sandaran Tersulit (.smartbook)",
+    backup_restore_title: (fileName) => `Pulihkan ${fileName}`,
+    backup_info: (exportedAt, version) => `Sandaran dieksport ${exportedAt} (versi format ${version}). Checksum disahkan.`,
+    backup_legacy: "Sandaran lama yang mengandungi transaksi sahaja. Tetapan dan akaun tidak diubah.",
+    backup_mode_merge: "Gabung: tambah rekod yang belum ada dan kekalkan yang lain",
+    backup_mode_replace: "Ganti: jadikan syarikat ini sama seperti sandaran, membuang apa-apa yang tiada di dalamnya",
+    backup_area_transactions: "Transaksi",
+    backup_area_accounts: "Carta akaun",
+    backup_area_rules: "Peraturan pengkategorian",
+    backup_area_recurring: "Transaksi berulang",
+    backup_area_settings: "Tetapan",
+    backup_area_locks: "Tempoh dikunci",
+    backup_area_bank: "Penyata bank",
+    backup_area_budgets: "Bajet",
+    backup_area_language: "Bahasa",
+    backup_area_company: "Nama syarikat",
+    backup_diff_new: (count) => `${count} baharu`,
+    backup_diff_existing: (count) => `${count} sedia ada (dikekalkan)`,
+    backup_diff_locked: (count) => `${count} dalam tempoh dikunci (dilangkau)`,
+    backup_diff_duplicates: (count) => `${count} kemungkinan pendua`,
+    backup_diff_rejected: (count) => `${count} baris tidak boleh dibaca kerana tiada tarikh, amaun atau kategori (tidak dipulihkan)`,
+    backup_diff_replace: (added, changed, removed) => `${added} ditambah, ${changed} diubah, ${removed} dibuang`,
+    backup_no_changes: "Tiada perubahan",
+    backup_none: "Tiada",
+    backup_settings_changed: (keys) => `Diubah: ${keys}`,
+    backup_bank_lines: (count, current) => `${count} baris (kini ${current})`,
+    backup_budget_months: (count, current) => `${count} bulan berbajet (kini ${current})`,
+    backup_apply_merge: "Gabung",
+    backup_apply_replace: "Ganti",
+    backup_replace_confirm: "Ganti data syarikat ini dengan sandaran? Transaksi yang dibuang masih boleh dipulihkan daripada jejak audit.",
+    import_wizard_title: (fileName) => `Import ${fileName}`,
+    import_step_columns: "1. Lajur",
+    import_has_header: "Baris pertama mengandungi tajuk lajur",
+    import_map_date: "Lajur tarikh",
+    import_map_description: "Lajur keterangan",
+    import_map_amount: "Lajur jumlah",
+    import_map_category: "Lajur kategori",
+    import_date_format: "Format tarikh",
+    import_column: (n) => `Lajur ${n}`,
+    import_column_none: "(tiada)",
+    import_step_categories: "2. Kategori",
+    import_default_category: "Rekod setiap baris sebagai:",
+    import_unmapped: "-- Pilih akaun --",
+    import_step_preview: "3. Pratonton",
+    import_preview_summary: (valid, invalid) => `${valid} baris sedia untuk diimport, ${invalid} baris mempunyai ralat.`,
+    import_preview_truncated: (limit, total) => `Menunjukkan ${limit} daripada ${total} baris pertama.`,
+    import_th_row: "Baris",
+    import_th_status: "Status",
+    import_row_ok: "OK",
+    import_err_date: "Tarikh tidak sah untuk format yang dipilih",
+    import_err_description: "Keterangan kosong",
+    import_err_amount: "Jumlah bukan nombor melebihi sifar",
+    import_err_category: "Kategori belum dipetakan ke akaun",
+    import_err_category_form: "Aset tetap dan pinjaman mesti dimasukkan melalui borang",
+    import_err_locked: "Tarikh berada dalam tempoh yang dikunci atau ditutup",
+    import_commit: (count) => `Import ${count} Baris`,
+    import_skip_invalid_confirm: (count) => `${count} baris mempunyai ralat dan akan dilangkau. Teruskan?`,
+    import_rows_skipped: (count) => `${count} baris dengan ralat telah dilangkau.`,
+    import_duplicate_of: (existing) => `Kemungkinan pendua bagi ${existing}`,
+    import_skip_duplicates: (count) => `Langkau ${count} kemungkinan pendua bagi transaksi sedia ada`,
+    import_duplicates_skipped: (count) => `${count} kemungkinan pendua telah dilangkau.`,
+    duplicate_confirm: (existing) => `Transaksi ini kelihatan sudah direkodkan:\n\n${existing}\n\nSimpan juga?`,
+    find_duplicates: "Cari Pendua",
+    duplicates_title: "Kemungkinan Pendua",
+    duplicates_hint: (days) => `Transaksi dengan jumlah yang sama, tarikh dalam lingkungan ${days} hari dan keterangan yang serupa. Padam salinan tambahan, atau tandakan kumpulan sebagai bukan pendua.`,
+    duplicates_none: "Tiada kemungkinan pendua ditemui.",
+    duplicates_dismiss: "Bukan pendua",
+    tab_bank: "Bank",
+    bank_title: "Penyesuaian Bank",
+    bank_desc: "Import penyata bank (OFX, atau eksport CSV daripada bank anda). Baris dipadankan dengan transaksi yang direkodkan mengikut jumlah, tarikh dan keterangan. Baris yang tidak sepadan boleh direkodkan dengan satu klik.",
+    bank_import: "Import Penyata",
+    bank_auto_match: "Padan Automatik",
+    bank_clear: "Kosongkan Penyata",
+    bank_clear_confirm: "Buang semua baris penyata yang diimport? Transaksi yang direkodkan tidak terjejas.",
+    bank_empty: "Belum ada penyata bank diimport.",
+    bank_th_balance: "Baki",
+    bank_th_status: "Status",
+    bank_matched: (date, description) => `Dipadankan: ${date} ${description}`,
+    bank_unmatch: "Nyahpadan",
+    bank_create: "Rekod",
+    bank_choose_account: "Sila pilih akaun untuk baris penyata ini.",
+    bank_import_success: (count, duplicates, matched) => `${count} baris penyata diimport${duplicates ? `, ${duplicates} sudah diimport` : ''}. ${matched} dipadankan secara automatik.`,
+    bank_auto_match_result: (count) => `${count} baris penyata dipadankan.`,
+    bank_recon_title: "Penyata Penyesuaian",
+    bank_recon_as_at: (date) => `Pada ${date}`,
+    bank_no_balance: "Penyata tiada baki berjalan pada atau sebelum tarikh ini, jadi baki bank tidak dapat disesuaikan.",
+    bank_balance_per_bank: "Baki Mengikut Penyata Bank",
+    bank_outstanding: "Tambah/(Tolak): Entri Buku Belum Dalam Penyata",
+    bank_unrecorded: "(Tolak)/Tambah: Baris Penyata Belum Direkodkan",
+    bank_adjusted_balance: "Baki Bank Terlaras",
+    bank_balance_per_books: "Baki Tunai & Bank Mengikut Buku",
+    bank_reconciled: "Baki bank dan buku adalah sepadan.",
+    bank_unreconciled: (diff) => `Perbezaan belum disesuaikan sebanyak ${diff}.`,
+    category_suggested: (category, source) => `Cadangan: ${category} (${source})`,
+    category_source_rule: "daripada peraturan anda",
+    category_source_learned: "dipelajari daripada transaksi lepas",
+    category_source_suggested: "dicadangkan",
+    rules_title: "Peraturan Pengkategorian",
+    rules_desc: "Apabila keterangan mengandungi kata kunci, akaun akan dicadangkan secara automatik. Peraturan diutamakan berbanding cadangan yang dipelajari daripada transaksi lepas; kata kunci terpanjang yang sepadan akan digunakan.",
+    rules_keyword: "Keterangan mengandungi",
+    rules_category: "Akaun",
+    rules_add: "Tambah Peraturan",
+    rules_add_success: "Peraturan ditambah.",
+    rules_empty: "Belum ada peraturan. Cadangan dipelajari daripada transaksi lepas.",
+    tab_recurring: "Berulang",
+    recurring_title: "Transaksi Berulang",
+    recurring_desc: "Tetapkan sewa, gaji dan entri tetap lain sekali sahaja. Kejadian yang sampai tempoh dicatat apabila aplikasi dimulakan, atau dibariskan di bawah untuk pengesahan. Ansuran pinjaman sudah dijana daripada jadual pinjaman.",
+    recurring_frequency: "Kekerapan",
+    recurring_freq_weekly: "Mingguan",
+    recurring_freq_monthly: "Bulanan",
+    recurring_freq_yearly: "Tahunan",
+    recurring_start: "Tarikh mula",
+    recurring_end: "Tarikh tamat (pilihan)",
+    recurring_auto_post: "Catat secara automatik apabila sampai tempoh (jika tidak, minta pengesahan)",
+    recurring_add: "Tambah Transaksi Berulang",
+    recurring_add_success: "Transaksi berulang ditambah.",
+    recurring_due_title: "Menunggu Pengesahan",
+    recurring_due_empty: "Tiada yang menunggu pengesahan.",
+    recurring_empty: "Belum ada transaksi berulang.",
+    recurring_next: "Seterusnya",
+    recurring_status: "Status",
+    recurring_status_auto: "Dicatat automatik",
+    recurring_status_confirm: "Perlu pengesahan",
+    recurring_status_paused: "Dijeda",
+    recurring_status_ended: "Tamat",
+    recurring_skipped_count: (count) => `${count} kejadian dilangkau`,
+    recurring_post: "Catat",
+    recurring_post_all: (count) => `Catat Semua (${count})`,
+    recurring_posted: (count) => `${count} transaksi berulang dicatat.`,
+    recurring_skip: "Langkau",
+    recurring_skip_next: "Langkau Seterusnya",
+    recurring_skip_confirm: (date) => `Langkau kejadian pada ${date}? Ia tidak akan dicatat.`,
+    recurring_pause: "Jeda",
+    recurring_resume: "Sambung",
+    recurring_delete_confirm: "Padam transaksi berulang ini? Entri yang sudah dicatat akan dikekalkan.",
+    recurring_startup: (posted, queued) => `${posted} transaksi berulang dicatat, ${queued} menunggu pengesahan di tab Berulang.`,
+    tab_budget: "Bajet",
+    budget_title: "Bajet Bulanan",
+    budget_desc: "Masukkan jangkaan pendapatan dan perbelanjaan bagi setiap akaun sebagai amaun positif. Biarkan kosong jika tiada bajet.",
+    budget_growth: "Pertumbuhan %:",
+    budget_copy: "Salin Angka Sebenar Tahun Lepas",
+    budget_copy_confirm: "Gantikan bajet tahun ini dengan angka sebenar tahun lepas?",
+    budget_copied: (growth) => `Bajet disalin daripada angka sebenar tahun lepas dengan pertumbuhan ${growth}%.`,
+    budget_total: "Jumlah",
+    budget_budget: "Bajet",
+    budget_actual: "Sebenar",
+    budget_month: "Bulan",
+    budget_budgeted_profit: "Keuntungan Dibajet",
+    budget_actual_profit: "Keuntungan Sebenar",
+    budget_vs_actual_title: "Bajet berbanding Sebenar",
+    budget_vs_actual_empty: "Tiada angka bajet atau sebenar bagi tempoh ini.",
+    chart_budget_income: "Pendapatan Dibajet",
+    chart_budget_spending: "Perbelanjaan Dibajet",
+    chart_show_budget: "Tunjuk bajet",
+    ratio_current_ratio: "Nisbah Semasa",
+    ratio_current_ratio_desc: "Aset semasa dibahagi liabiliti semasa: berapa kali bil yang perlu dibayar dalam setahun dilindungi oleh tunai, penghutang dan aset jangka pendek lain.",
+    ratio_quick_ratio: "Nisbah Cepat",
+    ratio_quick_ratio_desc: "Seperti nisbah semasa, tetapi hanya mengira aset yang cepat menjadi tunai. Prabayaran tidak diambil kira.",
+    ratio_gross_margin: "Margin Kasar",
+    ratio_gross_margin_desc: "Hasil tolak kos jualan, sebagai bahagian daripada hasil. Kelaskan kos langsung di bawah item Kos Jualan dalam carta akaun.",
+    ratio_net_margin: "Margin Bersih",
+    ratio_net_margin_desc: "Keuntungan bersih sebagai bahagian daripada jumlah pendapatan: berapa banyak daripada setiap RM1 yang diperoleh disimpan sebagai keuntungan.",
+    ratio_expense_ratio: "Perbelanjaan kepada Hasil",
+    ratio_expense_ratio_desc: "Jumlah perbelanjaan sebagai bahagian daripada jumlah pendapatan. Setiap akaun perbelanjaan disenaraikan dengan bahagiannya sendiri.",
+    ratio_debt_to_equity: "Hutang kepada Ekuiti",
+    ratio_debt_to_equity_desc: "Jumlah liabiliti dibahagi ekuiti, termasuk pendapatan tertahan. Nilai lebih tinggi bermakna perniagaan lebih bergantung pada wang pinjaman.",
+    ratio_cash_burn: "Aliran Tunai Bulanan",
+    ratio_cash_burn_desc: "Purata perubahan bersih tunai sebulan bagi tempoh ini. Angka negatif ialah penggunaan tunai bulanan.",
+    ratio_revenue_growth: "Pertumbuhan Hasil (BkB)",
+    ratio_revenue_growth_desc: "Hasil bulan terakhir tempoh ini berbanding bulan sebelumnya.",
+    ratio_threshold: (direction, value) => `Sihat: ${direction} ${value}`,
+    ratio_set_threshold: "Tetapkan ambang sihat",
+    ratio_threshold_prompt: (name, isPercent) => `Ambang sihat bagi ${name}${isPercent ? ' (dalam %)' : ''}. Biarkan kosong untuk lalai.`,
+    ratio_threshold_invalid: "Sila masukkan nombor",
+    ratio_not_applicable: "t/b",
+    ratio_quick_assets: "Aset cepat",
+    ratio_gross_profit: "Untung kasar",
+    ratio_months: "Bulan",
+    ratio_transactions: (count) => `Transaksi di sebalik angka ini (${count} baris)`,
+    ratio_more: (shown, total) => `Menunjukkan ${shown} terkini daripada ${total} baris.`,
+    ratio_debit: "Debit",
+    ratio_credit: "Kredit",
+    forecast_title: "Ramalan Aliran Tunai",
+    forecast_desc: (months) => `Diunjurkan daripada purata aliran tunai harian bagi ${months} bulan lengkap terakhir, ditambah transaksi berulang dan ansuran pinjaman yang telah dijadualkan.`,
+    forecast_horizon: "Ramalan:",
+    forecast_months: (months) => `${months} bulan`,
+    forecast_today: "Hari Ini",
+    forecast_cash_today: "Tunai Hari Ini",
+    forecast_cash_end: (month) => `Unjuran Tunai, ${month}`,
+    forecast_runway: "Jangka Hayat Tunai",
+    forecast_runway_months: (months) => `${months} bulan`,
+    forecast_runway_estimate: (months) => `Kira-kira ${months} bulan`,
+    forecast_runway_none: "Tidak berkurangan",
+    forecast_warning: (month, amount) => `Amaran: tunai dijangka habis pada ${month}, mencecah ${formatAccounting(amount)}.`,
+    forecast_baseline: "Dagangan Harian",
+    forecast_recurring: "Berulang",
+    forecast_loans: "Ansuran Pinjaman",
+    forecast_net: "Aliran Tunai Bersih",
+    forecast_closing: "Unjuran Baki Tunai",
+    label_company: "Syarikat:",
+    company_new: "Baharu",
+    company_edit: "Butiran",
+    company_name_prompt: "Nama syarikat:",
+    company_reg_prompt: "Nombor pendaftaran (SSM), dicetak pada setiap penyata:",
+    company_saved: "Butiran syarikat disimpan.",
+    company_switch_confirm: "Buang transaksi yang sedang diedit dan tukar syarikat?",
+    storage_write_error: (detail) => `Perubahan terakhir anda tidak dapat disimpan (${detail}). Eksport sandaran sekarang dan muat semula halaman sebelum membuat perubahan lain.`,
+    storage_quota_error: "Storan pelayar penuh, jadi perubahan terakhir anda tidak disimpan. Eksport sandaran dan buang data lama sebelum membuat perubahan lain.",
+    storage_load_error: (detail) => `Transaksi anda tidak dapat dimuatkan (${detail}). Tiada apa-apa yang diubah. Tutup tab SmartBook yang lain dan muat semula halaman.`,
     sopl_title: "Penyata Untung Rugi (SOPL)",
     sofp_title: "Penyata Kedudukan Kewangan (SOFP)",
     socf_title: "Penyata Aliran Tunai (SOCF)",
@@ -371,868 +3170,5035 @@ const L_ML = {
     cat_equipment: "Pembelian Peralatan (Aset)",
     cat_drawings: "Pengeluaran Pemilik",
     
-    // Add other translations as needed (following same pattern as L_EN)
-    "Revenue": "Hasil",
-    "Other Income": "Pendapatan Lain",
-    "Operating Expenses": "Perbelanjaan Operasi",
-    "Cash & Bank Balance": "Tunai & Baki Bank",
-    "Equipment": "Peralatan",
-    "Owner's Capital": "Modal Pemilik",
-    "Loan Payable": "Pinjaman Belum Bayar",
-    "Owner's Drawings": "Pengeluaran Pemilik",
-    "Sales Revenue": "Hasil Jualan",
-    "Interest Income": "Pendapatan Faedah",
-    "Rent Expense": "Belanja Sewa",
-    "Utilities Expense": "Belanja Utiliti",
-    "Wages & Salaries Expense": "Belanja Gaji & Upah",
-    "Supplies Expense": "Belanja Bekalan",
-    "Other Operating Expense": "Belanja Operasi Lain"
+    // Report Sections
+    report_revenue: "HASIL",
+    report_expenses: "PERBELANJAAN",
+    report_total_revenue: "JUMLAH HASIL",
+    report_total_expenses: "JUMLAH PERBELANJAAN",
+    report_net_profit: "UNTUNG / (RUGI) BERSIH",
+    report_assets: "ASET",
+    report_liabilities_equity: "LIABILITI & EKUITI",
+    report_current_assets: "Aset Semasa",
+    report_non_current_assets: "Aset Bukan Semasa",
+    report_cash: "Tunai & Baki Bank",
+    report_total_current_assets: "Jumlah Aset Semasa",
+    report_total_non_current_assets: "Jumlah Aset Bukan Semasa",
+    report_total_assets: "JUMLAH ASET",
+    report_liabilities: "Liabiliti",
+    report_current_liabilities: "Liabiliti Semasa",
+    report_non_current_liabilities: "Liabiliti Bukan Semasa",
+    report_total_current_liabilities: "Jumlah Liabiliti Semasa",
+    report_total_non_current_liabilities: "Jumlah Liabiliti Bukan Semasa",
+    report_total_liabilities: "Jumlah Liabiliti",
+    report_equity: "Ekuiti",
+    report_opening_capital: "Modal Permulaan + Pengeluaran/Suntikan",
+    report_retained_earnings: "Untung Terkumpul (termasuk Untung Semasa)",
+    report_closing_equity: "EKUITI PENUTUPAN",
+    report_total_l_e: "JUMLAH LIABILITI & EKUITI",
+    report_balance_check: (check, diff) => `Status Persamaan Perakaunan: ${check} (Perbezaan: ${formatCurrency(diff)})`,
+    report_balanced: "Seimbang",
+    report_unbalanced: "TIDAK SEIMBANG!",
+    
+    // Cash Flow
+    cf_operating: "ALIRAN TUNAI DARIPADA AKTIVITI OPERASI",
+    cf_investing: "ALIRAN TUNAI DARIPADA AKTIVITI PELABURAN",
+    cf_financing: "ALIRAN TUNAI DARIPADA AKTIVITI PEMBIAYAAN",
+    cf_net_op: "Tunai Bersih daripada Aktiviti Operasi",
+    cf_net_inv: "Tunai Bersih daripada Aktiviti Pelaburan",
+    cf_net_fin: "Tunai Bersih daripada Aktiviti Pembiayaan",
+    cf_net_change: "Kenaikan / (Penurunan) Bersih dalam Tunai",
+    cf_opening_cash: "Tunai pada Awal Tempoh",
+    cf_ending_cash: "BAKI TUNAI AKHIR",
+    cf_reconciliation_check: (check, sofpCash, diff) => `Penyesuaian Tunai: ${check} (Tunai SOFP: ${formatCurrency(sofpCash)}, Perbezaan: ${formatCurrency(diff)})`,
+    cf_reconciled: "Sepadan dengan SOFP",
+    cf_unreconciled: "TIDAK SEPADAN DENGAN SOFP!",
+    
+    // Chart of Accounts
+    coa_add_title: "Tambah Akaun",
+    coa_edit_title: "Sunting Akaun",
+    coa_name_en: "Nama (Bahasa Inggeris)",
+    coa_name_ml: "Nama (Bahasa Melayu)",
+    coa_th_name: "Akaun",
+    coa_report: "Laporan",
+    coa_line_item: "Item Baris",
+    coa_effect: "Kesan",
+    coa_effect_increase: "Tambah (+)",
+    coa_effect_decrease: "Kurang (-)",
+    coa_flow: "Kelas Aliran Tunai",
+    coa_add_button: "Tambah Akaun",
+    coa_update_button: "Kemaskini Akaun",
+    coa_archive: "Arkib",
+    coa_restore: "Pulihkan",
+    coa_add_success: "Akaun berjaya ditambah!",
+    coa_update_success: "Akaun berjaya dikemaskini!",
+    
+    // Add other translations as needed (following same pattern as L_EN)
+    "Revenue": "Hasil",
+    "Other Income": "Pendapatan Lain",
+    "Cost of Sales": "Kos Jualan",
+    "Operating Expenses": "Perbelanjaan Operasi",
+    "Cash & Bank Balance": "Tunai & Baki Bank",
+    "Trade Receivables": "Penghutang Perdagangan",
+    "Trade Payables": "Pemiutang Perdagangan",
+    "Prepayments": "Prabayaran",
+    "Depreciation": "Susut Nilai",
+    "Gain / (Loss) on Disposal": "Untung / (Rugi) Pelupusan",
+    "Accumulated Depreciation": "Tolak: Susut Nilai Terkumpul",
+    "Finance Costs": "Kos Kewangan",
+    "Finance Cost": "Kos Kewangan (Faedah)",
+    "Current Portion of Borrowings": "Bahagian Semasa Pinjaman",
+    "Retained Earnings": "Untung Terkumpul (Dibawa ke Hadapan)",
+    "Equipment": "Peralatan",
+    "Owner's Capital": "Modal Pemilik",
+    "Loan Payable": "Pinjaman Belum Bayar",
+    "Owner's Drawings": "Pengeluaran Pemilik",
+    "Sales Revenue": "Hasil Jualan",
+    "Interest Income": "Pendapatan Faedah",
+    "Rent Expense": "Belanja Sewa",
+    "Utilities Expense": "Belanja Utiliti",
+    "Wages & Salaries Expense": "Belanja Gaji & Upah",
+    "Supplies Expense": "Belanja Bekalan",
+    "Other Operating Expense": "Belanja Operasi Lain"
+};
+
+// --- UTILITY FUNCTIONS ---
+const formatCurrency = (amount) => {
+    if (isNaN(amount)) return 'RM 0.00';
+    return new Intl.NumberFormat('en-MY', { 
+        style: 'currency', 
+        currency: 'MYR',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(amount);
+};
+
+// User-entered account names end up in innerHTML
+const escapeHtml = (text) => {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+// Negative amounts shown in brackets, as on printed statements
+const formatAccounting = (amount) => {
+    return amount < 0 ? `(${formatCurrency(amount * -1)})` : formatCurrency(amount);
+};
+
+const formatPercentage = (value) => {
+    return new Intl.NumberFormat('en-US', { 
+        style: 'percent', 
+        minimumFractionDigits: 1, 
+        maximumFractionDigits: 1 
+    }).format(value);
+};
+
+function showStatusMessage(message, color = 'green') {
+    const statusMessage = document.getElementById('status-message');
+    if (!statusMessage) return;
+    
+    statusMessage.textContent = message;
+    statusMessage.className = `text-sm mt-2 text-center text-${color}-600 block`;
+    
+    if (color !== 'indigo') {
+        setTimeout(() => {
+            statusMessage.className = 'hidden';
+        }, 4000);
+    }
+}
+
+// A failed write means data was not saved, so the error stays on screen until dismissed
+function reportStorageError(error, describe = null) {
+    console.error('Storage failed:', error);
+    const banner = document.getElementById('storage-error');
+    if (!banner || !L) return;
+    
+    const detail = error && error.message ? error.message : String(error);
+    const isQuota = error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    document.getElementById('storage-error-message').textContent = describe
+        ? describe(detail)
+        : isQuota ? L.storage_quota_error : L.storage_write_error(detail);
+    banner.classList.remove('hidden');
+}
+
+window.dismissStorageError = function() {
+    document.getElementById('storage-error').classList.add('hidden');
+};
+
+function formatMonthYear(yyyyMm) {
+    if (!yyyyMm) return 'No period selected';
+    const [year, month] = yyyyMm.split('-');
+    const date = new Date(year, month - 1, 1);
+    const locale = currentLanguage === 'ml' ? 'ms-MY' : 'en-US';
+    return date.toLocaleDateString(locale, { year: 'numeric', month: 'long' });
+}
+
+function formatShortMonth(yyyyMm) {
+    const [year, month] = yyyyMm.split('-');
+    const locale = currentLanguage === 'ml' ? 'ms-MY' : 'en-US';
+    return new Date(year, month - 1, 1).toLocaleDateString(locale, { month: 'short' });
+}
+
+function formatReportDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const locale = currentLanguage === 'ml' ? 'ms-MY' : 'en-US';
+    return new Date(year, month - 1, day).toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Short period name for headings and PDF file names, e.g. "Q1 FY2026"
+function describeReportPeriod(period) {
+    const financialYear = getFinancialYearEnd(period.start).substring(0, 4);
+    switch (period.type) {
+        case 'quarter':
+            return L.period_quarter(period.index, financialYear);
+        case 'half':
+            return L.period_half(period.index, financialYear);
+        case 'ytd':
+            return L.period_ytd(formatMonthYear(period.end.substring(0, 7)));
+        case 'year':
+            return L.period_year(financialYear);
+        case 'custom':
+            return `${formatReportDate(period.start)} - ${formatReportDate(period.end)}`;
+        default:
+            return formatMonthYear(period.start.substring(0, 7));
+    }
+}
+
+// Subtitle of flow statements (SOPL, SOCF), which cover the whole period
+function describePeriodRange(period) {
+    if (period.type === 'month') return L.period_for_month(describeReportPeriod(period));
+    if (period.type === 'custom') return L.period_for_range(formatReportDate(period.start), formatReportDate(period.end));
+    return `${describeReportPeriod(period)}: ${L.period_for_range(formatReportDate(period.start), formatReportDate(period.end))}`;
+}
+
+// --- LANGUAGE MANAGEMENT ---
+window.setLanguage = function(lang) {
+    currentLanguage = lang;
+    L = lang === 'ml' ? L_ML : L_EN;
+    localStorage.setItem(companyManager.scopedKey('appLanguage'), lang);
+    
+    updateUIWithLanguage();
+    renderTransactionList();
+    updateReportsView();
+    
+    // Update language selector
+    const langSelect = document.getElementById('language-select');
+    if (langSelect) langSelect.value = lang;
+    
+    // Restore current view
+    if (currentView) showView(currentView);
+};
+
+function updateUIWithLanguage() {
+    // Update form labels
+    const elements = {
+        'app-subtitle': settingsManager.get('accountingBasis') === 'accrual' ? L.subtitle_accrual : L.subtitle,
+        'label-basis': L.label_basis,
+        'label-company': L.label_company,
+        'label-company-new': L.company_new,
+        'label-company-edit': L.company_edit,
+        'label-payment-status': L.label_payment_status,
+        'label-recognition-date': L.label_recognition_date,
+        'form-title': L.form_title,
+        'label-date': L.label_date,
+        'label-description': L.label_description,
+        'label-category': L.label_category,
+        'label-amount': L.label_amount,
+        'transaction-button': editingTransactionId ? L.update_button : L.record_button,
+        'cancel-edit-button': L.cancel_button,
+        'report-viewer-title': L.report_viewer_title,
+        'label-reporting-period': L.label_reporting_period,
+        'label-report-compare': L.label_compare,
+        'tab-transactions': L.tab_transactions,
+        'tab-sopl': L.tab_sopl,
+        'tab-sofp': L.tab_sofp,
+        'tab-socf': L.tab_socf,
+        'tab-dashboard': L.tab_dashboard,
+        'tab-accounts': L.tab_accounts,
+        'tab-assets': L.tab_assets,
+        'tab-loans': L.tab_loans,
+        'tab-yearend': L.tab_yearend,
+        'tab-bank': L.tab_bank,
+        'tab-recurring': L.tab_recurring,
+        'tab-budget': L.tab_budget,
+        'label-loan-rate': L.label_loan_rate,
+        'label-loan-tenure': L.label_loan_tenure,
+        'label-loan-first-repayment': L.label_loan_first_repayment,
+        'label-useful-life': L.label_useful_life,
+        'label-residual-value': L.label_residual_value,
+        'label-depreciation-method': L.label_depreciation_method,
+        'transactions-header': L.list_header,
+        'th-actions': L.th_actions,
+        'data-title': L.data_title,
+        'label-export': L.label_export,
+        'label-import': L.label_import,
+        'import-hint': L.import_hint,
+        'find-duplicates-button': L.find_duplicates,
+        'label-clear': L.label_clear
+    };
+    
+    for (const [id, text] of Object.entries(elements)) {
+        const element = document.getElementById(id);
+        if (element) {
+            if (element.tagName === 'INPUT' || element.tagName === 'BUTTON') {
+                if (id === 'transaction-button') {
+                    element.textContent = text;
+                }
+            } else {
+                element.textContent = text;
+            }
+        }
+    }
+    
+    updateCompanySelect();
+    renderEncryptionPanel();
+    renderHistoryControls();
+    
+    // Update category dropdown
+    updateCategoryDropdown();
+    updatePaymentStatusDropdown();
+    updateReportPeriodDropdown();
+    
+    const methodSelect = document.getElementById('depreciation-method');
+    if (methodSelect) {
+        const selectedMethod = methodSelect.value || 'straight-line';
+        methodSelect.innerHTML = `
+            <option value="straight-line">${L['method_straight-line']}</option>
+            <option value="reducing-balance">${L['method_reducing-balance']}</option>
+        `;
+        methodSelect.value = selectedMethod;
+    }
+}
+
+function updateReportPeriodDropdown() {
+    const periodSelect = document.getElementById('report-period-type');
+    if (!periodSelect) return;
+    
+    const selectedValue = periodSelect.value || 'month';
+    periodSelect.innerHTML = REPORT_PERIOD_TYPES
+        .map(type => `<option value="${type}">${L[`period_type_${type}`]}</option>`)
+        .join('');
+    periodSelect.value = selectedValue;
+    
+    const compareSelect = document.getElementById('report-compare');
+    const selectedCompare = compareSelect.value || 'none';
+    compareSelect.innerHTML = COMPARE_OPTIONS
+        .map(option => `<option value="${option}">${L[`compare_${option}`]}</option>`)
+        .join('');
+    compareSelect.value = selectedCompare;
+}
+
+function updatePaymentStatusDropdown() {
+    const statusSelect = document.getElementById('payment-status');
+    if (!statusSelect) return;
+    
+    const selectedValue = statusSelect.value || 'cash';
+    statusSelect.innerHTML = `
+        <option value="cash">${L.status_paid}</option>
+        <option value="credit">${L.status_unpaid}</option>
+        <option value="prepayment">${L.status_prepaid}</option>
+    `;
+    statusSelect.value = selectedValue;
+    
+    const basisSelect = document.getElementById('basis-select');
+    if (basisSelect) {
+        basisSelect.innerHTML = `
+            <option value="cash">${L.basis_cash}</option>
+            <option value="accrual">${L.basis_accrual}</option>
+        `;
+        basisSelect.value = settingsManager.get('accountingBasis');
+    }
+}
+
+function updateCategoryDropdown() {
+    const categorySelect = document.getElementById('category');
+    if (!categorySelect) return;
+    
+    const selectedValue = categorySelect.value;
+    
+    const groups = [
+        { key: 'income', label: L.cat_group_income },
+        { key: 'expense', label: L.cat_group_expense },
+        { key: 'investment', label: L.cat_group_investment }
+    ];
+    
+    categorySelect.innerHTML = `<option value="" disabled selected>${L.cat_select}</option>` + groups.map(group => {
+        const options = chartOfAccounts.getAccounts()
+            .filter(account => getAccountGroup(account) === group.key)
+            .map(account => `<option value="${escapeHtml(account.id)}">${escapeHtml(getCategoryDisplayName(account.id))}</option>`)
+            .join('');
+        return options ? `<optgroup label="${group.label}">${options}</optgroup>` : '';
+    }).join('');
+    
+    // Restore selected value
+    if (selectedValue) {
+        categorySelect.value = selectedValue;
+    }
+}
+
+// Dropdown group follows the direction of the cash movement
+function getAccountGroup(account) {
+    if (account.report === 'SOPL' && account.effect === -1) return 'expense';
+    return buildJournalLines(account.id, 1)[0].account === CASH_ACCOUNT ? 'income' : 'investment';
+}
+
+window.showLanguageModal = function() {
+    document.getElementById('language-modal').classList.remove('hidden');
+};
+
+window.selectLanguageAndStart = function(lang) {
+    window.setLanguage(lang);
+    document.getElementById('language-modal').classList.add('hidden');
+    initializeApp();
+};
+
+// --- TRANSACTION CRUD OPERATIONS ---
+window.editTransaction = function(transaction) {
+    if (!transactionManager.isPeriodOpen(transaction.date)) {
+        showStatusMessage(L.period_locked_edit(transaction.date.substring(0, 7)), 'red');
+        return;
+    }
+    editingTransactionId = transaction.id;
+    document.getElementById('date').value = transaction.date;
+    document.getElementById('description').value = transaction.description;
+    document.getElementById('category').value = transaction.category;
+    document.getElementById('amount').value = transaction.amount;
+    document.getElementById('category-suggestion').classList.add('hidden');
+    categoryAutoFilled = false;
+    updatePaymentStatusFields(transaction.entryType);
+    updateAssetFields(transaction.asset);
+    updateLoanFields(transaction.loan);
+    document.getElementById('transaction-button').textContent = L.update_button;
+    document.getElementById('cancel-edit-button').classList.remove('hidden');
+    showStatusMessage(L.status_edit_id(editingTransactionId), 'indigo');
+    document.getElementById('transaction-form').scrollIntoView({ behavior: 'smooth' });
+};
+
+window.resetForm = function() {
+    editingTransactionId = null;
+    document.getElementById('transaction-form').reset();
+    const today = new Date();
+    document.getElementById('date').value = today.toISOString().split('T')[0];
+    updatePaymentStatusFields('cash');
+    updateAssetFields();
+    updateLoanFields();
+    document.getElementById('transaction-button').textContent = L.record_button;
+    document.getElementById('cancel-edit-button').classList.add('hidden');
+    document.getElementById('status-message').className = 'hidden';
+    document.getElementById('category-suggestion').classList.add('hidden');
+    categoryAutoFilled = false;
+};
+
+window.deleteTransaction = function(id) {
+    if (confirm('Are you sure you want to delete this transaction?')) {
+        try {
+            transactionManager.deleteTransaction(id);
+        } catch (error) {
+            showStatusMessage(`Error: ${error.message}`, 'red');
+            return;
+        }
+        showStatusMessage(L.status_delete_success, 'green');
+        renderTransactionList();
+        updateReportsView();
+        
+        if (editingTransactionId === id) {
+            resetForm();
+        }
+    }
+};
+
+window.settleTransaction = function(id) {
+    const today = new Date().toISOString().split('T')[0];
+    const settlementDate = prompt(L.settle_prompt, today);
+    if (!settlementDate) return;
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(settlementDate)) {
+        showStatusMessage(L.settle_invalid_date, 'red');
+        return;
+    }
+    
+    try {
+        transactionManager.settleTransaction(id, settlementDate);
+        showStatusMessage(L.settle_success, 'green');
+        renderTransactionList();
+        updateReportsView();
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+};
+
+// Shows the fixed asset fields when the selected category is a non-current asset
+function updateAssetFields(asset) {
+    const group = document.getElementById('asset-fields-group');
+    if (!group) return;
+    
+    const category = document.getElementById('category').value;
+    group.classList.toggle('hidden', !isFixedAssetCategory(category));
+    
+    if (asset !== undefined || !isFixedAssetCategory(category)) {
+        document.getElementById('useful-life').value = asset ? asset.usefulLifeMonths / 12 : '';
+        document.getElementById('residual-value').value = asset ? asset.residualValue : '';
+        document.getElementById('depreciation-method').value = asset ? asset.method : 'straight-line';
+    }
+}
+
+window.disposeAsset = function(id) {
+    const today = new Date().toISOString().split('T')[0];
+    const disposalDate = prompt(L.dispose_date_prompt, today);
+    if (!disposalDate) return;
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(disposalDate)) {
+        showStatusMessage(L.settle_invalid_date, 'red');
+        return;
+    }
+    
+    const proceeds = parseFloat(prompt(L.dispose_proceeds_prompt, '0'));
+    
+    try {
+        transactionManager.disposeAsset(id, disposalDate, proceeds);
+        showStatusMessage(L.dispose_success, 'green');
+        renderAssetRegister();
+        updateReportsView();
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+};
+
+function renderAssetRegister() {
+    const assetsView = document.getElementById('view-assets');
+    if (!assetsView) return;
+    
+    const today = new Date().toISOString().split('T')[0];
+    const assets = transactionManager.transactions
+        .filter(t => isFixedAssetCategory(t.category))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    
+    if (assets.length === 0) {
+        assetsView.innerHTML = `<div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 text-center text-gray-500">${L.asset_none}</div>`;
+        return;
+    }
+    
+    const rows = assets.map((t, index) => {
+        const asset = t.asset;
+        const disposal = asset && asset.disposal;
+        const asOf = disposal ? disposal.date : today;
+        const charged = calculateDepreciationSchedule(t).filter(row => row.date <= asOf && (!disposal || row.date < disposal.date));
+        const accumulated = charged.length ? charged[charged.length - 1].accumulated : 0;
+        
+        let status = L.asset_status_active;
+        if (!asset) status = L.asset_status_no_schedule;
+        else if (disposal) status = L.asset_status_disposed(disposal.date, formatCurrency(disposal.proceeds));
+        
+        return `
+            <tr class="${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}">
+                <td class="px-3 py-2 whitespace-nowrap text-sm">${t.date}</td>
+                <td class="px-3 py-2 text-sm text-gray-900">${escapeHtml(t.description)}</td>
+                <td class="px-3 py-2 text-sm">${asset ? `${L[`method_${asset.method}`]} / ${asset.usefulLifeMonths / 12} ${L.asset_years}` : '-'}</td>
+                <td class="px-3 py-2 text-sm text-right">${formatCurrency(t.amount)}</td>
+                <td class="px-3 py-2 text-sm text-right">${formatAccounting(-accumulated)}</td>
+                <td class="px-3 py-2 text-sm text-right font-medium">${disposal ? '-' : formatCurrency(t.amount - accumulated)}</td>
+                <td class="px-3 py-2 text-sm">${status}</td>
+                <td class="px-3 py-2 whitespace-nowrap text-sm text-center">
+                    ${asset && !disposal ? `<button onclick="disposeAsset('${t.id}')" class="text-red-600 hover:text-red-800 font-medium">${L.asset_dispose}</button>` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    assetsView.innerHTML = `
+        <div class="mt-4 pt-4 border-t">
+            <h3 class="text-xl font-semibold mb-4 text-gray-800">${L.asset_register_title}</h3>
+            <div class="bg-white rounded-xl shadow-lg overflow-x-auto">
+                <table class="min-w-full divide-y divide-gray-200">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.th_date}</th>
+                            <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.th_description}</th>
+                            <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.asset_th_method}</th>
+                            <th class="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">${L.asset_th_cost}</th>
+                            <th class="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">${L.asset_th_accumulated}</th>
+                            <th class="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">${L.asset_th_nbv}</th>
+                            <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.asset_th_status}</th>
+                            <th class="px-3 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">${L.th_actions}</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200">${rows}</tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+// Shows the repayment fields when the selected category is a borrowing
+function updateLoanFields(loan) {
+    const group = document.getElementById('loan-fields-group');
+    if (!group) return;
+    
+    const category = document.getElementById('category').value;
+    group.classList.toggle('hidden', !isLoanCategory(category));
+    
+    if (loan !== undefined || !isLoanCategory(category)) {
+        document.getElementById('loan-rate').value = loan ? loan.annualRate : '';
+        document.getElementById('loan-tenure').value = loan ? loan.tenureMonths : '';
+        document.getElementById('loan-first-repayment').value = loan && loan.firstRepaymentDate ? loan.firstRepaymentDate : '';
+    }
+}
+
+function renderLoanRegister() {
+    const loansView = document.getElementById('view-loans');
+    if (!loansView) return;
+    
+    const today = new Date().toISOString().split('T')[0];
+    const cutOff = addMonthsToDate(today, 12);
+    const loans = transactionManager.transactions
+        .filter(t => t.loan && isLoanCategory(t.category))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    
+    if (loans.length === 0) {
+        loansView.innerHTML = `<div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 text-center text-gray-500">${L.loan_none}</div>`;
+        return;
+    }
+    
+    const cards = loans.map(t => {
+        const schedule = calculateLoanSchedule(t);
+        const paid = schedule.filter(row => row.date <= today);
+        const outstanding = paid.length ? paid[paid.length - 1].balance : t.amount;
+        const currentPortion = schedule
+            .filter(row => row.date > today && row.date <= cutOff)
+            .reduce((sum, row) => sum + row.principal, 0);
+        
+        const rows = schedule.map(row => `
+            <tr class="${row.date <= today ? 'text-gray-400' : ''}">
+                <td class="px-3 py-1 text-sm">${row.number}</td>
+                <td class="px-3 py-1 text-sm">${row.date}</td>
+                <td class="px-3 py-1 text-sm text-right">${formatCurrency(row.payment)}</td>
+                <td class="px-3 py-1 text-sm text-right">${formatCurrency(row.interest)}</td>
+                <td class="px-3 py-1 text-sm text-right">${formatCurrency(row.principal)}</td>
+                <td class="px-3 py-1 text-sm text-right">${formatCurrency(row.balance)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mb-4">
+                <h4 class="text-lg font-semibold text-gray-800">${escapeHtml(t.description)}</h4>
+                <p class="text-sm text-gray-500 mb-4">${L.loan_summary(t.date, formatCurrency(t.amount), t.loan.annualRate, t.loan.tenureMonths)}</p>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                    <div class="metric-card"><p class="text-xs text-gray-500">${L.loan_outstanding}</p><p class="text-xl font-bold">${formatCurrency(outstanding)}</p></div>
+                    <div class="metric-card"><p class="text-xs text-gray-500">${L.loan_current_portion}</p><p class="text-xl font-bold">${formatCurrency(currentPortion)}</p></div>
+                    <div class="metric-card"><p class="text-xs text-gray-500">${L.loan_non_current_portion}</p><p class="text-xl font-bold">${formatCurrency(outstanding - currentPortion)}</p></div>
+                </div>
+                <div class="overflow-x-auto max-h-96">
+                    <table class="min-w-full divide-y divide-gray-200">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+                                <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">${L.th_date}</th>
+                                <th class="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">${L.loan_th_payment}</th>
+                                <th class="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">${L.loan_th_interest}</th>
+                                <th class="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">${L.loan_th_principal}</th>
+                                <th class="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">${L.loan_th_balance}</th>
+                            </tr>
+                        </thead>
+                        <tbody class="divide-y divide-gray-100">${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    loansView.innerHTML = `
+        <div class="mt-4 pt-4 border-t">
+            <h3 class="text-xl font-semibold mb-4 text-gray-800">${L.loan_register_title}</h3>
+            ${cards}
+        </div>
+    `;
+}
+
+// --- OPENING BALANCES & YEAR END ---
+function renderYearEnd() {
+    const yearEndView = document.getElementById('view-yearend');
+    if (!yearEndView) return;
+    
+    const today = new Date().toISOString().split('T')[0];
+    const fyEndMonth = settingsManager.get('financialYearEndMonth');
+    const closedThrough = settingsManager.get('closedThrough');
+    const nextYearEnd = getNextClosableYearEnd(transactionManager.transactions, today);
+    const opening = transactionManager.getOpeningEntry();
+    const locale = currentLanguage === 'ml' ? 'ms-MY' : 'en-US';
+    
+    const monthOptions = Array.from({ length: 12 }, (_, i) => i + 1).map(month => {
+        const name = new Date(2000, month - 1, 1).toLocaleDateString(locale, { month: 'long' });
+        return `<option value="${month}" ${month === fyEndMonth ? 'selected' : ''}>${name}</option>`;
+    }).join('');
+    
+    // Every balance sheet account except the balancing retained earnings and presentation-only accounts
+    const openingAccounts = [
+        ...Object.values(SYSTEM_ACCOUNTS).filter(map => map.report === 'SOFP' && map.account !== RETAINED_EARNINGS_ACCOUNT && map.account !== CURRENT_LOAN_ACCOUNT),
+        ...chartOfAccounts.getAccounts().filter(map => map.report === 'SOFP')
+    ];
+    const openingRows = openingAccounts.map(map => {
+        const line = opening ? opening.lines.find(l => l.account === map.account) : null;
+        const value = line ? (line.debit || line.credit) : '';
+        return `
+            <tr>
+                <td class="px-3 py-1 text-sm">${getAccountDisplayName(map.account)}</td>
+                <td class="px-3 py-1 text-sm text-gray-500">${map.lineItem}</td>
+                <td class="px-3 py-1 text-right">
+                    <input type="number" step="0.01" min="0" data-account="${escapeHtml(map.account)}" value="${value}" class="opening-balance-input w-36 rounded-md border-gray-300 shadow-sm p-1 border text-right">
+                </td>
+            </tr>
+        `;
+    }).join('');
+    const openingRetained = opening ? opening.lines.find(l => l.account === RETAINED_EARNINGS_ACCOUNT) : null;
+    
+    // Every month from the earliest entry (or earliest lock) up to the current month, newest first
+    const currentMonth = today.substring(0, 7);
+    const firstMonth = [
+        ...transactionManager.transactions.map(t => t.date.substring(0, 7)),
+        ...periodLocks.getLockedMonths(),
+        currentMonth
+    ].sort()[0];
+    const lockMonths = [];
+    for (let month = currentMonth; month >= firstMonth; month = addMonths(month, -1)) {
+        lockMonths.push(month);
+    }
+    const lockRows = lockMonths.map(month => {
+        const locked = periodLocks.getLockedMonths().includes(month);
+        return `
+            <tr>
+                <td class="px-3 py-1 text-sm">${formatMonthYear(month)}</td>
+                <td class="px-3 py-1 text-sm ${locked ? 'text-red-600 font-medium' : 'text-gray-500'}">${locked ? L.lock_status_locked : L.lock_status_open}</td>
+                <td class="px-3 py-1 text-right">
+                    ${locked
+                        ? `<button onclick="unlockPeriod('${month}')" class="text-indigo-600 hover:text-indigo-900 text-sm">${L.lock_unlock}</button>`
+                        : `<button onclick="lockPeriod('${month}')" class="text-red-600 hover:text-red-900 text-sm">${L.lock_lock}</button>`}
+                </td>
+            </tr>
+        `;
+    }).join('');
+    const lockLogRows = periodLocks.getLog().reverse().map(entry => `
+        <tr>
+            <td class="px-3 py-1 text-sm text-gray-500">${new Date(entry.timestamp).toLocaleString(locale)}</td>
+            <td class="px-3 py-1 text-sm">${entry.action === 'lock' ? L.lock_log_locked : L.lock_log_unlocked}</td>
+            <td class="px-3 py-1 text-sm">${formatMonthYear(entry.month)}</td>
+            <td class="px-3 py-1 text-sm text-gray-600">${escapeHtml(entry.reason || '')}</td>
+        </tr>
+    `).join('');
+    
+    yearEndView.innerHTML = `
+        <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mb-4">
+            <h3 class="text-xl font-semibold mb-4 text-gray-800">${L.fy_title}</h3>
+            <div class="flex items-center space-x-2">
+                <label for="fy-end-month" class="text-sm font-medium text-gray-700">${L.fy_end_month}</label>
+                <select id="fy-end-month" class="rounded-md border-gray-300 shadow-sm p-2 border" ${closedThrough ? 'disabled' : ''}>${monthOptions}</select>
+                ${closedThrough ? '' : `<button onclick="saveFinancialYearEnd()" class="py-2 px-4 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">${L.fy_save}</button>`}
+            </div>
+            <p class="text-sm text-gray-500 mt-3">${closedThrough ? L.fy_closed_through(closedThrough) : L.fy_none_closed}</p>
+            <div class="mt-4">
+                ${nextYearEnd
+                    ? `<button onclick="closeFinancialYear('${nextYearEnd}')" class="py-2 px-4 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700">${L.fy_close_button(nextYearEnd)}</button>`
+                    : `<p class="text-sm text-gray-400">${L.fy_nothing_to_close}</p>`}
+            </div>
+        </div>
+        
+        <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+            <h3 class="text-xl font-semibold mb-2 text-gray-800">${L.opening_title}</h3>
+            <p class="text-sm text-gray-500 mb-4">${L.opening_desc}</p>
+            <div class="flex items-center space-x-2 mb-4">
+                <label for="opening-date" class="text-sm font-medium text-gray-700">${L.opening_date}</label>
+                <input type="date" id="opening-date" value="${opening ? opening.date : ''}" class="rounded-md border-gray-300 shadow-sm p-2 border">
+            </div>
+            <table class="min-w-full">
+                <tbody>${openingRows}</tbody>
+            </table>
+            ${openingRetained ? `<p class="text-sm text-gray-600 mt-3">${L.opening_retained(formatAccounting(openingRetained.credit - openingRetained.debit))}</p>` : ''}
+            <button onclick="saveOpeningBalances()" class="mt-4 py-2 px-4 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">${L.opening_save}</button>
+        </div>
+        
+        <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mt-4">
+            <h3 class="text-xl font-semibold mb-2 text-gray-800">${L.lock_title}</h3>
+            <p class="text-sm text-gray-500 mb-4">${L.lock_desc}</p>
+            <table class="min-w-full">
+                <tbody>${lockRows}</tbody>
+            </table>
+            <h4 class="text-md font-semibold mt-6 mb-2 text-gray-700">${L.lock_log_title}</h4>
+            ${lockLogRows
+                ? `<table class="min-w-full"><tbody>${lockLogRows}</tbody></table>`
+                : `<p class="text-sm text-gray-400">${L.lock_log_empty}</p>`}
+        </div>
+    `;
+}
+
+window.saveFinancialYearEnd = function() {
+    settingsManager.set('financialYearEndMonth', parseInt(document.getElementById('fy-end-month').value, 10));
+    showStatusMessage(L.fy_saved, 'green');
+    renderYearEnd();
+};
+
+window.saveOpeningBalances = function() {
+    const date = document.getElementById('opening-date').value;
+    if (!date) {
+        showStatusMessage(L.opening_date_required, 'red');
+        return;
+    }
+    
+    const balances = {};
+    document.querySelectorAll('.opening-balance-input').forEach(input => {
+        balances[input.dataset.account] = input.value;
+    });
+    
+    try {
+        transactionManager.saveOpeningBalances(date, balances);
+        showStatusMessage(L.opening_saved, 'green');
+        renderYearEnd();
+        renderTransactionList();
+        updateReportsView();
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+};
+
+window.closeFinancialYear = function(yearEndDate) {
+    if (!confirm(L.fy_close_confirm(yearEndDate))) return;
+    
+    try {
+        const netProfit = transactionManager.closeFinancialYear(yearEndDate);
+        showStatusMessage(L.fy_close_success(yearEndDate, formatCurrency(netProfit)), 'green');
+        renderYearEnd();
+        renderTransactionList();
+        updateReportsView();
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+};
+
+window.lockPeriod = function(month) {
+    if (!confirm(L.lock_confirm(formatMonthYear(month)))) return;
+    
+    try {
+        periodLocks.lock(month);
+        showStatusMessage(L.lock_success(formatMonthYear(month)), 'green');
+        renderYearEnd();
+        if (editingTransactionId) resetForm();
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+};
+
+window.unlockPeriod = function(month) {
+    const reason = prompt(L.unlock_reason_prompt(formatMonthYear(month)));
+    if (reason === null) return;
+    
+    try {
+        periodLocks.unlock(month, reason);
+        showStatusMessage(L.unlock_success(formatMonthYear(month)), 'green');
+        renderYearEnd();
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+};
+
+// --- COMPANY WORKSPACES ---
+function renderCompanyHeader() {
+    const company = companyManager.getActive();
+    return `<p class="text-sm font-semibold text-gray-700">${escapeHtml(company.name)}${company.registrationNo ? ` <span class="font-normal text-gray-500">(${escapeHtml(company.registrationNo)})</span>` : ''}</p>`;
+}
+
+function updateCompanySelect() {
+    const companySelect = document.getElementById('company-select');
+    if (!companySelect) return;
+    
+    const active = companyManager.getActive();
+    companySelect.innerHTML = companyManager.getCompanies()
+        .map(c => `<option value="${escapeHtml(c.id)}" ${c.id === active.id ? 'selected' : ''}>${escapeHtml(c.name)}</option>`)
+        .join('');
+}
+
+// Every store is bound to the active company when the page loads, so switching reloads
+window.switchCompany = function(id) {
+    if (editingTransactionId && !confirm(L.company_switch_confirm)) {
+        updateCompanySelect();
+        return;
+    }
+    companyManager.setActive(id);
+    location.reload();
+};
+
+window.addCompany = function() {
+    const name = prompt(L.company_name_prompt);
+    if (name === null) return;
+    const registrationNo = prompt(L.company_reg_prompt, '');
+    if (registrationNo === null) return;
+    
+    try {
+        const company = companyManager.addCompany(name, registrationNo);
+        companyManager.setActive(company.id);
+        location.reload();
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+};
+
+window.editCompanyDetails = function() {
+    const company = companyManager.getActive();
+    const name = prompt(L.company_name_prompt, company.name);
+    if (name === null) return;
+    const registrationNo = prompt(L.company_reg_prompt, company.registrationNo);
+    if (registrationNo === null) return;
+    
+    try {
+        companyManager.updateCompany(company.id, name, registrationNo);
+        showStatusMessage(L.company_saved, 'green');
+        updateCompanySelect();
+        updateReportsView();
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+};
+
+// --- ACCOUNTING BASIS ---
+window.setAccountingBasis = function(basis) {
+    settingsManager.set('accountingBasis', basis);
+    updateUIWithLanguage();
+    if (!editingTransactionId) updatePaymentStatusFields('cash');
+};
+
+// Shows the payment status selector in accrual mode; settlement and recognition
+// entries keep their type, so the selector is hidden while editing them.
+function updatePaymentStatusFields(entryType = 'cash') {
+    const group = document.getElementById('payment-status-group');
+    const select = document.getElementById('payment-status');
+    if (!group || !select) return;
+    
+    const isAccrual = settingsManager.get('accountingBasis') === 'accrual';
+    const isLinkedEntry = entryType === 'settlement' || entryType === 'recognition';
+    group.classList.toggle('hidden', !isAccrual || isLinkedEntry);
+    select.value = isLinkedEntry ? 'cash' : entryType;
+    
+    // Prepayments are split into two entries when first recorded, so the date is only asked for new entries
+    const recognitionGroup = document.getElementById('recognition-date-group');
+    if (recognitionGroup) {
+        recognitionGroup.classList.toggle('hidden', select.value !== 'prepayment' || !!editingTransactionId);
+    }
+}
+
+// Save transaction (form submit)
+function saveTransaction(event) {
+    event.preventDefault();
+    const form = event.target;
+    
+    const transactionData = {
+        date: form.date.value,
+        description: form.description.value.trim(),
+        category: form.category.value,
+        amount: parseFloat(form.amount.value)
+    };
+    
+    // Payment status only applies in accrual mode and is fixed for settlement/recognition entries
+    const paymentStatusGroup = document.getElementById('payment-status-group');
+    const paymentStatusVisible = paymentStatusGroup && !paymentStatusGroup.classList.contains('hidden');
+    if (paymentStatusVisible) {
+        transactionData.entryType = document.getElementById('payment-status').value;
+    } else if (!editingTransactionId) {
+        transactionData.entryType = 'cash';
+    }
+    const recognitionDate = document.getElementById('recognition-date') ? document.getElementById('recognition-date').value : '';
+    
+    // Repayment terms for borrowings
+    if (isLoanCategory(transactionData.category)) {
+        const annualRate = parseFloat(form['loan-rate'].value);
+        const tenureMonths = parseInt(form['loan-tenure'].value, 10);
+        
+        if (isNaN(annualRate) || annualRate < 0) {
+            showStatusMessage(L.loan_rate_invalid, 'red');
+            return;
+        }
+        if (isNaN(tenureMonths) || tenureMonths < 1) {
+            showStatusMessage(L.loan_tenure_invalid, 'red');
+            return;
+        }
+        if (form['loan-first-repayment'].value && form['loan-first-repayment'].value <= transactionData.date) {
+            showStatusMessage(L.loan_first_repayment_invalid, 'red');
+            return;
+        }
+        
+        transactionData.loan = {
+            annualRate,
+            tenureMonths,
+            firstRepaymentDate: form['loan-first-repayment'].value || null
+        };
+    }
+    
+    // Fixed asset details for non-current asset purchases
+    if (isFixedAssetCategory(transactionData.category)) {
+        const usefulLifeYears = parseFloat(form['useful-life'].value);
+        const residualValue = parseFloat(form['residual-value'].value) || 0;
+        
+        if (isNaN(usefulLifeYears) || usefulLifeYears <= 0) {
+            showStatusMessage(L.asset_life_required, 'red');
+            return;
+        }
+        if (residualValue < 0 || residualValue >= transactionData.amount) {
+            showStatusMessage(L.asset_residual_invalid, 'red');
+            return;
+        }
+        
+        const existing = editingTransactionId ? transactionManager.transactions.find(t => t.id === editingTransactionId) : null;
+        transactionData.asset = {
+            usefulLifeMonths: Math.round(usefulLifeYears * 12),
+            residualValue,
+            method: form['depreciation-method'].value,
+            disposal: existing && existing.asset ? existing.asset.disposal : undefined
+        };
+    }
+    
+    // Validation
+    if (!transactionData.description) {
+        showStatusMessage('Please enter a description', 'red');
+        return;
+    }
+    
+    if (isNaN(transactionData.amount) || transactionData.amount <= 0) {
+        showStatusMessage('Please enter a valid amount', 'red');
+        return;
+    }
+    
+    // Keying the same bill twice is the usual way duplicates get in
+    const duplicate = findDuplicates(transactionData, editingTransactionId)[0];
+    if (duplicate && !confirm(L.duplicate_confirm(describeDuplicate(duplicate)))) {
+        return;
+    }
+    
+    try {
+        showStatusMessage(editingTransactionId ? L.status_updating : L.status_saving, 'indigo');
+        
+        if (editingTransactionId) {
+            const success = transactionManager.updateTransaction(editingTransactionId, transactionData);
+            if (success) {
+                showStatusMessage(L.status_update_success, 'green');
+            } else {
+                showStatusMessage('Transaction not found', 'red');
+            }
+        } else {
+            if (transactionData.entryType === 'prepayment') {
+                if (!recognitionDate) {
+                    showStatusMessage(L.recognition_date_required, 'red');
+                    return;
+                }
+                transactionManager.savePrepayment(transactionData, recognitionDate);
+            } else {
+                transactionManager.saveTransaction(transactionData);
+            }
+            form.reset();
+            document.getElementById('date').value = new Date().toISOString().split('T')[0];
+            showStatusMessage(L.status_success, 'green');
+        }
+        
+        resetForm();
+        renderTransactionList();
+        updateReportsView();
+        
+    } catch (error) {
+        console.error('Error saving transaction:', error);
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+}
+
+// --- TRANSACTION LIST RENDERING ---
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_SORT_COLUMNS = ['date', 'description', 'category', 'amount'];
+
+const EMPTY_HISTORY_FILTERS = { search: '', from: '', to: '', category: '', minAmount: '', maxAmount: '' };
+let historyFilters = { ...EMPTY_HISTORY_FILTERS };
+let historySort = { key: 'date', direction: 'desc' };
+let historyPage = 1;
+
+function filterTransactions(transactions, filters) {
+    const search = filters.search.trim().toLowerCase();
+    const minAmount = parseFloat(filters.minAmount);
+    const maxAmount = parseFloat(filters.maxAmount);
+    return transactions.filter(t =>
+        (!search || t.description.toLowerCase().includes(search))
+        && (!filters.from || t.date >= filters.from)
+        && (!filters.to || t.date <= filters.to)
+        && (!filters.category || t.category === filters.category)
+        && (isNaN(minAmount) || t.amount >= minAmount)
+        && (isNaN(maxAmount) || t.amount <= maxAmount)
+    );
+}
+
+// Ties fall back to newest entry first, so the order is stable between renders
+function sortTransactions(transactions, key, direction) {
+    const value = (t) => key === 'category' ? getCategoryDisplayName(t.category).toLowerCase()
+        : key === 'description' ? t.description.toLowerCase()
+        : t[key];
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...transactions].sort((a, b) => {
+        const va = value(a);
+        const vb = value(b);
+        if (va !== vb) return (va < vb ? -1 : 1) * sign;
+        return b.timestamp.localeCompare(a.timestamp);
+    });
+}
+
+// Income and expenses by account; the net is the cash that actually moved
+function calculateHistoryTotals(transactions) {
+    return transactions.reduce((totals, t) => {
+        const account = chartOfAccounts.getAccount(t.category);
+        if (account && account.report === 'SOPL' && !['settlement', 'recognition'].includes(t.entryType)) {
+            totals[account.effect === 1 ? 'income' : 'expenses'] += t.amount;
+        }
+        totals.net += getCashMovement(t);
+        return totals;
+    }, { income: 0, expenses: 0, net: 0 });
+}
+
+// Rendered on language change only; the table re-renders on every keystroke without
+// rebuilding the inputs, so focus stays where the user is typing
+function renderHistoryControls() {
+    const controls = document.getElementById('history-controls');
+    if (!controls) return;
+    
+    const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border text-sm';
+    const field = (name, label, type, extra = '') => `
+        <div>
+            <label class="block text-xs font-medium text-gray-500">${label}</label>
+            <input type="${type}" value="${escapeHtml(historyFilters[name])}" oninput="updateHistoryFilter('${name}', this.value)" ${extra} class="${inputClass}">
+        </div>
+    `;
+    controls.innerHTML = `
+        <div class="grid grid-cols-2 md:grid-cols-7 gap-3 items-end">
+            <div class="col-span-2">
+                <label class="block text-xs font-medium text-gray-500">${L.history_search}</label>
+                <input type="search" value="${escapeHtml(historyFilters.search)}" oninput="updateHistoryFilter('search', this.value)" placeholder="${L.history_search_placeholder}" class="${inputClass}">
+            </div>
+            ${field('from', L.history_from, 'date')}
+            ${field('to', L.history_to, 'date')}
+            <div>
+                <label class="block text-xs font-medium text-gray-500">${L.th_category}</label>
+                <select onchange="updateHistoryFilter('category', this.value)" class="${inputClass}">
+                    <option value="">${L.history_all_categories}</option>
+                    ${chartOfAccounts.getAccounts(true).map(account => `<option value="${escapeHtml(account.id)}" ${historyFilters.category === account.id ? 'selected' : ''}>${escapeHtml(getCategoryDisplayName(account.id))}</option>`).join('')}
+                </select>
+            </div>
+            ${field('minAmount', L.history_min_amount, 'number', 'min="0" step="0.01"')}
+            ${field('maxAmount', L.history_max_amount, 'number', 'min="0" step="0.01"')}
+        </div>
+        <div class="text-right mt-2">
+            <button type="button" onclick="clearHistoryFilters()" class="text-sm text-indigo-600 hover:text-indigo-800">${L.history_clear_filters}</button>
+        </div>
+    `;
+}
+
+function renderHistorySortHeaders() {
+    HISTORY_SORT_COLUMNS.forEach(key => {
+        const header = document.getElementById(`th-${key}`);
+        if (!header) return;
+        const arrow = historySort.key === key ? (historySort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+        header.textContent = L[`th_${key}`] + arrow;
+    });
+}
+
+function renderTransactionList() {
+    const listBody = document.getElementById('transactions-list');
+    if (!listBody) return;
+    
+    renderAuditTrail();
+    renderHistorySortHeaders();
+    const summary = document.getElementById('history-summary');
+    
+    if (allTransactions.length === 0) {
+        listBody.innerHTML = `
+            <tr>
+                <td colspan="5" class="px-6 py-4 text-center text-gray-400">
+                    ${L.no_trans}
+                </td>
+            </tr>
+        `;
+        if (summary) summary.innerHTML = '';
+        return;
+    }
+    
+    const filtered = sortTransactions(filterTransactions(allTransactions, historyFilters), historySort.key, historySort.direction);
+    const pageCount = Math.max(1, Math.ceil(filtered.length / HISTORY_PAGE_SIZE));
+    historyPage = Math.min(Math.max(historyPage, 1), pageCount);
+    const firstIndex = (historyPage - 1) * HISTORY_PAGE_SIZE;
+    const pageTransactions = filtered.slice(firstIndex, firstIndex + HISTORY_PAGE_SIZE);
+    
+    // Only the current page is built, in one string, so large ledgers stay responsive
+    listBody.innerHTML = pageTransactions.length === 0 ? `
+        <tr>
+            <td colspan="5" class="px-6 py-4 text-center text-gray-400">${L.history_no_match}</td>
+        </tr>
+    ` : pageTransactions.map((transaction, index) => {
+        // Get display name for category
+        const categoryDisplay = getCategoryDisplayName(transaction.category);
+        const isJournalEntry = transaction.entryType === 'opening' || transaction.entryType === 'closing';
+        const isUnpaid = transaction.entryType === 'credit' && !transactionManager.getLinkedEntry(transaction.id, 'settlement');
+        const entryBadge = transaction.entryType && transaction.entryType !== 'cash'
+            ? `<span class="ml-2 text-xs px-2 py-0.5 rounded-full ${isUnpaid ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-600'}">${isUnpaid ? L.entry_unpaid : L[`entry_${transaction.entryType}`]}</span>`
+            : '';
+        
+        return `
+            <tr class="${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}">
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${transaction.date}</td>
+                <td class="px-6 py-4 text-sm text-gray-900">${escapeHtml(transaction.description)}${entryBadge}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${escapeHtml(categoryDisplay)}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-right text-gray-900">
+                    ${formatCurrency(transaction.amount)}
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-center">
+                    ${isJournalEntry ? '' : `<button onclick="editTransaction(${escapeHtml(JSON.stringify(transaction))})" 
+                            class="text-indigo-600 hover:text-indigo-800 font-medium mr-3">
+                        ${L.edit}
+                    </button>`}
+                    <button onclick="deleteTransaction('${transaction.id}')" 
+                            class="text-red-600 hover:text-red-800 font-medium">
+                        ${L.delete}
+                    </button>
+                    ${isUnpaid ? `<button onclick="settleTransaction('${transaction.id}')" class="text-green-600 hover:text-green-800 font-medium ml-3">${L.settle}</button>` : ''}
+                    <button onclick="showTransactionHistory('${transaction.id}')" class="text-gray-500 hover:text-gray-700 font-medium ml-3">${L.audit_history}</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    if (!summary) return;
+    const totals = calculateHistoryTotals(filtered);
+    summary.innerHTML = `
+        <div class="flex flex-wrap justify-between items-center gap-2 text-sm text-gray-600">
+            <div>
+                ${L.history_showing(filtered.length ? firstIndex + 1 : 0, firstIndex + pageTransactions.length, filtered.length, allTransactions.length)}
+                &middot; ${L.history_income} <span class="font-semibold text-green-700">${formatCurrency(totals.income)}</span>
+                &middot; ${L.history_expenses} <span class="font-semibold text-red-700">${formatCurrency(totals.expenses)}</span>
+                &middot; ${L.history_net_cash} <span class="font-semibold">${formatCurrency(totals.net)}</span>
+            </div>
+            <div class="flex items-center space-x-2">
+                <button type="button" onclick="changeHistoryPage(-1)" ${historyPage <= 1 ? 'disabled' : ''} class="py-1 px-3 border border-gray-300 rounded-md bg-white hover:bg-gray-100 disabled:opacity-50">&lsaquo;</button>
+                <span>${L.history_page(historyPage, pageCount)}</span>
+                <button type="button" onclick="changeHistoryPage(1)" ${historyPage >= pageCount ? 'disabled' : ''} class="py-1 px-3 border border-gray-300 rounded-md bg-white hover:bg-gray-100 disabled:opacity-50">&rsaquo;</button>
+            </div>
+        </div>
+    `;
+}
+
+window.updateHistoryFilter = function(name, value) {
+    historyFilters[name] = value;
+    historyPage = 1;
+    renderTransactionList();
+};
+
+window.clearHistoryFilters = function() {
+    historyFilters = { ...EMPTY_HISTORY_FILTERS };
+    historyPage = 1;
+    renderHistoryControls();
+    renderTransactionList();
+};
+
+// Clicking the sorted column again reverses it; text columns start A-Z, numbers newest/largest first
+window.sortHistory = function(key) {
+    if (historySort.key === key) {
+        historySort.direction = historySort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        historySort = { key, direction: key === 'date' || key === 'amount' ? 'desc' : 'asc' };
+    }
+    historyPage = 1;
+    renderTransactionList();
+};
+
+window.changeHistoryPage = function(delta) {
+    historyPage += delta;
+    renderTransactionList();
+};
+
+// --- AUDIT TRAIL ---
+const AUDIT_FIELDS = ['date', 'description', 'category', 'amount', 'entryType'];
+
+function formatAuditValue(field, value) {
+    if (value === undefined || value === null || value === '') return '-';
+    if (field === 'amount') return formatCurrency(value);
+    if (field === 'category') return escapeHtml(getCategoryDisplayName(value));
+    if (field === 'entryType') return L[`audit_type_${value}`] || L[`entry_${value}`] || escapeHtml(value);
+    return escapeHtml(String(value));
+}
+
+function describeAuditEntry(entry) {
+    if (entry.before && entry.after) {
+        const changes = AUDIT_FIELDS
+            .filter(field => JSON.stringify(entry.before[field]) !== JSON.stringify(entry.after[field]))
+            .map(field => `${L[`audit_field_${field}`]}: ${formatAuditValue(field, entry.before[field])} &rarr; ${formatAuditValue(field, entry.after[field])}`);
+        if (JSON.stringify(entry.before.lines) !== JSON.stringify(entry.after.lines) && changes.length === 0) {
+            changes.push(L.audit_lines_changed);
+        }
+        if (JSON.stringify(entry.before.asset) !== JSON.stringify(entry.after.asset)) changes.push(L.audit_asset_changed);
+        if (JSON.stringify(entry.before.loan) !== JSON.stringify(entry.after.loan)) changes.push(L.audit_loan_changed);
+        return changes.join('<br>') || L.audit_no_changes;
+    }
+    const snapshot = entry.after || entry.before;
+    return `${escapeHtml(snapshot.date)} &middot; ${escapeHtml(snapshot.description)} &middot; ${formatCurrency(snapshot.amount)}`;
+}
+
+function renderAuditTrail() {
+    const panel = document.getElementById('audit-trail-panel');
+    if (!panel) return;
+    
+    const locale = currentLanguage === 'ml' ? 'ms-MY' : 'en-US';
+    const headerRow = `
+        <thead class="bg-gray-50">
+            <tr>
+                <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.audit_th_time}</th>
+                <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.audit_th_action}</th>
+                <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.audit_th_details}</th>
+                <th class="px-3 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">${L.th_actions}</th>
+            </tr>
+        </thead>
+    `;
+    
+    if (auditTransactionId) {
+        const current = transactionManager.transactions.find(t => t.id === auditTransactionId) || null;
+        const history = auditTrail.getHistory(auditTransactionId).reverse();
+        const rows = history.map(entry => {
+            const version = entry.after || entry.before;
+            const isCurrent = current && JSON.stringify(version) === JSON.stringify(current);
+            return `
+                <tr>
+                    <td class="px-3 py-2 text-sm text-gray-500 whitespace-nowrap">${new Date(entry.timestamp).toLocaleString(locale)}</td>
+                    <td class="px-3 py-2 text-sm font-medium">${L[`audit_action_${entry.action}`]}</td>
+                    <td class="px-3 py-2 text-sm text-gray-700">${describeAuditEntry(entry)}</td>
+                    <td class="px-3 py-2 text-sm text-center">
+                        ${isCurrent
+                            ? `<span class="text-xs text-gray-400">${L.audit_current}</span>`
+                            : `<button onclick="restoreAuditVersion('${entry.id}')" class="text-indigo-600 hover:text-indigo-800 font-medium">${L.audit_restore}</button>`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        panel.innerHTML = `
+            <div class="flex justify-between items-center mb-4">
+                <h3 class="text-xl font-semibold text-gray-800">${L.audit_history_title(escapeHtml(current ? current.description : (history[0] ? (history[0].after || history[0].before).description : auditTransactionId)))}</h3>
+                <button onclick="showTransactionHistory(null)" class="text-sm text-indigo-600 hover:text-indigo-800 font-medium">${L.audit_back}</button>
+            </div>
+            ${current ? '' : `<p class="text-sm text-red-600 mb-2">${L.audit_deleted_note}</p>`}
+            <div class="bg-white rounded-xl shadow-lg overflow-x-auto">
+                <table class="min-w-full divide-y divide-gray-200">${headerRow}<tbody class="divide-y divide-gray-200">${rows}</tbody></table>
+            </div>
+        `;
+        return;
+    }
+    
+    const recent = auditTrail.getEntries().reverse().slice(0, 50);
+    const rows = recent.map(entry => `
+        <tr>
+            <td class="px-3 py-2 text-sm text-gray-500 whitespace-nowrap">${new Date(entry.timestamp).toLocaleString(locale)}</td>
+            <td class="px-3 py-2 text-sm font-medium">${L[`audit_action_${entry.action}`]}</td>
+            <td class="px-3 py-2 text-sm text-gray-700">${describeAuditEntry(entry)}</td>
+            <td class="px-3 py-2 text-sm text-center">
+                <button onclick="showTransactionHistory('${entry.transactionId}')" class="text-indigo-600 hover:text-indigo-800 font-medium">${L.audit_view_history}</button>
+            </td>
+        </tr>
+    `).join('');
+    
+    panel.innerHTML = `
+        <h3 class="text-xl font-semibold mb-4 text-gray-800">${L.audit_recent_title}</h3>
+        ${recent.length === 0
+            ? `<p class="text-sm text-gray-400">${L.audit_empty}</p>`
+            : `<div class="bg-white rounded-xl shadow-lg overflow-x-auto">
+                <table class="min-w-full divide-y divide-gray-200">${headerRow}<tbody class="divide-y divide-gray-200">${rows}</tbody></table>
+            </div>`}
+    `;
+}
+
+window.showTransactionHistory = function(id) {
+    auditTransactionId = id;
+    renderAuditTrail();
+    document.getElementById('audit-trail-panel').scrollIntoView({ behavior: 'smooth' });
+};
+
+window.restoreAuditVersion = function(auditId) {
+    if (!confirm(L.audit_restore_confirm)) return;
+    
+    try {
+        transactionManager.restoreVersion(auditId);
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+        return;
+    }
+    showStatusMessage(L.audit_restore_success, 'green');
+    allTransactions = transactionManager.transactions;
+    if (editingTransactionId === auditTransactionId) resetForm();
+    renderTransactionList();
+    updateReportsView();
+};
+
+function getCategoryDisplayName(categoryKey) {
+    // Renamed and user-added accounts carry their own names; built-ins use the language pack
+    const account = chartOfAccounts.getAccount(categoryKey);
+    if (!account) return categoryKey;
+    if (account.names) return account.names[currentLanguage] || account.names.en;
+    return L[account.labelKey] || categoryKey;
+}
+
+// Statement caption for a ledger account. Only built-in accounts are looked up in the
+// language pack, so a user's own account keeps its name even when it matches a label key.
+function getAccountDisplayName(accountName) {
+    if (SYSTEM_ACCOUNTS[accountName]) return L[accountName] || accountName;
+    const account = chartOfAccounts.findByLedgerAccount(accountName);
+    if (!account) return accountName;
+    const isBuiltIn = !account.names && DEFAULT_ACCOUNTS.some(def => def.id === account.id);
+    return isBuiltIn && L[accountName] ? L[accountName] : getCategoryDisplayName(account.id);
+}
+
+// --- FINANCIAL CALCULATIONS ---
+function calculateReportData(transactions) {
+    const data = {
+        sopl: {},
+        sofp: { assets: {}, liabilities: {}, equity: {} },
+        socf: { operating: {}, investing: {}, financing: {} },
+        netProfit: 0,
+    };
+
+    // SOPL and SOFP come straight from the ledger balances
+    const balances = calculateLedgerBalances(transactions);
+    data.sofp.assets[CASH_ACCOUNT] = 0;
+    
+    for (const account in balances) {
+        const map = findAccount(account);
+        if (!map) continue;
+        
+        const balance = balances[account];
+        
+        if (map.report === 'SOPL') {
+            // Credit balances add to profit, debit balances reduce it
+            data.sopl[map.lineItem] = (data.sopl[map.lineItem] || 0) - balance;
+            data.netProfit -= balance;
+        } else if (isAssetAccount(map)) {
+            data.sofp.assets[account] = balance;
+        } else if (map.lineItem.includes('Liabilities')) {
+            data.sofp.liabilities[account] = -balance;
+        } else if (map.lineItem.includes('Equity')) {
+            data.sofp.equity[account] = -balance;
+        }
+    }
+
+    // SOCF: cash moved by each entry is attributed to the flow class of its other lines.
+    // Each flow class in an entry is reported under its first account, so multi-line
+    // entries such as disposals show a single figure per activity.
+    transactions.forEach(t => {
+        const lines = t.lines || [];
+        // Opening balances are brought forward, not cash movements of the period
+        if (t.entryType === 'opening' || !lines.some(line => line.account === CASH_ACCOUNT)) return;
+        
+        const captions = {};
+        lines.forEach(line => {
+            if (line.account === CASH_ACCOUNT) return;
+            const map = findAccount(line.account);
+            if (!map || !map.flow) return;
+            
+            const flow = map.flow.toLowerCase();
+            captions[flow] = captions[flow] || line.account;
+            const section = data.socf[flow];
+            section[captions[flow]] = (section[captions[flow]] || 0) + (line.credit || 0) - (line.debit || 0);
+        });
+    });
+
+    return data;
+}
+
+function calculateMonthlyReports(transactions = allTransactions) {
+    const monthlyDataMap = {};
+    const sortedTransactions = [...transactions].sort((a, b) => a.date.localeCompare(b.date));
+
+    sortedTransactions.forEach(t => {
+        const monthKey = t.date.substring(0, 7);
+        if (t.entryType === 'closing') return;
+
+        (t.lines || []).forEach(line => {
+            const map = findAccount(line.account);
+            if (!map || map.report !== 'SOPL') return;
+
+            if (!monthlyDataMap[monthKey]) {
+                monthlyDataMap[monthKey] = { netProfit: 0, revenue: 0, expenses: 0 };
+            }
+
+            const value = (line.credit || 0) - (line.debit || 0);
+            monthlyDataMap[monthKey].netProfit += value;
+
+            if (value > 0) {
+                monthlyDataMap[monthKey].revenue += value;
+            } else {
+                monthlyDataMap[monthKey].expenses += value;
+            }
+        });
+    });
+
+    const monthlyKeys = Object.keys(monthlyDataMap).sort();
+    
+    return {
+        months: monthlyKeys,
+        labels: monthlyKeys.map(key => formatMonthYear(key)),
+        revenue: monthlyKeys.map(key => monthlyDataMap[key].revenue),
+        expenses: monthlyKeys.map(key => monthlyDataMap[key].expenses * -1),
+        netProfit: monthlyKeys.map(key => monthlyDataMap[key].netProfit)
+    };
+}
+
+// Actual income and spending per profit and loss account and month, signed the way budgets are entered
+function calculateMonthlyAccountActuals(transactions) {
+    const actuals = {};
+    transactions.forEach(t => {
+        if (t.entryType === 'closing') return;
+        const month = t.date.substring(0, 7);
+        
+        (t.lines || []).forEach(line => {
+            const map = findAccount(line.account);
+            if (!map || map.report !== 'SOPL') return;
+            
+            actuals[month] = actuals[month] || {};
+            actuals[month][line.account] = (actuals[month][line.account] || 0) + map.effect * ((line.credit || 0) - (line.debit || 0));
+        });
+    });
+    return actuals;
+}
+
+// Budgeted income and spending per month, in the same shape as calculateMonthlyReports
+function calculateMonthlyBudgets(months) {
+    const totals = months.map(month => {
+        const budget = budgetManager.getMonth(month);
+        const total = { revenue: 0, expenses: 0 };
+        for (const account in budget) {
+            const map = findAccount(account);
+            if (!map) continue;
+            total[map.effect === 1 ? 'revenue' : 'expenses'] += budget[account];
+        }
+        return total;
+    });
+    return {
+        revenue: totals.map(total => total.revenue),
+        expenses: totals.map(total => total.expenses)
+    };
+}
+
+// --- FINANCIAL RATIOS ---
+// Each ratio has a healthy threshold, overridable per company in settings, and names the
+// ledger accounts it is built from so the dashboard can drill down to the transactions.
+// `scope` picks the entries behind it: the position at the period end, the period's
+// performance, its cash movements, or the last two months for growth.
+const RATIO_DEFINITIONS = [
+    {
+        id: 'current_ratio', format: 'times', threshold: 1.5, higherIsBetter: true, scope: 'position',
+        accounts: (inputs) => [...inputs.accounts.currentAssets, ...inputs.accounts.currentLiabilities],
+        components: (inputs) => [[L.report_total_current_assets, inputs.currentAssets], [L.report_total_current_liabilities, inputs.currentLiabilities]]
+    },
+    {
+        id: 'quick_ratio', format: 'times', threshold: 1, higherIsBetter: true, scope: 'position',
+        accounts: (inputs) => [...inputs.accounts.quickAssets, ...inputs.accounts.currentLiabilities],
+        components: (inputs) => [[L.ratio_quick_assets, inputs.quickAssets], [L.report_total_current_liabilities, inputs.currentLiabilities]]
+    },
+    {
+        id: 'gross_margin', format: 'percent', threshold: 0.3, higherIsBetter: true, scope: 'period',
+        accounts: (inputs) => [...inputs.accounts.revenue, ...inputs.accounts.costOfSales],
+        components: (inputs) => [[L['Revenue'], inputs.revenue], [L['Cost of Sales'], inputs.costOfSales], [L.ratio_gross_profit, inputs.revenue - inputs.costOfSales]]
+    },
+    {
+        id: 'net_margin', format: 'percent', threshold: 0.1, higherIsBetter: true, scope: 'period',
+        accounts: (inputs) => [...inputs.accounts.income, ...inputs.accounts.expenses],
+        components: (inputs) => [[L.report_total_revenue, inputs.totalIncome], [L.report_net_profit, inputs.netProfit]]
+    },
+    {
+        id: 'expense_ratio', format: 'percent', threshold: 0.8, higherIsBetter: false, scope: 'period',
+        accounts: (inputs) => [...inputs.accounts.income, ...inputs.accounts.expenses],
+        components: (inputs) => [
+            [L.report_total_revenue, inputs.totalIncome],
+            ...inputs.accounts.expenses.map(account => [
+                `${getAccountDisplayName(account)}${inputs.totalIncome > 0 ? ` (${formatPercentage(inputs.expenses[account] / inputs.totalIncome)})` : ''}`,
+                inputs.expenses[account]
+            ]),
+            [L.report_total_expenses, inputs.totalExpenses]
+        ]
+    },
+    {
+        id: 'debt_to_equity', format: 'times', threshold: 2, higherIsBetter: false, scope: 'position',
+        accounts: (inputs) => [...inputs.accounts.liabilities, ...inputs.accounts.equity],
+        components: (inputs) => [[L.report_total_liabilities, inputs.totalLiabilities], [L.report_closing_equity, inputs.totalEquity]]
+    },
+    {
+        id: 'cash_burn', format: 'currency', threshold: 0, higherIsBetter: true, scope: 'cash',
+        accounts: () => [CASH_ACCOUNT],
+        components: (inputs) => [[L.cf_net_change, inputs.netCashFlow], [L.ratio_months, inputs.months, String]]
+    },
+    {
+        id: 'revenue_growth', format: 'percent', threshold: 0, higherIsBetter: true, scope: 'growth',
+        accounts: (inputs) => inputs.accounts.revenue,
+        components: (inputs) => [
+            [formatMonthYear(addMonths(inputs.period.end.substring(0, 7), -1)), inputs.priorMonthRevenue],
+            [formatMonthYear(inputs.period.end.substring(0, 7)), inputs.lastMonthRevenue]
+        ]
+    }
+];
+const RATIO_TREND_MONTHS = 12;
+const RATIO_DRILLDOWN_LIMIT = 100;
+
+let ratioDrilldown = null; // { id, ledgerEntries, period } while the drill-down is open
+let dashboardRatioSource = null; // { ledgerEntries, period } behind the ratios on the dashboard
+
+function sumAccountActuals(transactions) {
+    const totals = {};
+    Object.values(calculateMonthlyAccountActuals(transactions)).forEach(month => {
+        for (const account in month) {
+            totals[account] = (totals[account] || 0) + month[account];
+        }
+    });
+    return totals;
+}
+
+// The figures behind every ratio for one period: performance over the period, position at its end
+function calculateRatioInputs(ledgerEntries, period) {
+    const { periodTransactions, periodData, cumulativeData, openingData } = calculatePeriodReports(ledgerEntries, period);
+    const sofp = cumulativeData.sofp;
+    const sum = (object, keys) => keys.reduce((total, key) => total + (object[key] || 0), 0);
+    
+    const actuals = sumAccountActuals(periodTransactions);
+    const soplAccounts = (test) => Object.keys(actuals).filter(account => test(findAccount(account)));
+    const revenueAccounts = soplAccounts(map => map.lineItem === 'Revenue');
+    const incomeAccounts = soplAccounts(map => ['Revenue', 'Other Income'].includes(map.lineItem));
+    const costOfSalesAccounts = soplAccounts(map => map.lineItem === 'Cost of Sales');
+    const expenseAccounts = soplAccounts(map => map.effect === -1);
+    
+    const currentAssetAccounts = Object.keys(sofp.assets).filter(account => account === CASH_ACCOUNT || !isNonCurrentAccount(account));
+    const quickAssetAccounts = currentAssetAccounts.filter(account => account !== PREPAYMENTS_ACCOUNT);
+    const currentLiabilityAccounts = Object.keys(sofp.liabilities).filter(account => !isNonCurrentAccount(account));
+    const totalEquity = sum(sofp.equity, Object.keys(sofp.equity)) + cumulativeData.netProfit;
+    
+    // The current portion of borrowings is a presentation line; its entries sit on the loan accounts
+    const loanAccounts = chartOfAccounts.getAccounts(true).filter(account => isLoanCategory(account.id)).map(account => account.account);
+    const ledgerAccounts = (accounts) => accounts.flatMap(account => account === CURRENT_LOAN_ACCOUNT ? loanAccounts : [account]);
+    
+    const lastMonth = period.end.substring(0, 7);
+    const priorMonth = addMonths(lastMonth, -1);
+    const monthlyActuals = calculateMonthlyAccountActuals(ledgerEntries.filter(t => t.date >= `${priorMonth}-01` && t.date <= getMonthEnd(lastMonth)));
+    const monthRevenue = (month) => sum(monthlyActuals[month] || {}, Object.keys(monthlyActuals[month] || {}).filter(account => findAccount(account).lineItem === 'Revenue'));
+    
+    return {
+        period,
+        revenue: sum(actuals, revenueAccounts),
+        totalIncome: sum(actuals, incomeAccounts),
+        costOfSales: sum(actuals, costOfSalesAccounts),
+        expenses: Object.fromEntries(expenseAccounts.map(account => [account, actuals[account]])),
+        totalExpenses: sum(actuals, expenseAccounts),
+        netProfit: periodData.netProfit,
+        currentAssets: sum(sofp.assets, currentAssetAccounts),
+        quickAssets: sum(sofp.assets, quickAssetAccounts),
+        currentLiabilities: sum(sofp.liabilities, currentLiabilityAccounts),
+        totalLiabilities: sum(sofp.liabilities, Object.keys(sofp.liabilities)),
+        totalEquity,
+        netCashFlow: (sofp.assets[CASH_ACCOUNT] || 0) - (openingData.sofp.assets[CASH_ACCOUNT] || 0),
+        months: countMonthsBetween(period.start.substring(0, 7), lastMonth) + 1,
+        lastMonthRevenue: monthRevenue(lastMonth),
+        priorMonthRevenue: monthRevenue(priorMonth),
+        accounts: {
+            revenue: revenueAccounts,
+            income: incomeAccounts,
+            costOfSales: costOfSalesAccounts,
+            expenses: expenseAccounts,
+            currentAssets: currentAssetAccounts,
+            quickAssets: quickAssetAccounts,
+            currentLiabilities: ledgerAccounts(currentLiabilityAccounts),
+            liabilities: ledgerAccounts(Object.keys(sofp.liabilities)),
+            equity: Object.keys(sofp.equity)
+        }
+    };
+}
+
+// Null when the ratio has no meaning (nothing to divide by). Balance-sheet ratios with a zero
+// or negative denominator but something on top are shown as infinite, as the old safety score was.
+function calculateKeyRatios(inputs) {
+    const times = (top, bottom) => bottom > 0 ? top / bottom : (top > 0 ? Infinity : null);
+    const share = (part, whole) => whole > 0 ? part / whole : null;
+    return {
+        current_ratio: times(inputs.currentAssets, inputs.currentLiabilities),
+        quick_ratio: times(inputs.quickAssets, inputs.currentLiabilities),
+        gross_margin: share(inputs.revenue - inputs.costOfSales, inputs.revenue),
+        net_margin: share(inputs.netProfit, inputs.totalIncome),
+        expense_ratio: share(inputs.totalExpenses, inputs.totalIncome),
+        debt_to_equity: times(inputs.totalLiabilities, inputs.totalEquity),
+        cash_burn: inputs.netCashFlow / inputs.months,
+        revenue_growth: inputs.priorMonthRevenue > 0 ? (inputs.lastMonthRevenue - inputs.priorMonthRevenue) / inputs.priorMonthRevenue : null
+    };
+}
+
+function getRatioThreshold(definition) {
+    const thresholds = settingsManager.get('ratioThresholds') || {};
+    return thresholds[definition.id] ?? definition.threshold;
+}
+
+function isRatioHealthy(definition, value, threshold) {
+    if (value === null) return null;
+    return definition.higherIsBetter ? value >= threshold : value <= threshold;
+}
+
+// Every ratio for the period, with one value per month of the trailing year for the sparkline
+function calculateRatioPack(ledgerEntries, period) {
+    const values = calculateKeyRatios(calculateRatioInputs(ledgerEntries, period));
+    const endMonth = period.end.substring(0, 7);
+    const trend = Array.from({ length: RATIO_TREND_MONTHS }, (_, i) => addMonths(endMonth, i - RATIO_TREND_MONTHS + 1))
+        .map(month => calculateKeyRatios(calculateRatioInputs(ledgerEntries, { type: 'month', start: `${month}-01`, end: getMonthEnd(month) })));
+    
+    return RATIO_DEFINITIONS.map(definition => {
+        const threshold = getRatioThreshold(definition);
+        const value = values[definition.id];
+        return {
+            definition,
+            value,
+            threshold,
+            healthy: isRatioHealthy(definition, value, threshold),
+            trend: trend.map(monthValues => monthValues[definition.id])
+        };
+    });
+}
+
+function formatRatio(definition, value) {
+    if (value === null) return L.ratio_not_applicable;
+    if (value === Infinity) return '∞';
+    if (definition.format === 'percent') return formatPercentage(value);
+    if (definition.format === 'currency') return formatAccounting(value);
+    return `${value.toFixed(2)}x`;
+}
+
+// Inline SVG, so a dozen sparklines do not each need a chart instance. The dashed line is the threshold.
+function renderSparkline(values, threshold) {
+    const width = 120;
+    const height = 32;
+    const points = values.map((value, index) => ({ index, value })).filter(point => point.value !== null && isFinite(point.value));
+    if (points.length < 2) return `<div class="h-8"></div>`;
+    
+    const all = [...points.map(point => point.value), threshold];
+    const min = Math.min(...all);
+    const range = (Math.max(...all) - min) || 1;
+    const x = (index) => (index / (values.length - 1) * width).toFixed(1);
+    const y = (value) => (height - 2 - (value - min) / range * (height - 4)).toFixed(1);
+    
+    return `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="w-full h-8 mt-2">
+            <line x1="0" x2="${width}" y1="${y(threshold)}" y2="${y(threshold)}" stroke="#9ca3af" stroke-width="1" stroke-dasharray="3 3"></line>
+            <polyline fill="none" stroke="currentColor" stroke-width="1.5" points="${points.map(point => `${x(point.index)},${y(point.value)}`).join(' ')}"></polyline>
+        </svg>
+    `;
+}
+
+function renderRatioCards(ratios) {
+    return `
+        <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
+            ${ratios.map(({ definition, value, threshold, healthy, trend }) => {
+                const color = healthy === null ? 'text-gray-400' : (healthy ? 'text-green-600' : 'text-red-600');
+                return `
+                    <div onclick="openRatioDrilldown('${definition.id}')" class="metric-card ${healthy === false ? 'border-red-200' : 'border-indigo-200'} cursor-pointer hover:shadow-lg">
+                        <div class="flex justify-between items-start">
+                            <p class="text-sm font-medium text-gray-500">${L[`ratio_${definition.id}`]}</p>
+                            <button onclick="event.stopPropagation(); setRatioThreshold('${definition.id}')" title="${L.ratio_set_threshold}" class="text-gray-400 hover:text-indigo-600 no-print">⚙</button>
+                        </div>
+                        <p class="text-2xl font-extrabold ${color} mt-1">${formatRatio(definition, value)}</p>
+                        <p class="text-xs text-gray-400 mt-1">${L.ratio_threshold(definition.higherIsBetter ? '≥' : '≤', formatRatio(definition, threshold))}</p>
+                        <div class="${color}">${renderSparkline(trend, threshold)}</div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+function getRatioDrilldownEntries(definition, inputs, ledgerEntries) {
+    const { period } = inputs;
+    switch (definition.scope) {
+        case 'position':
+            return ledgerEntries.filter(t => t.date <= period.end);
+        case 'cash':
+            return ledgerEntries.filter(t => t.date >= period.start && t.date <= period.end && t.entryType !== 'opening' && t.entryType !== 'closing');
+        case 'growth':
+            return ledgerEntries.filter(t => t.date >= `${addMonths(period.end.substring(0, 7), -1)}-01` && t.date <= period.end && t.entryType !== 'closing');
+        default:
+            return ledgerEntries.filter(t => t.date >= period.start && t.date <= period.end && t.entryType !== 'closing');
+    }
+}
+
+function renderRatioDrilldown() {
+    const container = document.getElementById('ratio-drilldown');
+    if (!container || !ratioDrilldown) return;
+    
+    const definition = RATIO_DEFINITIONS.find(d => d.id === ratioDrilldown.id);
+    const inputs = calculateRatioInputs(ratioDrilldown.ledgerEntries, ratioDrilldown.period);
+    const value = calculateKeyRatios(inputs)[definition.id];
+    const accounts = new Set(definition.accounts(inputs));
+    
+    // One row per journal line on an account that feeds the ratio, newest first
+    const lines = getRatioDrilldownEntries(definition, inputs, ratioDrilldown.ledgerEntries)
+        .flatMap(t => (t.lines || []).filter(line => accounts.has(line.account)).map(line => ({ t, line })))
+        .sort((a, b) => b.t.date.localeCompare(a.t.date));
+    const th = (label, align = 'left') => `<th class="px-3 py-2 text-${align} text-xs font-medium text-gray-500 uppercase tracking-wider">${label}</th>`;
+    
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-2">
+            <h3 class="text-xl font-semibold text-gray-800">${L[`ratio_${definition.id}`]}: ${formatRatio(definition, value)}</h3>
+            <button onclick="closeRatioDrilldown()" class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+        </div>
+        <p class="text-sm text-gray-500 mb-1">${escapeHtml(describeReportPeriod(ratioDrilldown.period))}</p>
+        <p class="text-sm text-gray-700 mb-4">${L[`ratio_${definition.id}_desc`]}</p>
+        
+        <table class="min-w-full mb-4">
+            <tbody>
+                ${definition.components(inputs).map(([label, amount, format = formatAccounting]) => `
+                    <tr class="border-b">
+                        <td class="px-3 py-1 text-sm">${escapeHtml(label)}</td>
+                        <td class="px-3 py-1 text-sm text-right">${format(amount)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        <h4 class="font-semibold text-gray-700 mb-2">${L.ratio_transactions(lines.length)}</h4>
+        ${lines.length === 0 ? `<p class="text-center text-gray-400 py-4">${L.no_data_msg}</p>` : `
+            <table class="min-w-full divide-y divide-gray-200">
+                <thead class="bg-gray-50"><tr>${th(L.th_date)}${th(L.th_description)}${th(L.th_category)}${th(L.ratio_debit, 'right')}${th(L.ratio_credit, 'right')}</tr></thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${lines.slice(0, RATIO_DRILLDOWN_LIMIT).map(({ t, line }) => `
+                        <tr>
+                            <td class="px-3 py-2 text-sm whitespace-nowrap">${t.date}</td>
+                            <td class="px-3 py-2 text-sm">${escapeHtml(t.description)}</td>
+                            <td class="px-3 py-2 text-sm text-gray-600">${escapeHtml(getAccountDisplayName(line.account))}</td>
+                            <td class="px-3 py-2 text-sm text-right whitespace-nowrap">${line.debit ? formatCurrency(line.debit) : ''}</td>
+                            <td class="px-3 py-2 text-sm text-right whitespace-nowrap">${line.credit ? formatCurrency(line.credit) : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${lines.length > RATIO_DRILLDOWN_LIMIT ? `<p class="text-sm text-gray-400 mt-2">${L.ratio_more(RATIO_DRILLDOWN_LIMIT, lines.length)}</p>` : ''}
+        `}
+    `;
+}
+
+window.openRatioDrilldown = function(id) {
+    if (!dashboardRatioSource) return;
+    ratioDrilldown = { id, ...dashboardRatioSource };
+    renderRatioDrilldown();
+    document.getElementById('ratio-drilldown-modal').classList.remove('hidden');
+};
+
+window.closeRatioDrilldown = function() {
+    ratioDrilldown = null;
+    document.getElementById('ratio-drilldown-modal').classList.add('hidden');
+};
+
+// Percentages are typed as percentages (30 for 30%) and stored as fractions
+window.setRatioThreshold = function(id) {
+    const definition = RATIO_DEFINITIONS.find(d => d.id === id);
+    const isPercent = definition.format === 'percent';
+    const current = getRatioThreshold(definition);
+    const input = prompt(L.ratio_threshold_prompt(L[`ratio_${id}`], isPercent), isPercent ? current * 100 : current);
+    if (input === null) return;
+    
+    const thresholds = { ...(settingsManager.get('ratioThresholds') || {}) };
+    if (input.trim() === '') {
+        delete thresholds[id];
+    } else {
+        const value = parseFloat(input);
+        if (isNaN(value)) {
+            showStatusMessage(`Error: ${L.ratio_threshold_invalid}`, 'red');
+            return;
+        }
+        thresholds[id] = isPercent ? value / 100 : value;
+    }
+    settingsManager.set('ratioThresholds', thresholds);
+    updateReportsView();
+};
+
+// --- REPORT RENDERING ---
+function renderDashboard(monthlyData, ratios, periodTitle) {
+    const dashboardView = document.getElementById('view-dashboard');
+    if (!dashboardView) return;
+
+    // Ratio cards open their drill-down when clicked
+    const ratioCards = renderRatioCards(ratios);
+
+    const showBudget = budgetManager.hasBudgets() && settingsManager.get('showBudgetOnChart');
+    
+    dashboardView.innerHTML = `
+        <div>
+            <h3 class="text-xl font-semibold ${periodTitle ? '' : 'mb-4'} text-gray-800">${L.dashboard_title}</h3>
+            ${periodTitle ? `<p class="text-sm text-gray-500 mb-4">${escapeHtml(periodTitle)}</p>` : ''}
+            ${ratioCards}
+            
+            <h3 class="text-xl font-semibold mb-4 text-gray-800">${L.dashboard_trend_title}</h3>
+            <div class="flex justify-between items-center mb-4">
+                <p class="text-sm text-gray-500">${L.dashboard_trend_subtitle}</p>
+                ${budgetManager.hasBudgets() ? `
+                    <label class="flex items-center space-x-2 text-sm text-gray-700 no-print">
+                        <input type="checkbox" onchange="toggleBudgetOverlay(this.checked)" ${showBudget ? 'checked' : ''}>
+                        <span>${L.chart_show_budget}</span>
+                    </label>
+                ` : ''}
+            </div>
+            
+            <div class="report-card">
+                <div class="p-4">
+                    <canvas id="revenueExpenseChart" height="300"></canvas>
+                </div>
+            </div>
+            
+            <div id="cash-forecast" class="mt-8"></div>
+        </div>
+    `;
+    
+    // Generate Chart
+    const chartCtx = document.getElementById('revenueExpenseChart');
+    if (chartCtx && monthlyData.labels.length > 0) {
+        drawChart(chartCtx, showBudget ? { ...monthlyData, budget: calculateMonthlyBudgets(monthlyData.months) } : monthlyData);
+    } else if (chartCtx) {
+        chartCtx.parentElement.innerHTML = `
+            <div class="text-center py-8 text-gray-500">
+                <p>No transaction data available for chart display.</p>
+                <p class="text-sm mt-2">Add some transactions to see your financial trends.</p>
+            </div>
+        `;
+    }
+    
+    renderCashForecast();
+}
+
+function drawChart(ctx, monthlyData) {
+    if (chartInstance) {
+        chartInstance.destroy();
+    }
+
+    chartInstance = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: monthlyData.labels,
+            datasets: [
+                {
+                    label: L.chart_income,
+                    data: monthlyData.revenue,
+                    backgroundColor: 'rgba(79, 70, 229, 0.7)',
+                    borderColor: 'rgb(79, 70, 229)',
+                    borderWidth: 1,
+                    yAxisID: 'y'
+                },
+                {
+                    label: L.chart_spending,
+                    data: monthlyData.expenses,
+                    backgroundColor: 'rgba(239, 68, 68, 0.7)',
+                    borderColor: 'rgb(239, 68, 68)',
+                    borderWidth: 1,
+                    yAxisID: 'y'
+                },
+                {
+                    type: 'line',
+                    label: L.chart_profit,
+                    data: monthlyData.netProfit,
+                    backgroundColor: 'rgba(16, 185, 129, 0.9)',
+                    borderColor: 'rgb(16, 185, 129)',
+                    borderWidth: 2,
+                    fill: false,
+                    yAxisID: 'y'
+                },
+                // Budget overlay: dashed lines over the income and spending bars
+                ...(monthlyData.budget ? [
+                    {
+                        type: 'line',
+                        label: L.chart_budget_income,
+                        data: monthlyData.budget.revenue,
+                        borderColor: 'rgb(79, 70, 229)',
+                        borderDash: [6, 4],
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        fill: false,
+                        yAxisID: 'y'
+                    },
+                    {
+                        type: 'line',
+                        label: L.chart_budget_spending,
+                        data: monthlyData.budget.expenses,
+                        borderColor: 'rgb(239, 68, 68)',
+                        borderDash: [6, 4],
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        fill: false,
+                        yAxisID: 'y'
+                    }
+                ] : [])
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    grid: { display: false }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: L.chart_y_title
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    position: 'top',
+                },
+                title: {
+                    display: true,
+                    text: L.chart_trend_title
+                }
+            }
+        }
+    });
+}
+
+// --- CASH FLOW FORECAST ---
+// Projects cash month by month from today: the average of recent day-to-day operating cash
+// flows, plus recurring templates and loan instalments that are already known. Recurring
+// postings and instalments are left out of the average so they are not counted twice.
+const FORECAST_HORIZONS = [3, 6, 12];
+const FORECAST_HISTORY_MONTHS = 6;
+
+// Everyday trading only: one-off investing and financing movements say nothing about next month
+function isBaselineCashEntry(entry) {
+    if (entry.recurringId || ['opening', 'closing', 'instalment'].includes(entry.entryType)) return false;
+    return entry.lines
+        .filter(line => line.account !== CASH_ACCOUNT)
+        .every(line => {
+            const map = findAccount(line.account);
+            return !!map && map.flow === 'Operating';
+        });
+}
+
+function calculateCashForecast(horizon, today = new Date().toISOString().split('T')[0]) {
+    const currentMonth = today.substring(0, 7);
+    const ledgerEntries = getLedgerEntries(transactionManager.transactions, today).filter(t => t.date <= today);
+    const openingCash = Math.round(ledgerEntries.reduce((sum, t) => sum + getCashMovement(t), 0) * 100) / 100;
+    
+    // Average over the last complete months, or fewer for a business younger than that
+    const firstMonth = ledgerEntries.length ? ledgerEntries.reduce((min, t) => t.date < min ? t.date : min, today).substring(0, 7) : currentMonth;
+    const historyMonths = Math.min(FORECAST_HISTORY_MONTHS, countMonthsBetween(firstMonth, currentMonth));
+    const historyStart = `${addMonths(currentMonth, -historyMonths)}-01`;
+    const historyTotal = ledgerEntries
+        .filter(t => t.date >= historyStart && t.date < `${currentMonth}-01` && isBaselineCashEntry(t))
+        .reduce((sum, t) => sum + getCashMovement(t), 0);
+    const baseline = historyMonths > 0 ? Math.round(historyTotal / historyMonths * 100) / 100 : 0;
+    
+    const months = Array.from({ length: horizon }, (_, i) => ({
+        month: addMonths(currentMonth, i + 1),
+        baseline,
+        recurring: 0,
+        loans: 0
+    }));
+    const forecastEnd = getMonthEnd(months[months.length - 1].month);
+    // Anything due before the first forecast month, including overdue occurrences, lands in it
+    const bucketFor = (date) => months[Math.max(0, countMonthsBetween(months[0].month, date.substring(0, 7)))];
+    
+    recurringManager.getTemplates().filter(template => !template.paused).forEach(template => {
+        const map = chartOfAccounts.getAccount(template.category);
+        if (!map) return;
+        for (let index = template.nextIndex; ; index++) {
+            const date = recurringManager.getOccurrenceDate(template, index);
+            if (date > forecastEnd || (template.endDate && date > template.endDate)) break;
+            bucketFor(date).recurring += map.effect * template.amount;
+        }
+    });
+    
+    transactionManager.transactions.forEach(t => {
+        if (!t.loan || !isLoanCategory(t.category)) return;
+        calculateLoanSchedule(t)
+            .filter(row => row.date > today && row.date <= forecastEnd)
+            .forEach(row => { bucketFor(row.date).loans -= row.payment; });
+    });
+    
+    let cash = openingCash;
+    months.forEach(month => {
+        month.recurring = Math.round(month.recurring * 100) / 100;
+        month.loans = Math.round(month.loans * 100) / 100;
+        month.net = Math.round((month.baseline + month.recurring + month.loans) * 100) / 100;
+        cash = Math.round((cash + month.net) * 100) / 100;
+        month.closing = cash;
+    });
+    
+    // Runway: the first month the forecast runs out of cash, or beyond the horizon an
+    // estimate at the average net outflow. Null when cash is not running down.
+    const firstNegative = months.find(month => month.closing < 0) || null;
+    const averageNet = months.reduce((sum, month) => sum + month.net, 0) / months.length;
+    let runway = null;
+    if (firstNegative) {
+        runway = months.indexOf(firstNegative) + 1;
+    } else if (averageNet < 0) {
+        runway = Math.floor(openingCash / -averageNet);
+    }
+    
+    return { today, openingCash, baseline, historyMonths, months, firstNegative, runway };
+}
+
+function renderCashForecast() {
+    const container = document.getElementById('cash-forecast');
+    if (!container) return;
+    
+    const horizon = settingsManager.get('forecastMonths');
+    const forecast = calculateCashForecast(horizon);
+    const th = (label, align = 'right') => `<th class="px-3 py-2 text-${align} text-xs font-medium text-gray-500 uppercase tracking-wider">${label}</th>`;
+    
+    let runwayText;
+    if (forecast.firstNegative) {
+        runwayText = L.forecast_runway_months(forecast.runway);
+    } else if (forecast.runway !== null) {
+        runwayText = L.forecast_runway_estimate(forecast.runway);
+    } else {
+        runwayText = L.forecast_runway_none;
+    }
+    
+    container.innerHTML = `
+        <div class="flex flex-wrap justify-between items-center gap-2 mb-2">
+            <h3 class="text-xl font-semibold text-gray-800">${L.forecast_title}</h3>
+            <label class="flex items-center space-x-2 text-sm text-gray-700 no-print">
+                <span>${L.forecast_horizon}</span>
+                <select onchange="changeForecastHorizon(this.value)" class="rounded-md border-gray-300 shadow-sm p-1 border">
+                    ${FORECAST_HORIZONS.map(months => `<option value="${months}" ${months === horizon ? 'selected' : ''}>${L.forecast_months(months)}</option>`).join('')}
+                </select>
+            </label>
+        </div>
+        <p class="text-sm text-gray-500 mb-4">${L.forecast_desc(forecast.historyMonths)}</p>
+        
+        ${forecast.firstNegative ? `
+            <div class="bg-red-50 border border-red-300 text-red-700 rounded-lg p-3 mb-4 text-sm font-semibold">
+                ${L.forecast_warning(formatMonthYear(forecast.firstNegative.month), forecast.firstNegative.closing)}
+            </div>
+        ` : ''}
+        
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div class="metric-card border-indigo-200">
+                <p class="text-sm font-medium text-gray-500">${L.forecast_cash_today}</p>
+                <p class="text-2xl font-extrabold ${forecast.openingCash >= 0 ? 'text-gray-800' : 'text-red-600'} mt-1">${formatAccounting(forecast.openingCash)}</p>
+            </div>
+            <div class="metric-card border-blue-200">
+                <p class="text-sm font-medium text-gray-500">${L.forecast_cash_end(formatMonthYear(forecast.months[forecast.months.length - 1].month))}</p>
+                <p class="text-2xl font-extrabold ${forecast.months[forecast.months.length - 1].closing >= 0 ? 'text-gray-800' : 'text-red-600'} mt-1">${formatAccounting(forecast.months[forecast.months.length - 1].closing)}</p>
+            </div>
+            <div class="metric-card ${forecast.runway === null ? 'border-green-200' : 'border-red-200'}">
+                <p class="text-sm font-medium text-gray-500">${L.forecast_runway}</p>
+                <p class="text-2xl font-extrabold ${forecast.runway === null ? 'text-green-600' : (forecast.firstNegative ? 'text-red-600' : 'text-yellow-600')} mt-1">${runwayText}</p>
+            </div>
+        </div>
+        
+        <div class="report-card mb-4">
+            <div class="p-4">
+                <canvas id="cashForecastChart" height="250"></canvas>
+            </div>
+        </div>
+        
+        <div class="report-card overflow-x-auto">
+            <table class="min-w-full divide-y divide-gray-200">
+                <thead class="bg-gray-50"><tr>${th(L.budget_month, 'left')}${th(L.forecast_baseline)}${th(L.forecast_recurring)}${th(L.forecast_loans)}${th(L.forecast_net)}${th(L.forecast_closing)}</tr></thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${forecast.months.map(month => `
+                        <tr class="${month.closing < 0 ? 'bg-red-50' : ''}">
+                            <td class="px-3 py-2 text-sm">${formatMonthYear(month.month)}</td>
+                            <td class="px-3 py-2 text-sm text-right">${formatAccounting(month.baseline)}</td>
+                            <td class="px-3 py-2 text-sm text-right">${formatAccounting(month.recurring)}</td>
+                            <td class="px-3 py-2 text-sm text-right">${formatAccounting(month.loans)}</td>
+                            <td class="px-3 py-2 text-sm text-right">${formatAccounting(month.net)}</td>
+                            <td class="px-3 py-2 text-sm text-right font-semibold ${month.closing < 0 ? 'text-red-600' : ''}">${formatAccounting(month.closing)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    drawForecastChart(document.getElementById('cashForecastChart'), forecast);
+}
+
+function drawForecastChart(ctx, forecast) {
+    if (forecastChartInstance) {
+        forecastChartInstance.destroy();
+    }
+    
+    forecastChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: [L.forecast_today, ...forecast.months.map(month => formatMonthYear(month.month))],
+            datasets: [
+                {
+                    label: L.forecast_closing,
+                    data: [forecast.openingCash, ...forecast.months.map(month => month.closing)],
+                    borderColor: 'rgb(79, 70, 229)',
+                    backgroundColor: 'rgba(79, 70, 229, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    // Months below zero are marked in red
+                    pointBackgroundColor: [forecast.openingCash, ...forecast.months.map(month => month.closing)]
+                        .map(value => value < 0 ? 'rgb(239, 68, 68)' : 'rgb(79, 70, 229)')
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    grid: { display: false }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: L.chart_y_title
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: false
+                }
+            }
+        }
+    });
+}
+
+window.changeForecastHorizon = function(months) {
+    settingsManager.set('forecastMonths', parseInt(months, 10));
+    renderCashForecast();
+};
+
+// Reads the period picker. The month input anchors every type except custom.
+function getSelectedReportPeriod() {
+    const type = document.getElementById('report-period-type').value || 'month';
+    return getReportPeriod(
+        type,
+        document.getElementById('report-month').value,
+        document.getElementById('report-start').value,
+        document.getElementById('report-end').value
+    );
+}
+
+function updateReportPeriodControls() {
+    const isCustom = document.getElementById('report-period-type').value === 'custom';
+    document.getElementById('report-month').classList.toggle('hidden', isCustom);
+    document.getElementById('report-custom-range').classList.toggle('hidden', !isCustom);
+}
+
+// Closing entries only move balances into retained earnings, so they stay out of the period SOPL.
+// Runs once for the selected period and once per comparative.
+function calculatePeriodReports(ledgerEntries, period) {
+    const periodTransactions = ledgerEntries.filter(t => t.date >= period.start && t.date <= period.end && t.entryType !== 'closing');
+    const cumulativeTransactions = ledgerEntries.filter(t => t.date <= period.end);
+    const openingTransactions = ledgerEntries.filter(t => 
+        t.date < period.start || (t.entryType === 'opening' && t.date <= period.end)
+    );
+    
+    return {
+        periodTransactions,
+        cumulativeTransactions,
+        periodData: calculateReportData(periodTransactions),
+        cumulativeData: reclassifyCurrentBorrowings(
+            calculateReportData(cumulativeTransactions),
+            cumulativeTransactions,
+            period.end
+        ),
+        openingData: calculateReportData(openingTransactions)
+    };
+}
+
+function updateReportsView() {
+    const period = getSelectedReportPeriod();
+    
+    // Update all transactions from manager
+    allTransactions = transactionManager.transactions;
+    
+    // Update status display
+    const authStatus = document.getElementById('auth-status');
+    if (authStatus) {
+        authStatus.innerHTML = `
+            <span class="text-green-600">✓</span> 
+            Local Storage Ready | 
+            Transactions: <span class="font-semibold">${allTransactions.length}</span>
+        `;
+    }
+    
+    // The Budget tab follows the same period picker
+    if (currentView === 'budget') renderBudget();
+    
+    // Generated entries (depreciation) run to the later of this month and the end of the period
+    const currentMonthEnd = getMonthEnd(new Date().toISOString().substring(0, 7));
+    const ledgerEntries = getLedgerEntries(allTransactions, period && period.end > currentMonthEnd ? period.end : currentMonthEnd);
+    
+    // Only update other reports if a period is selected
+    if (!period) {
+        const noMonthMsg = `<div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 text-center text-gray-500">${L.no_month_msg}</div>`;
+        // Without a period the ratios cover everything recorded up to today
+        const today = new Date().toISOString().split('T')[0];
+        const allTime = { type: 'custom', start: ledgerEntries.reduce((min, t) => t.date < min ? t.date : min, today), end: today };
+        dashboardRatioSource = { ledgerEntries, period: allTime };
+        renderDashboard(calculateMonthlyReports(ledgerEntries), calculateRatioPack(ledgerEntries, allTime), '');
+        document.getElementById('sopl-content').innerHTML = noMonthMsg;
+        document.getElementById('sofp-content').innerHTML = noMonthMsg;
+        document.getElementById('socf-content').innerHTML = noMonthMsg;
+        return;
+    }
+    
+    const {
+        periodTransactions,
+        cumulativeTransactions,
+        periodData: periodReportData,
+        cumulativeData: cumulativeReportData,
+        openingData: openingReportData
+    } = calculatePeriodReports(ledgerEntries, period);
+    const comparatives = getComparativePeriods(period, document.getElementById('report-compare').value)
+        .map(c => ({ ...c, ...calculatePeriodReports(ledgerEntries, c.period) }));
+    
+    // Dashboard: performance over the period, position at its end, and at least a year of trend up to it
+    dashboardRatioSource = { ledgerEntries, period };
+    const yearBeforeEnd = `${addMonths(period.end.substring(0, 7), -11)}-01`;
+    const trendStart = period.start < yearBeforeEnd ? period.start : yearBeforeEnd;
+    renderDashboard(
+        calculateMonthlyReports(ledgerEntries.filter(t => t.date >= trendStart && t.date <= period.end)),
+        calculateRatioPack(ledgerEntries, period),
+        describeReportPeriod(period)
+    );
+    
+    if (periodTransactions.length === 0 && cumulativeTransactions.length === 0) {
+        const noDataMsg = `<div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 text-center text-gray-500">${L.no_data_msg}</div>`;
+        document.getElementById('sopl-content').innerHTML = noDataMsg;
+        document.getElementById('sofp-content').innerHTML = noDataMsg;
+        document.getElementById('socf-content').innerHTML = noDataMsg;
+        return;
+    }
+    
+    // Render SOPL (period)
+    document.getElementById('sopl-content').innerHTML = renderSOPL(periodReportData.sopl, periodReportData.netProfit, period, comparatives);
+    
+    // Render SOFP (cumulative)
+    document.getElementById('sofp-content').innerHTML = renderSOFP(
+        cumulativeReportData.sofp.assets, 
+        cumulativeReportData.sofp.liabilities, 
+        cumulativeReportData.netProfit, 
+        cumulativeReportData.sofp.equity, 
+        period,
+        comparatives
+    );
+    
+    // Render SOCF (period movements, reconciled to the cumulative SOFP cash)
+    document.getElementById('socf-content').innerHTML = renderSOCF(
+        periodReportData.socf, 
+        openingReportData.sofp.assets[CASH_ACCOUNT] || 0, 
+        cumulativeReportData.sofp.assets[CASH_ACCOUNT] || 0, 
+        period,
+        comparatives
+    );
+}
+
+// One amount line of a statement. Without comparatives the current value sits in the
+// detail (column 1) or total (column 2) column as before; with comparatives every
+// period gets one column, each followed by its variance.
+function renderStatementRow(label, values, { column = 2, className = '', format = formatAccounting } = {}) {
+    const [current, ...comparatives] = values;
+    if (comparatives.length === 0) {
+        return `<tr class="${className}"><td>${label}</td><td class="text-right">${column === 1 ? format(current) : ''}</td><td class="text-right">${column === 2 ? format(current) : ''}</td></tr>`;
+    }
+    
+    const cells = comparatives.map(comparative => {
+        const variance = calculateVariance(current, comparative);
+        const significant = variance.amount !== 0 && (variance.percent === null || Math.abs(variance.percent) >= VARIANCE_HIGHLIGHT);
+        const highlight = significant ? 'bg-yellow-100 font-semibold' : 'text-gray-500';
+        return `
+            <td class="text-right text-gray-600">${format(comparative)}</td>
+            <td class="text-right ${highlight}">${formatAccounting(variance.amount)}</td>
+            <td class="text-right ${highlight}">${variance.percent === null ? (variance.amount ? L.variance_new : '-') : formatPercentage(variance.percent)}</td>
+        `;
+    }).join('');
+    return `<tr class="${className}"><td>${label}</td><td class="text-right">${format(current)}</td>${cells}</tr>`;
+}
+
+function getStatementColumnCount(comparatives) {
+    return comparatives.length ? 2 + comparatives.length * 3 : 3;
+}
+
+// Column headings name each period; the SOFP passes a label for its closing dates instead
+function renderStatementHeader(period, comparatives, label = describeReportPeriod) {
+    if (comparatives.length === 0) return '';
+    const th = 'text-right text-xs font-medium text-gray-500 uppercase pb-2';
+    return `
+        <thead>
+            <tr>
+                <th></th>
+                <th class="${th}">${escapeHtml(label(period))}</th>
+                ${comparatives.map(c => `
+                    <th class="${th}">${escapeHtml(label(c.period))}</th>
+                    <th class="${th}">${L.variance_amount}</th>
+                    <th class="${th}">${L.variance_percent}</th>
+                `).join('')}
+            </tr>
+        </thead>
+    `;
+}
+
+// Keys present in any of the objects, in first-seen order
+function unionKeys(objects) {
+    return [...new Set(objects.flatMap(o => Object.keys(o || {})))];
+}
+
+function renderSOPL(soplData, netProfit, period, comparatives = []) {
+    const periodTitle = describeReportPeriod(period);
+    const span = getStatementColumnCount(comparatives);
+    const sets = [{ sopl: soplData, netProfit }, ...comparatives.map(c => c.periodData)];
+    const values = (line) => sets.map(set => set.sopl[line] || 0);
+    // A line belongs to revenue or expenses by its current sign, or its comparative sign when nil this period
+    const sign = (line) => Math.sign(values(line).find(value => value !== 0) || 0);
+    const lines = unionKeys(sets.map(set => set.sopl));
+    const revenueLines = lines.filter(line => sign(line) > 0);
+    const expenseLines = lines.filter(line => sign(line) < 0);
+    const total = (selected) => sets.map(set => selected.reduce((sum, line) => sum + (set.sopl[line] || 0), 0));
+    const negate = (amounts) => amounts.map(value => (value ? -value : 0));
+    let rows = '';
+    
+    rows += `<tr><td colspan="${span}" class="pt-4 pb-2 font-semibold text-lg text-indigo-700">${L.report_revenue}</td></tr>`;
+    revenueLines.forEach(line => {
+        rows += renderStatementRow(L[line] || line, values(line), { format: formatCurrency });
+    });
+    rows += renderStatementRow(L.report_total_revenue, total(revenueLines), { className: 'border-t border-b-2 font-bold bg-indigo-50', format: formatCurrency });
+
+    rows += `<tr><td colspan="${span}" class="pt-6 pb-2 font-semibold text-lg text-red-700">${L.report_expenses}</td></tr>`;
+    expenseLines.forEach(line => {
+        rows += renderStatementRow(L[line] || line, negate(values(line)), { column: 1, format: formatCurrency });
+    });
+    rows += renderStatementRow(L.report_total_expenses, negate(total(expenseLines)), {
+        className: 'border-t border-b-2 font-bold bg-red-50',
+        format: value => `(${formatCurrency(value)})`
+    });
+
+    rows += renderStatementRow(L.report_net_profit, sets.map(set => set.netProfit), {
+        className: `font-extrabold text-lg ${netProfit >= 0 ? 'text-green-700' : 'text-red-700'} border-t-4 border-b-4 mt-4 bg-gray-200`,
+        format: formatCurrency
+    });
+
+    return `
+        <div class="report-card bg-white p-6 rounded-xl shadow-xl border border-gray-100">
+            <div class="flex justify-between items-start mb-4">
+                <div>
+                    ${renderCompanyHeader()}
+                    <h3 class="text-2xl font-bold text-gray-800">${L.sopl_title}</h3>
+                    <p class="text-sm text-gray-500">${describePeriodRange(period)}</p>
+                </div>
+                <div class="print-button-container no-print">
+                    <button onclick="generatePDF('sopl-content', '${periodTitle.replace(/'/g, "\\'")}', 'SOPL')" 
+                            class="py-1 px-3 border border-green-600 rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 transition duration-150">
+                        ${L.pdf_download}
+                    </button>
+                </div>
+            </div>
+            <table class="w-full report-table text-gray-700">
+                ${renderStatementHeader(period, comparatives)}
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderSOFP(assets, liabilities, netProfit, equityAccounts, period, comparatives = []) {
+    const periodTitle = describeReportPeriod(period);
+    const cashKey = CASH_ACCOUNT;
+    const span = getStatementColumnCount(comparatives);
+    const sets = [
+        { assets, liabilities, equity: equityAccounts, netProfit },
+        ...comparatives.map(c => ({ ...c.cumulativeData.sofp, netProfit: c.cumulativeData.netProfit }))
+    ];
+    const values = (group, account) => sets.map(set => set[group][account] || 0);
+    const total = (group, accounts) => sets.map(set => accounts.reduce((sum, account) => sum + (set[group][account] || 0), 0));
+    const add = (...columns) => sets.map((_, i) => columns.reduce((sum, column) => sum + column[i], 0));
+    const accountsOf = (group) => unionKeys(sets.map(set => set[group]));
+    let rows = '';
+    
+    // Assets: cash is always current, other accounts follow their chart of accounts line item
+    const assetAccounts = accountsOf('assets');
+    const currentAssets = assetAccounts.filter(account => account === cashKey || !isNonCurrentAccount(account));
+    const nonCurrentAssets = assetAccounts.filter(account => account !== cashKey && isNonCurrentAccount(account));
+    rows += `<tr><td colspan="${span}" class="pt-4 pb-2 font-semibold text-lg text-indigo-700">${L.report_assets}</td></tr>`;
+    rows += `<tr><td colspan="${span}" class="pt-2 font-medium text-gray-600">${L.report_current_assets}</td></tr>`;
+    currentAssets.forEach(account => {
+        rows += renderStatementRow(getAccountDisplayName(account), values('assets', account), { column: 1 });
+    });
+    const totalCurrentAssets = total('assets', currentAssets);
+    rows += renderStatementRow(L.report_total_current_assets, totalCurrentAssets, { className: 'border-t font-medium' });
+    
+    rows += `<tr><td colspan="${span}" class="pt-4 font-medium text-gray-600">${L.report_non_current_assets}</td></tr>`;
+    nonCurrentAssets.forEach(account => {
+        rows += renderStatementRow(getAccountDisplayName(account), values('assets', account), { column: 1 });
+    });
+    const totalNonCurrentAssets = total('assets', nonCurrentAssets);
+    rows += renderStatementRow(L.report_total_non_current_assets, totalNonCurrentAssets, { className: 'border-t font-medium' });
+    
+    const totalAssets = add(totalCurrentAssets, totalNonCurrentAssets);
+    rows += renderStatementRow(L.report_total_assets, totalAssets, { className: 'border-t-2 border-b-2 font-bold bg-indigo-50' });
+    
+    rows += `<tr><td colspan="${span}"><hr class="my-4"></td></tr>`;
+    rows += `<tr><td colspan="${span}" class="pt-2 pb-2 font-semibold text-lg text-red-700">${L.report_liabilities_equity}</td></tr>`;
+    
+    // Liabilities
+    const liabilityAccounts = accountsOf('liabilities');
+    const currentLiabilities = liabilityAccounts.filter(account => !isNonCurrentAccount(account));
+    const nonCurrentLiabilities = liabilityAccounts.filter(account => isNonCurrentAccount(account));
+    
+    rows += `<tr><td colspan="${span}" class="pt-2 font-medium text-gray-600">${L.report_current_liabilities}</td></tr>`;
+    currentLiabilities.forEach(account => {
+        rows += renderStatementRow(getAccountDisplayName(account), values('liabilities', account), { column: 1 });
+    });
+    const totalCurrentLiabilities = total('liabilities', currentLiabilities);
+    rows += renderStatementRow(L.report_total_current_liabilities, totalCurrentLiabilities, { className: 'border-t font-medium' });
+    
+    rows += `<tr><td colspan="${span}" class="pt-4 font-medium text-gray-600">${L.report_non_current_liabilities}</td></tr>`;
+    nonCurrentLiabilities.forEach(account => {
+        rows += renderStatementRow(getAccountDisplayName(account), values('liabilities', account), { column: 1 });
+    });
+    const totalNonCurrentLiabilities = total('liabilities', nonCurrentLiabilities);
+    rows += renderStatementRow(L.report_total_non_current_liabilities, totalNonCurrentLiabilities, { className: 'border-t font-medium' });
+    
+    const totalLiabilities = add(totalCurrentLiabilities, totalNonCurrentLiabilities);
+    rows += renderStatementRow(L.report_total_liabilities, totalLiabilities, { className: 'border-t-2 font-bold bg-red-50' });
+    
+    // Equity: capital accounts, then one retained earnings row combining the balance carried
+    // forward by year-end closes with the profit not yet closed
+    rows += `<tr><td colspan="${span}" class="pt-4 font-medium text-gray-600">${L.report_equity}</td></tr>`;
+    const equityLines = accountsOf('equity').filter(account => account !== RETAINED_EARNINGS_ACCOUNT);
+    equityLines.forEach(account => {
+        rows += renderStatementRow(getAccountDisplayName(account), values('equity', account), { column: 1 });
+    });
+    const retainedEarnings = add(values('equity', RETAINED_EARNINGS_ACCOUNT), sets.map(set => set.netProfit));
+    rows += renderStatementRow(L.report_retained_earnings, retainedEarnings, { column: 1 });
+    const totalEquity = add(total('equity', equityLines), retainedEarnings);
+    rows += renderStatementRow(L.report_closing_equity, totalEquity, { className: 'border-t-2 font-bold bg-gray-50' });
+    
+    const totalLiabilitiesAndEquity = add(totalLiabilities, totalEquity);
+    rows += renderStatementRow(L.report_total_l_e, totalLiabilitiesAndEquity, { className: 'font-extrabold text-lg text-gray-700 border-t-4 border-b-4 mt-4 bg-gray-200' });
+    
+    // Accounting equation check: Assets = Liabilities + Equity
+    const diff = Math.abs(totalAssets[0] - totalLiabilitiesAndEquity[0]);
+    const isBalanced = diff < 0.01;
+    rows += `<tr><td colspan="${span}" class="text-center pt-3 text-sm font-semibold ${isBalanced ? 'text-green-600' : 'text-red-600'}">
+        ${L.report_balance_check(isBalanced ? L.report_balanced : L.report_unbalanced, diff)}
+    </td></tr>`;
+    
+    return `
+        <div class="report-card bg-white p-6 rounded-xl shadow-xl border border-gray-100">
+            <div class="flex justify-between items-start mb-4">
+                <div>
+                    ${renderCompanyHeader()}
+                    <h3 class="text-2xl font-bold text-gray-800">${L.sofp_title}</h3>
+                    <p class="text-sm text-gray-500">${L.period_as_at(formatReportDate(period.end))}</p>
+                </div>
+                <div class="print-button-container no-print">
+                    <button onclick="generatePDF('sofp-content', '${periodTitle.replace(/'/g, "\\'")}', 'SOFP')" 
+                            class="py-1 px-3 border border-green-600 rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 transition duration-150">
+                        ${L.pdf_download}
+                    </button>
+                </div>
+            </div>
+            <table class="w-full report-table text-gray-700">
+                ${renderStatementHeader(period, comparatives, p => formatReportDate(p.end))}
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Looks up whether a SOFP account is classified as non-current in the chart of accounts
+function isNonCurrentAccount(account) {
+    const map = findAccount(account);
+    return !!map && map.lineItem.startsWith('Non-current');
+}
+
+function renderSOCF(socfData, openingCashBalance, sofpCashBalance, period, comparatives = []) {
+    const periodTitle = describeReportPeriod(period);
+    const span = getStatementColumnCount(comparatives);
+    const sets = [
+        { socf: socfData, openingCash: openingCashBalance },
+        ...comparatives.map(c => ({ socf: c.periodData.socf, openingCash: c.openingData.sofp.assets[CASH_ACCOUNT] || 0 }))
+    ];
+    const sections = [
+        { key: 'operating', title: L.cf_operating, subtotal: L.cf_net_op },
+        { key: 'investing', title: L.cf_investing, subtotal: L.cf_net_inv },
+        { key: 'financing', title: L.cf_financing, subtotal: L.cf_net_fin }
+    ];
+    
+    let rows = '';
+    let netChangeInCash = sets.map(() => 0);
+    
+    sections.forEach((section, index) => {
+        const lines = sets.map(set => set.socf[section.key] || {});
+        const sectionTotal = sets.map(() => 0);
+        
+        rows += `<tr><td colspan="${span}" class="${index === 0 ? 'pt-4' : 'pt-6'} pb-2 font-semibold text-lg text-blue-700">${section.title}</td></tr>`;
+        unionKeys(lines).forEach(account => {
+            const amounts = lines.map(line => line[account] || 0);
+            rows += renderStatementRow(getAccountDisplayName(account), amounts, { column: 1, className: amounts[0] >= 0 ? '' : 'text-red-600' });
+            amounts.forEach((amount, i) => { sectionTotal[i] += amount; });
+        });
+        rows += renderStatementRow(section.subtotal, sectionTotal, { className: 'border-t-2 font-bold bg-blue-50' });
+        
+        netChangeInCash = netChangeInCash.map((value, i) => value + sectionTotal[i]);
+    });
+    
+    const openingCash = sets.map(set => set.openingCash);
+    const endingCash = openingCash.map((value, i) => value + netChangeInCash[i]);
+    
+    rows += `<tr><td colspan="${span}" class="pt-6"></td></tr>`;
+    rows += renderStatementRow(L.cf_net_change, netChangeInCash, { className: 'font-bold border-t-2' });
+    rows += renderStatementRow(L.cf_opening_cash, openingCash);
+    rows += renderStatementRow(L.cf_ending_cash, endingCash, { className: 'font-extrabold text-lg text-gray-700 border-t-4 border-b-4 mt-4 bg-gray-200' });
+    
+    // Reconciliation: ending cash per SOCF must agree with cash per SOFP
+    const diff = Math.abs(endingCash[0] - sofpCashBalance);
+    const isReconciled = diff < 0.01;
+    rows += `<tr><td colspan="${span}" class="text-center pt-3 text-sm font-semibold ${isReconciled ? 'text-green-600' : 'text-red-600'}">
+        ${L.cf_reconciliation_check(isReconciled ? L.cf_reconciled : L.cf_unreconciled, sofpCashBalance, diff)}
+    </td></tr>`;
+    
+    return `
+        <div class="report-card bg-white p-6 rounded-xl shadow-xl border border-gray-100">
+            <div class="flex justify-between items-start mb-4">
+                <div>
+                    ${renderCompanyHeader()}
+                    <h3 class="text-2xl font-bold text-gray-800">${L.socf_title}</h3>
+                    <p class="text-sm text-gray-500">${describePeriodRange(period)}</p>
+                </div>
+                <div class="print-button-container no-print">
+                    <button onclick="generatePDF('socf-content', '${periodTitle.replace(/'/g, "\\'")}', 'SOCF')" 
+                            class="py-1 px-3 border border-green-600 rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 transition duration-150">
+                        ${L.pdf_download}
+                    </button>
+                </div>
+            </div>
+            <table class="w-full report-table text-gray-700">
+                ${renderStatementHeader(period, comparatives)}
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// --- CHART OF ACCOUNTS MANAGER ---
+function renderChartOfAccounts() {
+    const accountsView = document.getElementById('view-accounts');
+    if (!accountsView) return;
+    
+    const editing = editingAccountId ? chartOfAccounts.getAccount(editingAccountId) : null;
+    const report = editing ? editing.report : 'SOPL';
+    const options = (values, selected, label = v => v) => values
+        .map(v => `<option value="${escapeHtml(v)}" ${String(v) === String(selected) ? 'selected' : ''}>${escapeHtml(label(v))}</option>`)
+        .join('');
+    
+    const accounts = chartOfAccounts.getAccounts(true);
+    const rows = accounts.map((account, index) => `
+        <tr class="${account.archived ? 'bg-gray-100 text-gray-400' : (index % 2 === 0 ? 'bg-white' : 'bg-gray-50')}">
+            <td class="px-3 py-2 whitespace-nowrap text-sm">
+                <button onclick="moveAccount(${escapeHtml(JSON.stringify(account.id))}, -1)" class="text-gray-500 hover:text-indigo-600" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button onclick="moveAccount(${escapeHtml(JSON.stringify(account.id))}, 1)" class="text-gray-500 hover:text-indigo-600" ${index === accounts.length - 1 ? 'disabled' : ''}>▼</button>
+            </td>
+            <td class="px-3 py-2 text-sm text-gray-900">${escapeHtml(getCategoryDisplayName(account.id))}</td>
+            <td class="px-3 py-2 text-sm">${account.report}</td>
+            <td class="px-3 py-2 text-sm">${account.lineItem}</td>
+            <td class="px-3 py-2 text-sm">${account.effect === 1 ? L.coa_effect_increase : L.coa_effect_decrease}</td>
+            <td class="px-3 py-2 text-sm">${account.flow}</td>
+            <td class="px-3 py-2 whitespace-nowrap text-sm text-center">
+                <button onclick="editAccount(${escapeHtml(JSON.stringify(account.id))})" class="text-indigo-600 hover:text-indigo-800 font-medium mr-3">${L.edit}</button>
+                <button onclick="toggleAccountArchived(${escapeHtml(JSON.stringify(account.id))})" class="text-${account.archived ? 'green' : 'red'}-600 font-medium">
+                    ${account.archived ? L.coa_restore : L.coa_archive}
+                </button>
+            </td>
+        </tr>
+    `).join('');
+    
+    accountsView.innerHTML = `
+        <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mb-4">
+            <h3 class="text-xl font-semibold mb-4 text-gray-800">${editing ? L.coa_edit_title : L.coa_add_title}</h3>
+            <form id="account-form" onsubmit="saveAccount(event)" class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.coa_name_en}</label>
+                    <input type="text" id="account-name-en" required value="${editing ? escapeHtml(editing.names ? editing.names.en : L_EN[editing.labelKey]) : ''}" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.coa_name_ml}</label>
+                    <input type="text" id="account-name-ml" required value="${editing ? escapeHtml(editing.names ? editing.names.ml : L_ML[editing.labelKey]) : ''}" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.coa_report}</label>
+                    <select id="account-report" onchange="updateLineItemOptions()" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                        ${options(Object.keys(LINE_ITEMS), report)}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.coa_line_item}</label>
+                    <select id="account-line-item" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                        ${options(LINE_ITEMS[report], editing ? editing.lineItem : '')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.coa_effect}</label>
+                    <select id="account-effect" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                        ${options([1, -1], editing ? editing.effect : 1, v => v === 1 ? L.coa_effect_increase : L.coa_effect_decrease)}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.coa_flow}</label>
+                    <select id="account-flow" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                        ${options(CASH_FLOW_CLASSES, editing ? editing.flow : 'Operating')}
+                    </select>
+                </div>
+                <div class="md:col-span-2 flex space-x-2">
+                    <button type="submit" class="py-2 px-4 rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">
+                        ${editing ? L.coa_update_button : L.coa_add_button}
+                    </button>
+                    ${editing ? `<button type="button" onclick="cancelAccountEdit()" class="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-100">${L.cancel_button}</button>` : ''}
+                </div>
+            </form>
+        </div>
+        
+        <div class="bg-white rounded-xl shadow-lg overflow-x-auto">
+            <table class="min-w-full divide-y divide-gray-200">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-3 py-3"></th>
+                        <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.coa_th_name}</th>
+                        <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.coa_report}</th>
+                        <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.coa_line_item}</th>
+                        <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.coa_effect}</th>
+                        <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.coa_flow}</th>
+                        <th class="px-3 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">${L.th_actions}</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">${rows}</tbody>
+            </table>
+        </div>
+        
+        ${renderCategoryRules()}
+    `;
+}
+
+window.updateLineItemOptions = function() {
+    const report = document.getElementById('account-report').value;
+    document.getElementById('account-line-item').innerHTML = LINE_ITEMS[report]
+        .map(item => `<option value="${item}">${item}</option>`)
+        .join('');
+};
+
+window.saveAccount = function(event) {
+    event.preventDefault();
+    
+    const accountData = {
+        names: {
+            en: document.getElementById('account-name-en').value.trim(),
+            ml: document.getElementById('account-name-ml').value.trim()
+        },
+        report: document.getElementById('account-report').value,
+        lineItem: document.getElementById('account-line-item').value,
+        effect: parseInt(document.getElementById('account-effect').value, 10),
+        flow: document.getElementById('account-flow').value
+    };
+    
+    try {
+        if (editingAccountId) {
+            chartOfAccounts.updateAccount(editingAccountId, accountData);
+            showStatusMessage(L.coa_update_success, 'green');
+        } else {
+            chartOfAccounts.addAccount(accountData);
+            showStatusMessage(L.coa_add_success, 'green');
+        }
+        editingAccountId = null;
+        refreshAccountViews();
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+};
+
+window.editAccount = function(id) {
+    editingAccountId = id;
+    renderChartOfAccounts();
+};
+
+window.cancelAccountEdit = function() {
+    editingAccountId = null;
+    renderChartOfAccounts();
+};
+
+window.toggleAccountArchived = function(id) {
+    const account = chartOfAccounts.getAccount(id);
+    if (!account) return;
+    chartOfAccounts.setArchived(id, !account.archived);
+    refreshAccountViews();
+};
+
+window.moveAccount = function(id, direction) {
+    chartOfAccounts.moveAccount(id, direction);
+    refreshAccountViews();
+};
+
+function refreshAccountViews() {
+    updateCategoryDropdown();
+    renderChartOfAccounts();
+    renderTransactionList();
+}
+
+// --- VIEW MANAGEMENT ---
+window.showView = function(viewId) {
+    currentView = viewId;
+    
+    // Hide all views
+    document.querySelectorAll('.report-view').forEach(view => view.classList.add('hidden'));
+    // Deactivate all tabs
+    document.querySelectorAll('.tab-button').forEach(button => button.classList.remove('active'));
+    
+    // Show the selected view and activate its tab
+    const viewElement = document.getElementById(`view-${viewId}`);
+    const tabElement = document.getElementById(`tab-${viewId}`);
+    
+    if (viewElement) viewElement.classList.remove('hidden');
+    if (tabElement) tabElement.classList.add('active');
+    
+    // Update reports if needed
+    if (viewId === 'accounts') {
+        renderChartOfAccounts();
+    } else if (viewId === 'assets') {
+        renderAssetRegister();
+    } else if (viewId === 'loans') {
+        renderLoanRegister();
+    } else if (viewId === 'yearend') {
+        renderYearEnd();
+    } else if (viewId === 'bank') {
+        renderBankReconciliation();
+    } else if (viewId === 'recurring') {
+        renderRecurring();
+    } else if (viewId === 'budget') {
+        renderBudget();
+    } else if (viewId !== 'transactions') {
+        updateReportsView();
+    }
+};
+
+// --- PDF GENERATION ---
+window.generatePDF = function(reportId, periodTitle, reportType) {
+    const reportElement = document.getElementById(reportId);
+    if (!reportElement) {
+        console.error("Report element not found:", reportId);
+        return;
+    }
+
+    showStatusMessage(L.pdf_generating(reportType), 'indigo');
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF('p', 'mm', 'a4');
+
+    html2canvas(reportElement, { 
+        scale: 2, 
+        logging: false,
+        useCORS: true,
+        backgroundColor: '#ffffff'
+    }).then(canvas => {
+        const imgData = canvas.toDataURL('image/png');
+        const pdfWidth = doc.internal.pageSize.getWidth();
+        const pdfHeight = doc.internal.pageSize.getHeight();
+        const imgHeight = canvas.height * pdfWidth / canvas.width;
+        
+        doc.addImage(imgData, 'PNG', 0, 0, pdfWidth, imgHeight);
+        const fileName = `${reportType}-${periodTitle.replace(/\s/g, '-')}.pdf`;
+        doc.save(fileName);
+        
+        showStatusMessage(L.pdf_success(fileName), 'green');
+    }).catch(error => {
+        console.error("Error generating PDF:", error);
+        showStatusMessage(L.pdf_error(error.message), 'red');
+    });
+};
+
+// --- DATA MANAGEMENT FUNCTIONS ---
+window.exportData = function() {
+    transactionManager.exportToFile()
+        .then(() => showStatusMessage(L.export_success, 'green'))
+        .catch(error => {
+            console.error('Export failed:', error);
+            showStatusMessage(L.export_error, 'red');
+        });
+};
+
+window.importData = function(input) {
+    const file = input.files[0];
+    if (!file) return;
+    
+    const fileName = file.name.toLowerCase();
+    if (/\.(csv|xlsx|xls)$/.test(fileName)) {
+        openImportWizard(file)
+            .catch(error => showStatusMessage(L.import_error(error), 'red'))
+            .finally(() => { input.value = ''; });
+        return;
+    }
+    if (!/\.(json|smartbook)$/.test(fileName)) {
+        showStatusMessage(L.import_unsupported, 'red');
+        input.value = '';
+        return;
+    }
+    
+    // Nothing is applied until the restore summary is confirmed
+    openBackupRestore(file)
+        .catch(error => {
+            // Closing the passphrase dialog is not a failure
+            if (error.message !== 'Cancelled') showStatusMessage(L.import_error(error.message), 'red');
+        })
+        .finally(() => { input.value = ''; });
+};
+
+window.clearAllData = function() {
+    if (confirm(L.clear_confirm || 'Are you sure you want to delete ALL transactions? This cannot be undone.')) {
+        // A failed clear has already been reported and the ledger reloaded from disk
+        transactionManager.clearAll().then(saved => {
+            allTransactions = transactionManager.transactions;
+            if (saved) showStatusMessage(L.clear_success || 'All data cleared successfully.', 'green');
+            renderTransactionList();
+            updateReportsView();
+            resetForm();
+        });
+    } else {
+        showStatusMessage(L.clear_cancelled || 'Data clearance cancelled.', 'blue');
+    }
+};
+
+// --- PASSPHRASE PROTECTION ---
+let passphraseRequest = null;
+
+// Opens the passphrase dialog. onSubmit receives the passphrase and returns a promise;
+// the dialog stays open showing the error until it resolves or the user cancels.
+function requestPassphrase({ title, message, confirm = false, cancellable = true, onSubmit }) {
+    return new Promise((resolve, reject) => {
+        passphraseRequest = { confirm, onSubmit, resolve, reject };
+        document.getElementById('passphrase-dialog').innerHTML = `
+            <h2 class="text-xl font-bold text-indigo-600 mb-2">${escapeHtml(title)}</h2>
+            ${message ? `<p class="text-sm text-gray-600 mb-4">${escapeHtml(message)}</p>` : ''}
+            <form onsubmit="submitPassphrase(event)" class="space-y-3">
+                <input id="passphrase-input" type="password" autocomplete="current-password" placeholder="${L.passphrase_placeholder}"
+                    class="w-full rounded-md border border-gray-300 p-2 text-sm">
+                ${confirm ? `<input id="passphrase-confirm" type="password" autocomplete="new-password" placeholder="${L.passphrase_confirm_placeholder}"
+                    class="w-full rounded-md border border-gray-300 p-2 text-sm">` : ''}
+                <p id="passphrase-error" class="text-sm text-red-600 hidden"></p>
+                <div class="flex justify-end gap-2">
+                    ${cancellable ? `<button type="button" onclick="cancelPassphrase()" class="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-100">${L.passphrase_cancel}</button>` : ''}
+                    <button type="submit" id="passphrase-submit" class="py-2 px-4 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">${L.passphrase_ok}</button>
+                </div>
+            </form>
+        `;
+        document.getElementById('passphrase-modal').classList.remove('hidden');
+        document.getElementById('passphrase-input').focus();
+    });
+}
+
+function closePassphraseDialog() {
+    passphraseRequest = null;
+    document.getElementById('passphrase-modal').classList.add('hidden');
+    document.getElementById('passphrase-dialog').innerHTML = '';
+}
+
+window.submitPassphrase = function(event) {
+    event.preventDefault();
+    const request = passphraseRequest;
+    if (!request) return;
+    
+    const passphrase = document.getElementById('passphrase-input').value;
+    const errorLine = document.getElementById('passphrase-error');
+    const showError = (message) => {
+        errorLine.textContent = message;
+        errorLine.classList.remove('hidden');
+    };
+    if (request.confirm && passphrase !== document.getElementById('passphrase-confirm').value) {
+        showError(L.passphrase_mismatch);
+        return;
+    }
+    
+    // Key derivation takes a moment; stop a second submit from starting another
+    const submitButton = document.getElementById('passphrase-submit');
+    submitButton.disabled = true;
+    errorLine.classList.add('hidden');
+    request.onSubmit(passphrase)
+        .then(result => {
+            closePassphraseDialog();
+            request.resolve(result);
+        })
+        .catch(error => {
+            showError(error.message || error);
+            submitButton.disabled = false;
+        });
+};
+
+window.cancelPassphrase = function() {
+    const request = passphraseRequest;
+    closePassphraseDialog();
+    if (request) request.reject(new Error('Cancelled'));
+};
+
+// Stores were constructed before the passphrase was known; reload them from the decrypted values
+function reloadStores() {
+    settingsManager.settings = settingsManager.loadSettings();
+    periodLocks.data = periodLocks.loadLocks();
+    auditTrail.entries = auditTrail.loadEntries();
+    bankStatement.lines = bankStatement.loadLines();
+    categoryRules.rules = categoryRules.loadRules();
+    recurringManager.templates = recurringManager.loadTemplates();
+    budgetManager.budgets = budgetManager.loadBudgets();
+    chartOfAccounts.accounts = chartOfAccounts.loadAccounts();
+}
+
+function promptUnlock() {
+    return requestPassphrase({
+        title: L.unlock_title(companyManager.getActive().name),
+        message: L.unlock_message,
+        cancellable: false,
+        onSubmit: passphrase => secureStorage.unlock(passphrase)
+    });
+}
+
+function renderEncryptionPanel() {
+    const panel = document.getElementById('encryption-panel');
+    if (!panel) return;
+    
+    const buttonClass = 'w-full py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-100 transition duration-150';
+    panel.innerHTML = secureStorage.isEnabled() ? `
+        <p class="text-xs text-green-700 mb-2">${L.encryption_on}</p>
+        <div class="space-y-2">
+            <button type="button" onclick="exportEncryptedData()" class="${buttonClass}">${L.encryption_export}</button>
+            <button type="button" onclick="lockData()" class="${buttonClass}">${L.encryption_lock}</button>
+            <button type="button" onclick="disableEncryption()" class="${buttonClass}">${L.encryption_disable}</button>
+        </div>
+    ` : `
+        <p class="text-xs text-gray-500 mb-2">${L.encryption_off}</p>
+        <button type="button" onclick="enableEncryption()" class="${buttonClass}">${L.encryption_enable}</button>
+    `;
+}
+
+// The IndexedDB ledger is rewritten so every record matches the new setting
+function rewriteTransactionStore() {
+    if (!transactionManager.store) return Promise.resolve();
+    return transactionManager.store.write(transactionManager.transactions, [], true);
+}
+
+window.enableEncryption = function() {
+    requestPassphrase({
+        title: L.encryption_enable,
+        message: L.encryption_enable_message,
+        confirm: true,
+        onSubmit: passphrase => secureStorage.enable(passphrase).then(rewriteTransactionStore)
+    }).then(() => {
+        showStatusMessage(L.encryption_enabled, 'green');
+        renderEncryptionPanel();
+    }).catch(() => {});
+};
+
+window.disableEncryption = function() {
+    if (!confirm(L.encryption_disable_confirm)) return;
+    requestPassphrase({
+        title: L.encryption_disable,
+        onSubmit: passphrase => secureStorage.disable(passphrase).then(rewriteTransactionStore)
+    }).then(() => {
+        showStatusMessage(L.encryption_disabled, 'green');
+        renderEncryptionPanel();
+    }).catch(() => {});
+};
+
+// Reloading drops the key from memory; the unlock screen appears on start-up
+window.lockData = function() {
+    location.reload();
+};
+
+window.exportEncryptedData = function() {
+    transactionManager.exportEncryptedToFile()
+        .then(() => showStatusMessage(L.export_success, 'green'))
+        .catch(error => showStatusMessage(`Error: ${error.message}`, 'red'));
+};
+
+// --- BACKUP & RESTORE ---
+// Backups are a versioned envelope around every store of the active company. The checksum
+// covers `data` only, so the envelope can be inspected before its contents are trusted.
+const BACKUP_ENVELOPE_FORMAT = 'smartbook-backup';
+const BACKUP_SCHEMA_VERSION = 1;
+
+// Store sections in the order they are restored: accounts before the transactions that use them
+const BACKUP_SECTIONS = ['company', 'language', 'settings', 'accounts', 'periodLocks', 'categoryRules', 'recurring', 'budgets', 'bankStatement'];
+
+let backupRestore = null; // { fileName, backup, mode, skipDuplicates }
+
+function sha256Hex(text) {
+    return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+        .then(hash => Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, '0')).join(''));
+}
+
+function collectBackupData() {
+    const company = companyManager.getActive();
+    return {
+        company: { name: company.name, registrationNo: company.registrationNo || '' },
+        language: currentLanguage,
+        settings: settingsManager.settings,
+        accounts: chartOfAccounts.accounts,
+        periodLocks: periodLocks.data,
+        categoryRules: categoryRules.rules,
+        recurring: recurringManager.templates,
+        budgets: budgetManager.budgets,
+        bankStatement: bankStatement.lines,
+        transactions: transactionManager.transactions
+    };
+}
+
+function createBackup() {
+    const data = collectBackupData();
+    return sha256Hex(JSON.stringify(data)).then(checksum => JSON.stringify({
+        format: BACKUP_ENVELOPE_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        checksum: `sha256:${checksum}`,
+        data
+    }, null, 2));
+}
+
+// Opening and closing journals carry lines instead of a category. The description may be
+// empty, as it is for entries created straight from a bank line.
+function isValidBackupTransaction(item) {
+    return item && item.date && (item.category || Array.isArray(item.lines)) && !isNaN(parseFloat(item.amount));
+}
+
+// Accepts a backup envelope, or the bare transaction array written before the envelope existed
+function readBackup(parsed) {
+    if (Array.isArray(parsed)) {
+        parsed = { schemaVersion: 0, exportedAt: null, data: { transactions: parsed } };
+    } else if (!parsed || parsed.format !== BACKUP_ENVELOPE_FORMAT || !parsed.data) {
+        return Promise.reject(new Error('Invalid data format: Expected a SmartBook backup'));
+    } else if (parsed.schemaVersion > BACKUP_SCHEMA_VERSION) {
+        return Promise.reject(new Error('This backup was made by a newer version of SmartBook'));
+    }
+    
+    const verified = parsed.checksum
+        ? sha256Hex(JSON.stringify(parsed.data)).then(checksum => {
+            if (parsed.checksum !== `sha256:${checksum}`) {
+                throw new Error('Backup checksum does not match. The file is damaged or was edited.');
+            }
+        })
+        : Promise.resolve();
+    
+    return verified.then(() => {
+        const data = parsed.data;
+        if (!Array.isArray(data.transactions)) {
+            throw new Error('Invalid data format: Expected array of transactions');
+        }
+        const transactions = data.transactions.filter(isValidBackupTransaction);
+        if (transactions.length === 0 && data.transactions.length > 0) {
+            throw new Error('No valid transactions found in file');
+        }
+        return {
+            schemaVersion: parsed.schemaVersion,
+            exportedAt: parsed.exportedAt,
+            rejected: data.transactions.length - transactions.length,
+            data: { ...data, transactions: transactions.map(t => transactionManager.normalizeTransaction(t)) }
+        };
+    });
+}
+
+function diffById(current, incoming) {
+    const currentById = new Map(current.map(item => [item.id, item]));
+    const incomingIds = new Set(incoming.map(item => item.id));
+    const diff = { added: [], changed: [], unchanged: [], removed: current.filter(item => !incomingIds.has(item.id)) };
+    incoming.forEach(item => {
+        const existing = currentById.get(item.id);
+        if (!existing) {
+            diff.added.push(item);
+        } else if (JSON.stringify(existing) === JSON.stringify(item)) {
+            diff.unchanged.push(item);
+        } else {
+            diff.changed.push(item);
+        }
+    });
+    return diff;
+}
+
+// What a restore would do, worked out without touching any store. Merge only adds records
+// that are not here yet; replace makes every store in the backup match it exactly.
+function planBackupRestore(backup, mode, skipDuplicates = true) {
+    const data = backup.data;
+    const plan = { mode, transactions: diffById(transactionManager.transactions, data.transactions) };
+    
+    if (mode === 'merge') {
+        // Records entered separately on two devices have different ids but look alike
+        const openEntries = plan.transactions.added.filter(t => transactionManager.isPeriodOpen(t.date));
+        plan.duplicates = openEntries.filter(t => isDuplicateCandidate(t) && findDuplicates(t).length > 0);
+        plan.toImport = skipDuplicates ? openEntries.filter(t => !plan.duplicates.includes(t)) : openEntries;
+        plan.skippedLocked = plan.transactions.added.length - openEntries.length;
+    }
+    if (Array.isArray(data.accounts)) {
+        plan.accounts = diffById(chartOfAccounts.accounts, data.accounts);
+    }
+    if (Array.isArray(data.categoryRules)) {
+        plan.categoryRules = diffById(categoryRules.rules, data.categoryRules);
+        if (mode === 'merge') {
+            // A rule for the same keyword already decides those descriptions
+            const keywords = new Set(categoryRules.rules.map(r => r.keyword.toLowerCase()));
+            plan.categoryRules.added = plan.categoryRules.added.filter(r => !keywords.has(r.keyword.toLowerCase()));
+        }
+    }
+    if (Array.isArray(data.recurring)) {
+        plan.recurring = diffById(recurringManager.templates, data.recurring);
+    }
+    return plan;
+}
+
+function describeBackupDiff(diff, mode) {
+    if (mode === 'merge') {
+        return diff.added.length ? L.backup_diff_new(diff.added.length) : L.backup_no_changes;
+    }
+    if (!diff.added.length && !diff.changed.length && !diff.removed.length) return L.backup_no_changes;
+    return L.backup_diff_replace(diff.added.length, diff.changed.length, diff.removed.length);
+}
+
+// Rows of the summary shown before anything is applied
+function describeBackupPlan(backup, plan) {
+    const data = backup.data;
+    const rows = [];
+    
+    const transactions = plan.transactions;
+    const details = plan.mode === 'merge'
+        ? [
+            L.backup_diff_new(plan.toImport.length),
+            L.backup_diff_existing(transactions.changed.length + transactions.unchanged.length),
+            plan.skippedLocked ? L.backup_diff_locked(plan.skippedLocked) : '',
+            plan.duplicates.length ? L.backup_diff_duplicates(plan.duplicates.length) : ''
+        ]
+        : [describeBackupDiff(transactions, 'replace')];
+    if (backup.rejected) details.push(L.backup_diff_rejected(backup.rejected));
+    rows.push({ label: L.backup_area_transactions, detail: details.filter(Boolean).join(', ') });
+    if (plan.accounts) rows.push({ label: L.backup_area_accounts, detail: describeBackupDiff(plan.accounts, plan.mode) });
+    if (plan.categoryRules) rows.push({ label: L.backup_area_rules, detail: describeBackupDiff(plan.categoryRules, plan.mode) });
+    if (plan.recurring) rows.push({ label: L.backup_area_recurring, detail: describeBackupDiff(plan.recurring, plan.mode) });
+    
+    // Settings-like stores have nothing to add to; merge leaves them as they are
+    if (plan.mode === 'replace') {
+        if (data.settings) {
+            const settings = { ...DEFAULT_SETTINGS, ...data.settings };
+            const changed = Object.keys(settings).filter(key => JSON.stringify(settings[key]) !== JSON.stringify(settingsManager.get(key)));
+            rows.push({ label: L.backup_area_settings, detail: changed.length ? L.backup_settings_changed(changed.join(', ')) : L.backup_no_changes });
+        }
+        if (data.periodLocks && Array.isArray(data.periodLocks.lockedMonths)) {
+            const months = [...data.periodLocks.lockedMonths].sort();
+            rows.push({ label: L.backup_area_locks, detail: months.length ? months.join(', ') : L.backup_none });
+        }
+        if (data.budgets) {
+            rows.push({ label: L.backup_area_budgets, detail: L.backup_budget_months(Object.keys(data.budgets).length, Object.keys(budgetManager.budgets).length) });
+        }
+        if (Array.isArray(data.bankStatement)) {
+            rows.push({ label: L.backup_area_bank, detail: L.backup_bank_lines(data.bankStatement.length, bankStatement.lines.length) });
+        }
+        if (data.language && data.language !== currentLanguage) {
+            rows.push({ label: L.backup_area_language, detail: data.language === 'ml' ? 'Bahasa Melayu' : 'English' });
+        }
+        if (data.company && data.company.name !== companyManager.getActive().name) {
+            rows.push({ label: L.backup_area_company, detail: data.company.name });
+        }
+    }
+    return rows;
+}
+
+function applyBackupRestore(backup, plan) {
+    const data = backup.data;
+    
+    if (plan.mode === 'merge') {
+        if (plan.accounts && plan.accounts.added.length) {
+            chartOfAccounts.accounts.push(...plan.accounts.added);
+            chartOfAccounts.saveToStorage();
+        }
+        if (plan.categoryRules && plan.categoryRules.added.length) {
+            categoryRules.rules.push(...plan.categoryRules.added);
+            categoryRules.saveToStorage();
+        }
+        if (plan.recurring && plan.recurring.added.length) {
+            recurringManager.templates.push(...plan.recurring.added);
+            recurringManager.saveToStorage();
+        }
+        const { count, skipped, written } = transactionManager.importTransactions(plan.toImport);
+        return written.then(saved => ({ count, skipped, saved }));
+    }
+    
+    BACKUP_SECTIONS.filter(section => data[section] !== undefined).forEach(section => {
+        const value = data[section];
+        switch (section) {
+            case 'company':
+                companyManager.updateCompany(companyManager.getActive().id, value.name, value.registrationNo);
+                break;
+            case 'language':
+                localStorage.setItem(companyManager.scopedKey('appLanguage'), value === 'ml' ? 'ml' : 'en');
+                break;
+            case 'settings':
+                settingsManager.settings = { ...DEFAULT_SETTINGS, ...value };
+                settingsManager.saveToStorage();
+                break;
+            case 'accounts':
+                chartOfAccounts.accounts = value;
+                chartOfAccounts.saveToStorage();
+                break;
+            case 'periodLocks':
+                periodLocks.data = {
+                    lockedMonths: Array.isArray(value.lockedMonths) ? value.lockedMonths : [],
+                    log: Array.isArray(value.log) ? value.log : []
+                };
+                periodLocks.saveToStorage();
+                break;
+            case 'categoryRules':
+                categoryRules.rules = value;
+                categoryRules.saveToStorage();
+                break;
+            case 'recurring':
+                recurringManager.templates = value;
+                recurringManager.saveToStorage();
+                break;
+            case 'budgets':
+                budgetManager.budgets = value;
+                budgetManager.saveToStorage();
+                break;
+            case 'bankStatement':
+                bankStatement.lines = value;
+                bankStatement.saveToStorage();
+                break;
+        }
+    });
+    return transactionManager.replaceAll(data.transactions)
+        .then(saved => ({ count: data.transactions.length, skipped: 0, saved }));
+}
+
+function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Failed to read file'));
+        reader.readAsText(file);
+    });
+}
+
+// Reads a .json or encrypted .smartbook backup and opens the restore summary
+function openBackupRestore(file) {
+    const isEncrypted = file.name.toLowerCase().endsWith('.smartbook');
+    return readTextFile(file)
+        .then(text => !isEncrypted ? text : requestPassphrase({
+            title: L.backup_unlock_title(file.name),
+            onSubmit: passphrase => decryptBackup(text, passphrase)
+        }))
+        .then(text => {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new Error('Failed to parse JSON file: ' + error.message);
+            }
+        })
+        .then(readBackup)
+        .then(backup => {
+            backupRestore = { fileName: file.name, backup, mode: 'merge', skipDuplicates: true };
+            renderBackupRestore();
+            document.getElementById('backup-restore-modal').classList.remove('hidden');
+        });
+}
+
+function renderBackupRestore() {
+    const container = document.getElementById('backup-restore');
+    if (!container || !backupRestore) return;
+    
+    const { backup, mode, skipDuplicates } = backupRestore;
+    const locale = currentLanguage === 'ml' ? 'ms-MY' : 'en-US';
+    const plan = planBackupRestore(backup, mode, skipDuplicates);
+    const rows = describeBackupPlan(backup, plan).map(row => `
+        <tr>
+            <td class="px-3 py-2 text-sm font-medium text-gray-700 whitespace-nowrap">${row.label}</td>
+            <td class="px-3 py-2 text-sm text-gray-600">${escapeHtml(row.detail)}</td>
+        </tr>
+    `).join('');
+    const modeOption = (value, label) => `
+        <label class="flex items-start space-x-2 text-sm text-gray-700">
+            <input type="radio" name="backup-mode" value="${value}" onchange="updateBackupRestoreMode(this.value)" ${mode === value ? 'checked' : ''} class="mt-1">
+            <span>${label}</span>
+        </label>
+    `;
+    
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-2">
+            <h3 class="text-xl font-semibold text-gray-800">${L.backup_restore_title(escapeHtml(backupRestore.fileName))}</h3>
+            <button onclick="closeBackupRestore()" class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+        </div>
+        <p class="text-sm text-gray-500 mb-4">${backup.schemaVersion
+            ? L.backup_info(new Date(backup.exportedAt).toLocaleString(locale), backup.schemaVersion)
+            : L.backup_legacy}</p>
+        
+        <div class="space-y-2 mb-4">
+            ${modeOption('merge', L.backup_mode_merge)}
+            ${modeOption('replace', L.backup_mode_replace)}
+        </div>
+        
+        <div class="overflow-x-auto border rounded-md">
+            <table class="min-w-full divide-y divide-gray-200">
+                <tbody class="divide-y divide-gray-200">${rows}</tbody>
+            </table>
+        </div>
+        ${mode === 'merge' && plan.duplicates.length ? `
+            <label class="flex items-center space-x-2 text-sm text-amber-700 mt-3">
+                <input type="checkbox" onchange="updateBackupRestoreSkipDuplicates(this.checked)" ${skipDuplicates ? 'checked' : ''}>
+                <span>${L.import_skip_duplicates(plan.duplicates.length)}</span>
+            </label>
+        ` : ''}
+        
+        <div class="flex justify-end space-x-2 mt-6">
+            <button onclick="closeBackupRestore()" class="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-100">${L.cancel_button}</button>
+            <button onclick="commitBackupRestore()" class="py-2 px-4 rounded-md text-sm font-medium text-white ${mode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'}">${mode === 'replace' ? L.backup_apply_replace : L.backup_apply_merge}</button>
+        </div>
+    `;
+}
+
+window.updateBackupRestoreMode = function(mode) {
+    if (!backupRestore) return;
+    backupRestore.mode = mode === 'replace' ? 'replace' : 'merge';
+    renderBackupRestore();
+};
+
+window.updateBackupRestoreSkipDuplicates = function(skip) {
+    if (!backupRestore) return;
+    backupRestore.skipDuplicates = skip;
+    renderBackupRestore();
+};
+
+window.closeBackupRestore = function() {
+    backupRestore = null;
+    document.getElementById('backup-restore-modal').classList.add('hidden');
 };
 
-// --- UTILITY FUNCTIONS ---
-const formatCurrency = (amount) => {
-    if (isNaN(amount)) return 'RM 0.00';
-    return new Intl.NumberFormat('en-MY', { 
-        style: 'currency', 
-        currency: 'MYR',
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    }).format(amount);
+window.commitBackupRestore = function() {
+    if (!backupRestore) return;
+    const { backup, mode, skipDuplicates } = backupRestore;
+    if (mode === 'replace' && !confirm(L.backup_replace_confirm)) return;
+    
+    // Success is only reported once the ledger is on disk; a failed write has already been
+    // reported and the ledger reloaded
+    Promise.resolve()
+        .then(() => applyBackupRestore(backup, planBackupRestore(backup, mode, skipDuplicates)))
+        .then(result => {
+            closeBackupRestore();
+            if (result.saved) {
+                showStatusMessage(L.import_success(result.count) + (result.skipped ? ` ${L.import_skipped_locked(result.skipped)}` : ''), 'green');
+            }
+            allTransactions = transactionManager.transactions;
+            // Re-renders everything, including restored accounts and company details
+            setLanguage(localStorage.getItem(companyManager.scopedKey('appLanguage')) || currentLanguage);
+        })
+        .catch(error => showStatusMessage(`Error: ${error.message}`, 'red'));
+};
+
+// --- RECURRING TRANSACTIONS ---
+// Runs on start-up: auto-post templates are posted straight away, the rest wait in the
+// confirmation queue on the Recurring tab. Occurrences in locked periods stay queued.
+function processRecurringTransactions() {
+    const today = new Date().toISOString().split('T')[0];
+    let posted = 0;
+    let failed = 0;
+    
+    recurringManager.getDueOccurrences(today)
+        .filter(occurrence => occurrence.template.autoPost)
+        .forEach(occurrence => {
+            // A failed occurrence blocks the later ones of the same template, keeping them in order
+            if (occurrence.index !== occurrence.template.nextIndex) return;
+            try {
+                recurringManager.postNext(occurrence.template.id);
+                posted++;
+            } catch (error) {
+                console.error('Error posting recurring transaction:', error);
+                failed++;
+            }
+        });
+    
+    const queued = recurringManager.getDueOccurrences(today).length;
+    if (posted > 0 || queued > 0) {
+        showStatusMessage(L.recurring_startup(posted, queued), failed > 0 ? 'red' : 'indigo');
+    }
+}
+
+function renderRecurring() {
+    const recurringView = document.getElementById('view-recurring');
+    if (!recurringView) return;
+    
+    const today = new Date().toISOString().split('T')[0];
+    const accrual = settingsManager.get('accountingBasis') === 'accrual';
+    const templates = recurringManager.getTemplates();
+    const due = recurringManager.getDueOccurrences(today);
+    const accountOptions = chartOfAccounts.getAccounts()
+        .filter(a => !isFixedAssetCategory(a.id) && !isLoanCategory(a.id))
+        .map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(getCategoryDisplayName(a.id))}</option>`)
+        .join('');
+    
+    const dueRows = due.map(occurrence => {
+        const isNext = occurrence.index === occurrence.template.nextIndex;
+        return `
+            <tr>
+                <td class="px-3 py-2 text-sm whitespace-nowrap">${occurrence.date}</td>
+                <td class="px-3 py-2 text-sm">${escapeHtml(occurrence.template.description)}</td>
+                <td class="px-3 py-2 text-sm">${escapeHtml(getCategoryDisplayName(occurrence.template.category))}</td>
+                <td class="px-3 py-2 text-sm text-right">${formatCurrency(occurrence.template.amount)}</td>
+                <td class="px-3 py-2 text-sm text-center whitespace-nowrap">
+                    ${isNext ? `
+                        <button onclick="postRecurring('${occurrence.template.id}')" class="text-green-600 hover:text-green-800 font-medium mr-3">${L.recurring_post}</button>
+                        <button onclick="skipRecurring('${occurrence.template.id}')" class="text-gray-500 hover:text-gray-700 font-medium">${L.recurring_skip}</button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    const templateRows = templates.map(template => {
+        const nextDate = recurringManager.getNextDate(template);
+        const status = template.paused ? L.recurring_status_paused : (nextDate ? (template.autoPost ? L.recurring_status_auto : L.recurring_status_confirm) : L.recurring_status_ended);
+        return `
+            <tr class="${template.paused || !nextDate ? 'text-gray-400' : ''}">
+                <td class="px-3 py-2 text-sm">${escapeHtml(template.description)}${template.entryType === 'credit' ? ` <span class="ml-1 text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">${L.entry_unpaid}</span>` : ''}</td>
+                <td class="px-3 py-2 text-sm">${escapeHtml(getCategoryDisplayName(template.category))}</td>
+                <td class="px-3 py-2 text-sm text-right">${formatCurrency(template.amount)}</td>
+                <td class="px-3 py-2 text-sm">${L[`recurring_freq_${template.frequency}`]}</td>
+                <td class="px-3 py-2 text-sm whitespace-nowrap">${nextDate || '-'}</td>
+                <td class="px-3 py-2 text-sm">${status}${template.skipped.length ? `<br><span class="text-xs text-gray-400">${L.recurring_skipped_count(template.skipped.length)}</span>` : ''}</td>
+                <td class="px-3 py-2 text-sm text-center whitespace-nowrap">
+                    ${nextDate ? `<button onclick="toggleRecurringPaused('${template.id}')" class="text-indigo-600 hover:text-indigo-800 font-medium mr-3">${template.paused ? L.recurring_resume : L.recurring_pause}</button>` : ''}
+                    ${nextDate && !template.paused ? `<button onclick="skipRecurring('${template.id}')" class="text-gray-500 hover:text-gray-700 font-medium mr-3">${L.recurring_skip_next}</button>` : ''}
+                    <button onclick="deleteRecurring('${template.id}')" class="text-red-600 hover:text-red-800 font-medium">${L.delete}</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    const th = (label, align = 'left') => `<th class="px-3 py-3 text-${align} text-xs font-medium text-gray-500 uppercase tracking-wider">${label}</th>`;
+    
+    recurringView.innerHTML = `
+        <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mb-4">
+            <h3 class="text-xl font-semibold mb-2 text-gray-800">${L.recurring_title}</h3>
+            <p class="text-sm text-gray-500 mb-4">${L.recurring_desc}</p>
+            <form onsubmit="saveRecurring(event)" class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div class="md:col-span-2">
+                    <label class="block text-sm font-medium text-gray-700">${L.label_description}</label>
+                    <input type="text" id="recurring-description" required class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.label_amount}</label>
+                    <input type="number" id="recurring-amount" step="0.01" min="0.01" required class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.label_category}</label>
+                    <select id="recurring-category" required class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">${accountOptions}</select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.recurring_frequency}</label>
+                    <select id="recurring-frequency" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                        ${RECURRING_FREQUENCIES.map(f => `<option value="${f}" ${f === 'monthly' ? 'selected' : ''}>${L[`recurring_freq_${f}`]}</option>`).join('')}
+                    </select>
+                </div>
+                ${accrual ? `
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700">${L.label_payment_status}</label>
+                        <select id="recurring-entry-type" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                            <option value="cash">${L.status_paid}</option>
+                            <option value="credit">${L.status_unpaid}</option>
+                        </select>
+                    </div>
+                ` : ''}
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.recurring_start}</label>
+                    <input type="date" id="recurring-start" required value="${today}" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.recurring_end}</label>
+                    <input type="date" id="recurring-end" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                </div>
+                <div class="md:col-span-3 flex items-center justify-between">
+                    <label class="flex items-center space-x-2 text-sm text-gray-700">
+                        <input type="checkbox" id="recurring-auto-post">
+                        <span>${L.recurring_auto_post}</span>
+                    </label>
+                    <button type="submit" class="py-2 px-4 rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">${L.recurring_add}</button>
+                </div>
+            </form>
+        </div>
+        
+        <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mb-4">
+            <div class="flex justify-between items-center mb-4">
+                <h3 class="text-xl font-semibold text-gray-800">${L.recurring_due_title}</h3>
+                ${due.length > 0 ? `<button onclick="postAllRecurring()" class="py-2 px-4 rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700">${L.recurring_post_all(due.length)}</button>` : ''}
+            </div>
+            ${due.length === 0 ? `<p class="text-sm text-gray-400">${L.recurring_due_empty}</p>` : `
+                <table class="min-w-full divide-y divide-gray-200">
+                    <thead class="bg-gray-50"><tr>${th(L.th_date)}${th(L.th_description)}${th(L.th_category)}${th(L.th_amount, 'right')}${th(L.th_actions, 'center')}</tr></thead>
+                    <tbody class="divide-y divide-gray-200">${dueRows}</tbody>
+                </table>
+            `}
+        </div>
+        
+        <div class="bg-white rounded-xl shadow-lg overflow-x-auto">
+            ${templates.length === 0 ? `<p class="text-center text-gray-400 p-6">${L.recurring_empty}</p>` : `
+                <table class="min-w-full divide-y divide-gray-200">
+                    <thead class="bg-gray-50"><tr>${th(L.th_description)}${th(L.th_category)}${th(L.th_amount, 'right')}${th(L.recurring_frequency)}${th(L.recurring_next)}${th(L.recurring_status)}${th(L.th_actions, 'center')}</tr></thead>
+                    <tbody class="divide-y divide-gray-200">${templateRows}</tbody>
+                </table>
+            `}
+        </div>
+    `;
+}
+
+// Re-renders everything a posted occurrence can affect
+function refreshRecurringViews() {
+    allTransactions = transactionManager.transactions;
+    renderRecurring();
+    renderTransactionList();
+    updateReportsView();
+}
+
+window.saveRecurring = function(event) {
+    event.preventDefault();
+    const entryTypeSelect = document.getElementById('recurring-entry-type');
+    
+    try {
+        recurringManager.addTemplate({
+            description: document.getElementById('recurring-description').value,
+            category: document.getElementById('recurring-category').value,
+            amount: document.getElementById('recurring-amount').value,
+            entryType: entryTypeSelect ? entryTypeSelect.value : 'cash',
+            frequency: document.getElementById('recurring-frequency').value,
+            startDate: document.getElementById('recurring-start').value,
+            endDate: document.getElementById('recurring-end').value,
+            autoPost: document.getElementById('recurring-auto-post').checked
+        });
+        showStatusMessage(L.recurring_add_success, 'green');
+        renderRecurring();
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
 };
 
-const formatPercentage = (value) => {
-    return new Intl.NumberFormat('en-US', { 
-        style: 'percent', 
-        minimumFractionDigits: 1, 
-        maximumFractionDigits: 1 
-    }).format(value);
+window.postRecurring = function(id) {
+    try {
+        recurringManager.postNext(id);
+        showStatusMessage(L.status_success, 'green');
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+    refreshRecurringViews();
 };
 
-function showStatusMessage(message, color = 'green') {
-    const statusMessage = document.getElementById('status-message');
-    if (!statusMessage) return;
-    
-    statusMessage.textContent = message;
-    statusMessage.className = `text-sm mt-2 text-center text-${color}-600 block`;
+window.postAllRecurring = function() {
+    const today = new Date().toISOString().split('T')[0];
+    let posted = 0;
     
-    if (color !== 'indigo') {
-        setTimeout(() => {
-            statusMessage.className = 'hidden';
-        }, 4000);
+    try {
+        recurringManager.getDueOccurrences(today).forEach(occurrence => {
+            recurringManager.postNext(occurrence.template.id);
+            posted++;
+        });
+        showStatusMessage(L.recurring_posted(posted), 'green');
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
     }
+    refreshRecurringViews();
+};
+
+window.skipRecurring = function(id) {
+    const template = recurringManager.getTemplate(id);
+    if (!template || !confirm(L.recurring_skip_confirm(recurringManager.getNextDate(template)))) return;
+    recurringManager.skipNext(id);
+    renderRecurring();
+};
+
+window.toggleRecurringPaused = function(id) {
+    const template = recurringManager.getTemplate(id);
+    if (!template) return;
+    recurringManager.setPaused(id, !template.paused);
+    renderRecurring();
+};
+
+window.deleteRecurring = function(id) {
+    if (!confirm(L.recurring_delete_confirm)) return;
+    recurringManager.deleteTemplate(id);
+    renderRecurring();
+};
+
+// --- BUDGETS ---
+// The Budget tab compares the selected reporting period with its budgets and edits one
+// financial year of budgets at a time. Budgets are monthly, so a custom range counts the
+// budget of every month it touches.
+let budgetYearStart = null; // First day of the financial year shown in the editor
+
+// Every profit and loss account, including the generated depreciation and finance costs
+function getBudgetAccounts() {
+    return [
+        ...chartOfAccounts.getAccounts().filter(a => a.report === 'SOPL').map(a => a.account),
+        ...Object.keys(SYSTEM_ACCOUNTS).filter(account => SYSTEM_ACCOUNTS[account].report === 'SOPL')
+    ];
 }
 
-function formatMonthYear(yyyyMm) {
-    if (!yyyyMm) return 'No period selected';
-    const [year, month] = yyyyMm.split('-');
-    const date = new Date(year, month - 1, 1);
-    const locale = currentLanguage === 'ml' ? 'ms-MY' : 'en-US';
-    return date.toLocaleDateString(locale, { year: 'numeric', month: 'long' });
+function getFinancialYearMonths(yearStart) {
+    return Array.from({ length: 12 }, (_, i) => addMonths(yearStart.substring(0, 7), i));
 }
 
-// --- LANGUAGE MANAGEMENT ---
-window.setLanguage = function(lang) {
-    currentLanguage = lang;
-    L = lang === 'ml' ? L_ML : L_EN;
-    localStorage.setItem('appLanguage', lang);
-    
-    updateUIWithLanguage();
-    renderTransactionList();
-    updateReportsView();
+// Income less spending for a { ledgerAccount: amount } map
+function calculateBudgetNet(amounts) {
+    return Object.keys(amounts).reduce((sum, account) => {
+        const map = findAccount(account);
+        return map ? sum + map.effect * amounts[account] : sum;
+    }, 0);
+}
+
+// Budget and actual per account over the period. Variances are signed so that a positive
+// figure is favourable: more income or less spending than budgeted.
+function calculateBudgetVsActual(period) {
+    const currentMonthEnd = getMonthEnd(new Date().toISOString().substring(0, 7));
+    const ledgerEntries = getLedgerEntries(transactionManager.transactions, period.end > currentMonthEnd ? period.end : currentMonthEnd);
+    const actualsByMonth = calculateMonthlyAccountActuals(ledgerEntries.filter(t => t.date >= period.start && t.date <= period.end));
+    const firstMonth = period.start.substring(0, 7);
+    const months = Array.from({ length: countMonthsBetween(firstMonth, period.end.substring(0, 7)) + 1 }, (_, i) => addMonths(firstMonth, i));
     
-    // Update language selector
-    const langSelect = document.getElementById('language-select');
-    if (langSelect) langSelect.value = lang;
+    const lines = {};
+    const lineFor = (account) => {
+        lines[account] = lines[account] || { account, effect: findAccount(account).effect, budget: 0, actual: 0 };
+        return lines[account];
+    };
+    const monthly = months.map(month => {
+        const budget = budgetManager.getMonth(month);
+        const actual = actualsByMonth[month] || {};
+        Object.keys(budget).filter(findAccount).forEach(account => { lineFor(account).budget += budget[account]; });
+        Object.keys(actual).forEach(account => { lineFor(account).actual += actual[account]; });
+        return { month, budget: calculateBudgetNet(budget), actual: calculateBudgetNet(actual) };
+    });
     
-    // Restore current view
-    if (currentView) showView(currentView);
-};
-
-function updateUIWithLanguage() {
-    // Update form labels
-    const elements = {
-        'app-subtitle': L.subtitle,
-        'form-title': L.form_title,
-        'label-date': L.label_date,
-        'label-description': L.label_description,
-        'label-category': L.label_category,
-        'label-amount': L.label_amount,
-        'transaction-button': editingTransactionId ? L.update_button : L.record_button,
-        'cancel-edit-button': L.cancel_button,
-        'report-viewer-title': L.report_viewer_title,
-        'label-reporting-period': L.label_reporting_period,
-        'tab-transactions': L.tab_transactions,
-        'tab-sopl': L.tab_sopl,
-        'tab-sofp': L.tab_sofp,
-        'tab-socf': L.tab_socf,
-        'tab-dashboard': L.tab_dashboard,
-        'transactions-header': L.list_header,
-        'th-date': L.th_date,
-        'th-description': L.th_description,
-        'th-category': L.th_category,
-        'th-amount': L.th_amount,
-        'th-actions': L.th_actions
+    // Chart of accounts order, then anything only the ledger knows about
+    const order = getBudgetAccounts();
+    const rank = (account) => order.includes(account) ? order.indexOf(account) : order.length;
+    return {
+        lines: Object.values(lines)
+            .map(line => ({ ...line, variance: (line.actual - line.budget) * line.effect }))
+            .sort((a, b) => rank(a.account) - rank(b.account)),
+        months: monthly.map(row => ({ ...row, variance: row.actual - row.budget }))
     };
+}
+
+// Last year's actuals for the same months, grown by `growthPercent`
+function buildBudgetFromActuals(months, growthPercent) {
+    const lastYearStart = `${addMonths(months[0], -12)}-01`;
+    const lastYearEnd = getMonthEnd(addMonths(months[months.length - 1], -12));
+    const actuals = calculateMonthlyAccountActuals(
+        getLedgerEntries(transactionManager.transactions, lastYearEnd).filter(t => t.date >= lastYearStart && t.date <= lastYearEnd)
+    );
     
-    for (const [id, text] of Object.entries(elements)) {
-        const element = document.getElementById(id);
-        if (element) {
-            if (element.tagName === 'INPUT' || element.tagName === 'BUTTON') {
-                if (id === 'transaction-button') {
-                    element.textContent = text;
-                }
-            } else {
-                element.textContent = text;
-            }
+    const budgets = {};
+    months.forEach(month => {
+        const actual = actuals[addMonths(month, -12)] || {};
+        budgets[month] = {};
+        for (const account in actual) {
+            const amount = Math.round(actual[account] * (1 + growthPercent / 100) * 100) / 100;
+            if (amount > 0) budgets[month][account] = amount;
         }
+    });
+    return budgets;
+}
+
+function renderBudgetVsActual(period) {
+    if (!period) {
+        return `<div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 text-center text-gray-500 mb-4">${L.no_month_msg}</div>`;
     }
     
-    // Update category dropdown
-    updateCategoryDropdown();
+    const report = calculateBudgetVsActual(period);
+    const th = (label, align = 'right') => `<th class="px-3 py-3 text-${align} text-xs font-medium text-gray-500 uppercase tracking-wider">${label}</th>`;
+    const varianceCells = (budget, variance) => {
+        const color = variance >= 0 ? 'text-green-600' : 'text-red-600';
+        return `
+            <td class="px-3 py-2 text-sm text-right ${color}">${formatAccounting(variance)}</td>
+            <td class="px-3 py-2 text-sm text-right ${color}">${budget ? formatPercentage(variance / budget) : '-'}</td>
+        `;
+    };
+    const row = (label, budget, actual, variance, className = '') => `
+        <tr class="${className}">
+            <td class="px-3 py-2 text-sm">${label}</td>
+            <td class="px-3 py-2 text-sm text-right">${formatAccounting(budget)}</td>
+            <td class="px-3 py-2 text-sm text-right">${formatAccounting(actual)}</td>
+            ${varianceCells(budget, variance)}
+        </tr>
+    `;
+    const section = (title, effect) => {
+        const lines = report.lines.filter(line => line.effect === effect);
+        const budget = lines.reduce((sum, line) => sum + line.budget, 0);
+        const actual = lines.reduce((sum, line) => sum + line.actual, 0);
+        return `
+            <tr><td colspan="5" class="px-3 pt-4 pb-2 font-semibold ${effect === 1 ? 'text-indigo-700' : 'text-red-700'}">${title}</td></tr>
+            ${lines.map(line => row(escapeHtml(getAccountDisplayName(line.account)), line.budget, line.actual, line.variance)).join('')}
+            ${row(effect === 1 ? L.report_total_revenue : L.report_total_expenses, budget, actual, (actual - budget) * effect, 'border-t font-bold bg-gray-50')}
+        `;
+    };
+    const budgetNet = report.months.reduce((sum, month) => sum + month.budget, 0);
+    const actualNet = report.months.reduce((sum, month) => sum + month.actual, 0);
+    
+    return `
+        <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mb-4 overflow-x-auto">
+            <h3 class="text-xl font-semibold text-gray-800">${L.budget_vs_actual_title}</h3>
+            <p class="text-sm text-gray-500 mb-4">${describePeriodRange(period)}</p>
+            ${report.lines.length === 0 ? `<p class="text-sm text-gray-400">${L.budget_vs_actual_empty}</p>` : `
+                <table class="min-w-full divide-y divide-gray-200 mb-6">
+                    <thead class="bg-gray-50"><tr>${th(L.th_category, 'left')}${th(L.budget_budget)}${th(L.budget_actual)}${th(L.variance_amount)}${th(L.variance_percent)}</tr></thead>
+                    <tbody>
+                        ${section(L.report_revenue, 1)}
+                        ${section(L.report_expenses, -1)}
+                        ${row(L.report_net_profit, budgetNet, actualNet, actualNet - budgetNet, 'border-t-2 font-extrabold bg-gray-200')}
+                    </tbody>
+                </table>
+                <table class="min-w-full divide-y divide-gray-200">
+                    <thead class="bg-gray-50"><tr>${th(L.budget_month, 'left')}${th(L.budget_budgeted_profit)}${th(L.budget_actual_profit)}${th(L.variance_amount)}${th(L.variance_percent)}</tr></thead>
+                    <tbody class="divide-y divide-gray-200">
+                        ${report.months.map(month => `
+                            <tr>
+                                <td class="px-3 py-2 text-sm">${formatMonthYear(month.month)}</td>
+                                <td class="px-3 py-2 text-sm text-right">${formatAccounting(month.budget)}</td>
+                                <td class="px-3 py-2 text-sm text-right">${formatAccounting(month.actual)}</td>
+                                ${varianceCells(Math.abs(month.budget), month.variance)}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        </div>
+    `;
 }
 
-function updateCategoryDropdown() {
-    const categorySelect = document.getElementById('category');
-    if (!categorySelect) return;
+function renderBudget() {
+    const budgetView = document.getElementById('view-budget');
+    if (!budgetView) return;
     
-    const selectedValue = categorySelect.value;
+    budgetYearStart = budgetYearStart || getFinancialYearStart(new Date().toISOString().split('T')[0]);
+    const months = getFinancialYearMonths(budgetYearStart);
+    const yearTitle = describeReportPeriod({ type: 'year', start: budgetYearStart, end: getFinancialYearEnd(budgetYearStart) });
+    const accounts = getBudgetAccounts();
+    const th = (label, align = 'right') => `<th class="px-2 py-3 text-${align} text-xs font-medium text-gray-500 uppercase tracking-wider">${label}</th>`;
     
-    categorySelect.innerHTML = `
-        <option value="" disabled selected>${L.cat_select}</option>
-        <optgroup label="${L.cat_group_income}">
-            <option value="Sales Revenue">${L.cat_sales}</option>
-            <option value="Interest Received">${L.cat_interest}</option>
-            <option value="Capital Injection">${L.cat_capital}</option>
-            <option value="Loan Received">${L.cat_loan}</option>
-        </optgroup>
-        <optgroup label="${L.cat_group_expense}">
-            <option value="Rent Expense">${L.cat_rent}</option>
-            <option value="Utilities Expense">${L.cat_utilities}</option>
-            <option value="Wages & Salaries">${L.cat_wages}</option>
-            <option value="Supplies & Consumables">${L.cat_supplies}</option>
-            <option value="Other Operating Expense">${L.cat_other_op}</option>
-        </optgroup>
-        <optgroup label="${L.cat_group_investment}">
-            <option value="Equipment Purchase">${L.cat_equipment}</option>
-            <option value="Drawings">${L.cat_drawings}</option>
-        </optgroup>
+    const rows = (effect) => accounts
+        .map((account, index) => ({ account, index }))
+        .filter(({ account }) => findAccount(account).effect === effect)
+        .map(({ account, index }) => `
+            <tr>
+                <td class="px-2 py-1 text-sm whitespace-nowrap">${escapeHtml(getAccountDisplayName(account))}</td>
+                ${months.map(month => `
+                    <td class="px-1 py-1">
+                        <input type="number" step="0.01" min="0" value="${budgetManager.getAmount(month, account) || ''}"
+                               onchange="updateBudgetAmount('${month}', ${escapeHtml(JSON.stringify(account))}, this.value)"
+                               class="w-24 text-right rounded-md border-gray-300 p-1 border text-sm">
+                    </td>
+                `).join('')}
+                <td id="budget-total-${index}" class="px-2 py-1 text-sm text-right font-medium whitespace-nowrap"></td>
+            </tr>
+        `).join('');
+    
+    budgetView.innerHTML = `
+        <div id="budget-vs-actual">${renderBudgetVsActual(getSelectedReportPeriod())}</div>
+        
+        <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 overflow-x-auto">
+            <div class="flex flex-wrap justify-between items-center gap-2 mb-2">
+                <h3 class="text-xl font-semibold text-gray-800">${L.budget_title}</h3>
+                <div class="flex items-center space-x-2">
+                    <button onclick="changeBudgetYear(-1)" class="px-2 py-1 rounded-md border text-gray-600 hover:bg-gray-100">◀</button>
+                    <span class="text-sm font-medium text-gray-700">${escapeHtml(yearTitle)}</span>
+                    <button onclick="changeBudgetYear(1)" class="px-2 py-1 rounded-md border text-gray-600 hover:bg-gray-100">▶</button>
+                </div>
+            </div>
+            <p class="text-sm text-gray-500 mb-4">${L.budget_desc}</p>
+            <div class="flex flex-wrap items-center gap-2 mb-4">
+                <label for="budget-growth" class="text-sm font-medium text-gray-700">${L.budget_growth}</label>
+                <input type="number" id="budget-growth" step="0.1" value="0" class="w-24 rounded-md border-gray-300 shadow-sm p-2 border">
+                <button onclick="copyBudgetFromActuals()" class="py-2 px-4 rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">${L.budget_copy}</button>
+            </div>
+            <table class="min-w-full divide-y divide-gray-200">
+                <thead class="bg-gray-50"><tr>${th(L.th_category, 'left')}${months.map(month => th(formatShortMonth(month))).join('')}${th(L.budget_total)}</tr></thead>
+                <tbody>
+                    <tr><td colspan="14" class="px-2 pt-3 pb-1 font-semibold text-indigo-700">${L.report_revenue}</td></tr>
+                    ${rows(1)}
+                    <tr><td colspan="14" class="px-2 pt-3 pb-1 font-semibold text-red-700">${L.report_expenses}</td></tr>
+                    ${rows(-1)}
+                    <tr class="border-t-2 font-bold bg-gray-50">
+                        <td class="px-2 py-2 text-sm">${L.budget_budgeted_profit}</td>
+                        ${months.map((month, index) => `<td id="budget-net-${index}" class="px-1 py-2 text-sm text-right whitespace-nowrap"></td>`).join('')}
+                        <td id="budget-net-total" class="px-2 py-2 text-sm text-right whitespace-nowrap"></td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
     `;
+    renderBudgetTotals();
+}
+
+// Totals are filled in separately so editing a cell does not re-render the inputs around it
+function renderBudgetTotals() {
+    const months = getFinancialYearMonths(budgetYearStart);
+    getBudgetAccounts().forEach((account, index) => {
+        const cell = document.getElementById(`budget-total-${index}`);
+        if (cell) cell.textContent = formatCurrency(months.reduce((sum, month) => sum + budgetManager.getAmount(month, account), 0));
+    });
     
-    // Restore selected value
-    if (selectedValue) {
-        categorySelect.value = selectedValue;
-    }
+    let yearNet = 0;
+    months.forEach((month, index) => {
+        const net = calculateBudgetNet(budgetManager.getMonth(month));
+        yearNet += net;
+        const cell = document.getElementById(`budget-net-${index}`);
+        if (cell) cell.textContent = formatAccounting(net);
+    });
+    const totalCell = document.getElementById('budget-net-total');
+    if (totalCell) totalCell.textContent = formatAccounting(yearNet);
 }
 
-window.showLanguageModal = function() {
-    document.getElementById('language-modal').classList.remove('hidden');
+window.updateBudgetAmount = function(month, account, value) {
+    try {
+        budgetManager.setAmount(month, account, value);
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+    }
+    renderBudgetTotals();
+    document.getElementById('budget-vs-actual').innerHTML = renderBudgetVsActual(getSelectedReportPeriod());
 };
 
-window.selectLanguageAndStart = function(lang) {
-    window.setLanguage(lang);
-    document.getElementById('language-modal').classList.add('hidden');
-    initializeApp();
+window.changeBudgetYear = function(step) {
+    budgetYearStart = `${addMonths(budgetYearStart.substring(0, 7), step * 12)}-01`;
+    renderBudget();
 };
 
-// --- TRANSACTION CRUD OPERATIONS ---
-window.editTransaction = function(transaction) {
-    editingTransactionId = transaction.id;
-    document.getElementById('date').value = transaction.date;
-    document.getElementById('description').value = transaction.description;
-    document.getElementById('category').value = transaction.category;
-    document.getElementById('amount').value = transaction.amount;
-    document.getElementById('transaction-button').textContent = L.update_button;
-    document.getElementById('cancel-edit-button').classList.remove('hidden');
-    showStatusMessage(L.status_edit_id(editingTransactionId), 'indigo');
-    document.getElementById('transaction-form').scrollIntoView({ behavior: 'smooth' });
+window.copyBudgetFromActuals = function() {
+    const growth = parseFloat(document.getElementById('budget-growth').value) || 0;
+    const months = getFinancialYearMonths(budgetYearStart);
+    if (months.some(month => Object.keys(budgetManager.getMonth(month)).length > 0) && !confirm(L.budget_copy_confirm)) return;
+    
+    budgetManager.replaceMonths(months, buildBudgetFromActuals(months, growth));
+    showStatusMessage(L.budget_copied(growth), 'green');
+    renderBudget();
 };
 
-window.resetForm = function() {
-    editingTransactionId = null;
-    document.getElementById('transaction-form').reset();
-    const today = new Date();
-    document.getElementById('date').value = today.toISOString().split('T')[0];
-    document.getElementById('transaction-button').textContent = L.record_button;
-    document.getElementById('cancel-edit-button').classList.add('hidden');
-    document.getElementById('status-message').className = 'hidden';
+window.toggleBudgetOverlay = function(show) {
+    settingsManager.set('showBudgetOnChart', show);
+    updateReportsView();
 };
 
-window.deleteTransaction = function(id) {
-    if (confirm('Are you sure you want to delete this transaction?')) {
-        transactionManager.deleteTransaction(id);
-        showStatusMessage(L.status_delete_success, 'green');
-        renderTransactionList();
-        updateReportsView();
+// --- AUTO-CATEGORISATION ---
+// Suggestions come from user rules first, then from a token model learned from past
+// transactions. Everything is computed locally from data already in storage.
+const CATEGORY_MIN_CONFIDENCE = 0.5;
+
+let categoryModel = null;
+let categoryModelVersion = -1;
+let categoryAutoFilled = false; // The form's category was picked by a suggestion, not the user
+
+function tokenizeDescription(description) {
+    return [...new Set(String(description || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 1 && !/^\d+$/.test(t)))];
+}
+
+// Per category: how often each token appears and the average log amount. Settlements and
+// recognitions repeat the entry they belong to, and journals carry no category.
+function buildCategoryModel(transactions) {
+    const model = { tokens: {}, amounts: {} };
+    transactions.forEach(t => {
+        if (!t.category || !chartOfAccounts.getAccount(t.category) || ['settlement', 'recognition', 'opening', 'closing'].includes(t.entryType)) return;
         
-        if (editingTransactionId === id) {
-            resetForm();
-        }
+        tokenizeDescription(t.description).forEach(token => {
+            model.tokens[token] = model.tokens[token] || {};
+            model.tokens[token][t.category] = (model.tokens[token][t.category] || 0) + 1;
+        });
+        const amounts = model.amounts[t.category] = model.amounts[t.category] || { count: 0, logSum: 0 };
+        amounts.count++;
+        amounts.logSum += Math.log(Math.max(t.amount, 0.01));
+    });
+    return model;
+}
+
+// Rebuilt whenever the audit trail grows, i.e. after any change to the transactions
+function getCategoryModel() {
+    if (categoryModelVersion !== auditTrail.entries.length) {
+        categoryModel = buildCategoryModel(transactionManager.transactions);
+        categoryModelVersion = auditTrail.entries.length;
     }
-};
+    return categoryModel;
+}
 
-// Save transaction (form submit)
-function saveTransaction(event) {
-    event.preventDefault();
-    const form = event.target;
+// Returns { category, source: 'rule' | 'learned', confidence } or null
+function suggestCategory(description, amount) {
+    const rule = categoryRules.findMatch(description);
+    if (rule) return { category: rule.category, source: 'rule', confidence: 1 };
     
-    const transactionData = {
-        date: form.date.value,
-        description: form.description.value.trim(),
-        category: form.category.value,
-        amount: parseFloat(form.amount.value)
-    };
+    const tokens = tokenizeDescription(description);
+    if (tokens.length === 0) return null;
     
-    // Validation
-    if (!transactionData.description) {
-        showStatusMessage('Please enter a description', 'red');
-        return;
+    // Each token votes for categories in proportion to how often it was used with them
+    const model = getCategoryModel();
+    const scores = {};
+    tokens.forEach(token => {
+        const counts = model.tokens[token];
+        if (!counts) return;
+        const total = Object.values(counts).reduce((sum, c) => sum + c, 0);
+        for (const [category, count] of Object.entries(counts)) {
+            scores[category] = (scores[category] || 0) + count / total;
+        }
+    });
+    
+    // Amounts close to a category's usual size break ties between similar descriptions
+    const value = parseFloat(amount);
+    if (value > 0) {
+        for (const category of Object.keys(scores)) {
+            const stats = model.amounts[category];
+            if (stats && Math.abs(Math.log(value) - stats.logSum / stats.count) < 0.5) scores[category] += 0.25;
+        }
     }
     
-    if (isNaN(transactionData.amount) || transactionData.amount <= 0) {
-        showStatusMessage('Please enter a valid amount', 'red');
+    const best = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    if (!best || !chartOfAccounts.getAccount(best[0]) || chartOfAccounts.getAccount(best[0]).archived) return null;
+    const confidence = Math.min(best[1] / tokens.length, 1);
+    return confidence >= CATEGORY_MIN_CONFIDENCE ? { category: best[0], source: 'learned', confidence } : null;
+}
+
+// Fills the category while the user types, unless they picked one themselves
+function updateCategorySuggestion() {
+    const hint = document.getElementById('category-suggestion');
+    const categorySelect = document.getElementById('category');
+    if (!hint || !categorySelect) return;
+    
+    const suggestion = suggestCategory(document.getElementById('description').value, document.getElementById('amount').value);
+    if (!suggestion || (categorySelect.value && !categoryAutoFilled)) {
+        hint.classList.add('hidden');
         return;
     }
     
-    try {
-        showStatusMessage(editingTransactionId ? L.status_updating : L.status_saving, 'indigo');
-        
-        if (editingTransactionId) {
-            const success = transactionManager.updateTransaction(editingTransactionId, transactionData);
-            if (success) {
-                showStatusMessage(L.status_update_success, 'green');
-            } else {
-                showStatusMessage('Transaction not found', 'red');
-            }
-        } else {
-            transactionManager.saveTransaction(transactionData);
-            form.reset();
-            document.getElementById('date').value = new Date().toISOString().split('T')[0];
-            showStatusMessage(L.status_success, 'green');
-        }
-        
-        resetForm();
-        renderTransactionList();
-        updateReportsView();
-        
+    if (categorySelect.value !== suggestion.category) {
+        categorySelect.value = suggestion.category;
+        categoryAutoFilled = true;
+        updateAssetFields();
+        updateLoanFields();
+    }
+    hint.textContent = L.category_suggested(getCategoryDisplayName(suggestion.category), suggestion.source === 'rule' ? L.category_source_rule : L.category_source_learned);
+    hint.classList.remove('hidden');
+}
+
+function renderCategoryRules() {
+    const rules = categoryRules.getRules();
+    const rows = rules.map(rule => `
+        <tr>
+            <td class="px-3 py-2 text-sm font-mono">${escapeHtml(rule.keyword)}</td>
+            <td class="px-3 py-2 text-sm">${escapeHtml(getCategoryDisplayName(rule.category))}</td>
+            <td class="px-3 py-2 text-sm text-center">
+                <button onclick="deleteCategoryRule('${rule.id}')" class="text-red-600 hover:text-red-800 font-medium">${L.delete}</button>
+            </td>
+        </tr>
+    `).join('');
+    
+    return `
+        <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mt-4">
+            <h3 class="text-xl font-semibold mb-2 text-gray-800">${L.rules_title}</h3>
+            <p class="text-sm text-gray-500 mb-4">${L.rules_desc}</p>
+            <form onsubmit="addCategoryRule(event)" class="flex flex-wrap items-end gap-2 mb-4">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.rules_keyword}</label>
+                    <input type="text" id="rule-keyword" required placeholder="TNB" class="mt-1 rounded-md border-gray-300 shadow-sm p-2 border">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700">${L.rules_category}</label>
+                    <select id="rule-category" required class="mt-1 rounded-md border-gray-300 shadow-sm p-2 border">
+                        ${chartOfAccounts.getAccounts().map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(getCategoryDisplayName(a.id))}</option>`).join('')}
+                    </select>
+                </div>
+                <button type="submit" class="py-2 px-4 rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">${L.rules_add}</button>
+            </form>
+            ${rules.length === 0 ? `<p class="text-sm text-gray-400">${L.rules_empty}</p>` : `
+                <table class="min-w-full divide-y divide-gray-200">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.rules_keyword}</th>
+                            <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.rules_category}</th>
+                            <th class="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">${L.th_actions}</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200">${rows}</tbody>
+                </table>
+            `}
+        </div>
+    `;
+}
+
+window.addCategoryRule = function(event) {
+    event.preventDefault();
+    try {
+        categoryRules.addRule(document.getElementById('rule-keyword').value, document.getElementById('rule-category').value);
+        showStatusMessage(L.rules_add_success, 'green');
+        renderChartOfAccounts();
     } catch (error) {
-        console.error('Error saving transaction:', error);
         showStatusMessage(`Error: ${error.message}`, 'red');
     }
+};
+
+window.deleteCategoryRule = function(id) {
+    categoryRules.deleteRule(id);
+    renderChartOfAccounts();
+};
+
+// --- DUPLICATE DETECTION ---
+// Likely duplicates share the amount and category, fall within DUPLICATE_DAY_WINDOW days of
+// each other and have mostly the same description words. Settlements and recognitions repeat their
+// original entry by design, so only entries keyed in or imported are compared.
+const DUPLICATE_DAY_WINDOW = 3;
+const DUPLICATE_MIN_SIMILARITY = 0.6;
+
+let duplicateReviewOpen = false;
+
+// Unlike tokenizeDescription this keeps numbers, since invoice and reference numbers are
+// what tell two otherwise identical entries apart
+function tokenizeForDuplicates(description) {
+    return [...new Set(String(description || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 1 || /\d/.test(t)))];
 }
 
-// --- TRANSACTION LIST RENDERING ---
-function renderTransactionList() {
-    const listBody = document.getElementById('transactions-list');
-    if (!listBody) return;
-    
-    listBody.innerHTML = '';
-    
-    if (allTransactions.length === 0) {
-        listBody.innerHTML = `
-            <tr>
-                <td colspan="5" class="px-6 py-4 text-center text-gray-400">
-                    ${L.no_trans}
-                </td>
-            </tr>
-        `;
-        return;
+// Dice coefficient over description words; descriptions without words must match exactly.
+// When both carry reference numbers and they differ, the entries are distinct.
+function descriptionSimilarity(a, b) {
+    const tokensA = tokenizeForDuplicates(a);
+    const tokensB = new Set(tokenizeForDuplicates(b));
+    if (tokensA.length === 0 || tokensB.size === 0) {
+        return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase() ? 1 : 0;
     }
+    const referencesA = tokensA.filter(token => /\d/.test(token));
+    const referencesB = [...tokensB].filter(token => /\d/.test(token));
+    if (referencesA.length && referencesB.length
+        && (referencesA.length !== referencesB.length || referencesA.some(token => !tokensB.has(token)))) {
+        return 0;
+    }
+    const shared = tokensA.filter(token => tokensB.has(token)).length;
+    return (2 * shared) / (tokensA.length + tokensB.size);
+}
+
+function isDuplicateCandidate(t) {
+    return !['settlement', 'recognition', 'opening', 'closing'].includes(t.entryType);
+}
+
+function isLikelyDuplicate(a, b) {
+    return Math.round(a.amount * 100) === Math.round(b.amount * 100)
+        && (a.category || '') === (b.category || '')
+        && daysBetween(a.date, b.date) <= DUPLICATE_DAY_WINDOW
+        && descriptionSimilarity(a.description, b.description) >= DUPLICATE_MIN_SIMILARITY;
+}
+
+// Existing transactions that look like `candidate`, closest date first. `excludeId` is the
+// transaction being edited, which would otherwise match itself.
+function findDuplicates(candidate, excludeId = null) {
+    return transactionManager.transactions
+        .filter(t => t.id !== excludeId && isDuplicateCandidate(t) && isLikelyDuplicate(candidate, t))
+        .sort((a, b) => daysBetween(a.date, candidate.date) - daysBetween(b.date, candidate.date));
+}
+
+function duplicatePairKey(a, b) {
+    return [a, b].sort().join('|');
+}
+
+// Groups of two or more likely duplicates, leaving out pairs the user marked as distinct
+function findDuplicateGroups() {
+    const dismissed = new Set(settingsManager.get('dismissedDuplicates') || []);
+    const byAmount = {};
+    transactionManager.transactions.filter(isDuplicateCandidate).forEach(t => {
+        const cents = Math.round(t.amount * 100);
+        (byAmount[cents] = byAmount[cents] || []).push(t);
+    });
     
-    // Sort by date (newest first)
-    const sortedTransactions = [...allTransactions].sort((a, b) => 
-        new Date(b.date) - new Date(a.date)
-    );
+    // Union-find, so A~B and B~C end up in one group even when A and C are further apart
+    const parent = {};
+    const root = (id) => parent[id] === id ? id : (parent[id] = root(parent[id]));
+    Object.values(byAmount).forEach(bucket => {
+        bucket.forEach(t => { parent[t.id] = t.id; });
+        for (let i = 0; i < bucket.length; i++) {
+            for (let j = i + 1; j < bucket.length; j++) {
+                const a = bucket[i];
+                const b = bucket[j];
+                if (!dismissed.has(duplicatePairKey(a.id, b.id)) && isLikelyDuplicate(a, b)) {
+                    parent[root(a.id)] = root(b.id);
+                }
+            }
+        }
+    });
     
-    sortedTransactions.forEach((transaction, index) => {
-        const row = document.createElement('tr');
-        row.className = index % 2 === 0 ? 'bg-white' : 'bg-gray-50';
-        
-        // Get display name for category
-        const categoryDisplay = getCategoryDisplayName(transaction.category);
-        
-        row.innerHTML = `
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${transaction.date}</td>
-            <td class="px-6 py-4 text-sm text-gray-900">${transaction.description}</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${categoryDisplay}</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-right text-gray-900">
-                ${formatCurrency(transaction.amount)}
-            </td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-center">
-                <button onclick="editTransaction(${JSON.stringify(transaction).replace(/"/g, '&quot;')})" 
-                        class="text-indigo-600 hover:text-indigo-800 font-medium mr-3">
-                    ${L.edit}
-                </button>
-                <button onclick="deleteTransaction('${transaction.id}')" 
-                        class="text-red-600 hover:text-red-800 font-medium">
-                    ${L.delete}
-                </button>
-            </td>
-        `;
-        listBody.appendChild(row);
+    const groups = {};
+    transactionManager.transactions.filter(t => parent[t.id]).forEach(t => {
+        (groups[root(t.id)] = groups[root(t.id)] || []).push(t);
     });
+    return Object.values(groups)
+        .filter(group => group.length > 1)
+        .map(group => group.sort((a, b) => a.date.localeCompare(b.date)))
+        .sort((a, b) => b[0].date.localeCompare(a[0].date));
 }
 
-function getCategoryDisplayName(categoryKey) {
-    // Map category keys to display names based on current language
-    const categoryMap = {
-        "Sales Revenue": L.cat_sales,
-        "Interest Received": L.cat_interest,
-        "Rent Expense": L.cat_rent,
-        "Utilities Expense": L.cat_utilities,
-        "Wages & Salaries": L.cat_wages,
-        "Supplies & Consumables": L.cat_supplies,
-        "Other Operating Expense": L.cat_other_op,
-        "Equipment Purchase": L.cat_equipment,
-        "Capital Injection": L.cat_capital,
-        "Loan Received": L.cat_loan,
-        "Drawings": L.cat_drawings
-    };
+function describeDuplicate(t) {
+    return `${t.date} ${t.description} (${formatCurrency(t.amount)})`;
+}
+
+function renderDuplicateReview() {
+    const container = document.getElementById('duplicate-review');
+    if (!container || !duplicateReviewOpen) return;
+    
+    const groups = findDuplicateGroups();
+    const groupHtml = groups.map((group, index) => `
+        <div class="border rounded-md mb-4">
+            <table class="min-w-full divide-y divide-gray-200">
+                <tbody class="divide-y divide-gray-200">
+                    ${group.map(t => `
+                        <tr>
+                            <td class="px-3 py-2 text-sm whitespace-nowrap">${t.date}</td>
+                            <td class="px-3 py-2 text-sm">${escapeHtml(t.description)}</td>
+                            <td class="px-3 py-2 text-sm text-gray-600">${t.category ? escapeHtml(getCategoryDisplayName(t.category)) : '-'}</td>
+                            <td class="px-3 py-2 text-sm text-right whitespace-nowrap">${formatCurrency(t.amount)}</td>
+                            <td class="px-3 py-2 text-right">
+                                <button onclick="deleteDuplicate('${t.id}')" class="text-red-600 hover:text-red-900 text-sm">${L.delete}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="flex justify-end px-3 py-2 bg-gray-50">
+                <button onclick="dismissDuplicateGroup(${index})" class="text-sm text-indigo-600 hover:text-indigo-900">${L.duplicates_dismiss}</button>
+            </div>
+        </div>
+    `).join('');
     
-    return categoryMap[categoryKey] || categoryKey;
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-2">
+            <h3 class="text-xl font-semibold text-gray-800">${L.duplicates_title}</h3>
+            <button onclick="closeDuplicateReview()" class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+        </div>
+        <p class="text-sm text-gray-500 mb-4">${L.duplicates_hint(DUPLICATE_DAY_WINDOW)}</p>
+        ${groups.length ? groupHtml : `<p class="text-center text-gray-400 py-6">${L.duplicates_none}</p>`}
+    `;
 }
 
-// --- FINANCIAL CALCULATIONS ---
-function calculateReportData(transactions) {
-    const data = {
-        sopl: {},
-        sofp: { assets: {}, liabilities: {}, equity: {} },
-        socf: { operating: {}, investing: {}, financing: {} },
-        netProfit: 0,
-    };
+window.openDuplicateReview = function() {
+    duplicateReviewOpen = true;
+    renderDuplicateReview();
+    document.getElementById('duplicate-review-modal').classList.remove('hidden');
+};
 
-    let currentCash = 0;
+window.closeDuplicateReview = function() {
+    duplicateReviewOpen = false;
+    document.getElementById('duplicate-review-modal').classList.add('hidden');
+};
 
-    transactions.forEach(t => {
-        const map = ACCOUNT_MAP[t.category];
-        if (!map) return;
+window.deleteDuplicate = function(id) {
+    if (!confirm('Are you sure you want to delete this transaction?')) return;
+    try {
+        transactionManager.deleteTransaction(id);
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+        return;
+    }
+    showStatusMessage(L.status_delete_success, 'green');
+    allTransactions = transactionManager.transactions;
+    renderDuplicateReview();
+    renderTransactionList();
+    updateReportsView();
+};
 
-        const amount = parseFloat(t.amount);
+// Every pair in the group is remembered, so the group does not come back
+window.dismissDuplicateGroup = function(index) {
+    const group = findDuplicateGroups()[index];
+    if (!group) return;
+    
+    const dismissed = new Set(settingsManager.get('dismissedDuplicates') || []);
+    group.forEach((a, i) => group.slice(i + 1).forEach(b => dismissed.add(duplicatePairKey(a.id, b.id))));
+    settingsManager.set('dismissedDuplicates', [...dismissed]);
+    renderDuplicateReview();
+};
 
-        // SOPL Calculation
-        if (map.report === 'SOPL') {
-            const line = map.lineItem;
-            const value = amount * map.effect;
-            data.sopl[line] = (data.sopl[line] || 0) + value;
-            data.netProfit += value;
-        }
-
-        // SOFP Calculation
-        if (map.report === 'SOFP') {
-            const account = map.account;
-            if (map.lineItem.includes("Assets")) {
-                data.sofp.assets[account] = (data.sofp.assets[account] || 0) + amount;
-            } else if (map.lineItem.includes("Liabilities")) {
-                data.sofp.liabilities[account] = (data.sofp.liabilities[account] || 0) + amount;
-            } else if (map.lineItem.includes("Equity")) {
-                data.sofp.equity[account] = (data.sofp.equity[account] || 0) + (amount * map.effect);
+// --- SPREADSHEET IMPORT WIZARD ---
+// Order in which day, month and year appear in the date column
+const IMPORT_DATE_FORMATS = {
+    'YYYY-MM-DD': ['year', 'month', 'day'],
+    'DD/MM/YYYY': ['day', 'month', 'year'],
+    'MM/DD/YYYY': ['month', 'day', 'year']
+};
+const IMPORT_FIELDS = ['date', 'description', 'amount', 'category'];
+const IMPORT_PREVIEW_LIMIT = 100;
+
+let importWizard = null;
+
+// RFC 4180 style: quoted fields may contain the delimiter, newlines and doubled quotes
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+    
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
             }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
         }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
 
-        // SOCF Calculation and Cash Tracking
-        let flowAmount = amount;
-        if (map.effect === -1 || map.account === 'Equipment') {
-            flowAmount = -amount;
-        } else if (map.account === 'Owner\'s Drawings') {
-            flowAmount = -amount;
+function readSpreadsheet(file) {
+    const isCsv = file.name.toLowerCase().endsWith('.csv');
+    return new Promise((resolve, reject) => {
+        if (!isCsv && typeof XLSX === 'undefined') {
+            reject('Excel support is not available');
+            return;
         }
-        
-        if (map.flow) {
-            const account = map.account;
-            data.socf[map.flow.toLowerCase()][account] = (data.socf[map.flow.toLowerCase()][account] || 0) + flowAmount;
-        }
-        
-        // Cash Calculation
-        if (map.effect === 1 && map.report !== 'SOFP') {
-            currentCash += amount;
-        } else if (map.effect === -1) {
-            currentCash -= amount;
-        } else if (map.account === 'Equipment') {
-            currentCash -= amount;
-        } else if (map.account === 'Owner\'s Capital' || map.account === 'Loan Payable') {
-            currentCash += amount;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                if (isCsv) {
+                    resolve(parseCsv(e.target.result.replace(/^\uFEFF/, '')));
+                    return;
+                }
+                const workbook = XLSX.read(e.target.result, { type: 'array', cellDates: true });
+                const sheet = workbook.Sheets[workbook.SheetNames[0]];
+                const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', dateNF: 'yyyy-mm-dd' });
+                resolve(rows.map(r => r.map(cell => String(cell))).filter(r => r.some(cell => cell.trim() !== '')));
+            } catch (error) {
+                reject('Failed to read spreadsheet: ' + error.message);
+            }
+        };
+        reader.onerror = () => reject('Failed to read file');
+        if (isCsv) {
+            reader.readAsText(file);
+        } else {
+            reader.readAsArrayBuffer(file);
         }
     });
-
-    data.sofp.assets['Cash & Bank Balance'] = currentCash;
-    return data;
 }
 
-function calculateMonthlyReports() {
-    const monthlyDataMap = {};
-    const sortedTransactions = allTransactions.sort((a, b) => a.date.localeCompare(b.date));
-
-    sortedTransactions.forEach(t => {
-        const monthKey = t.date.substring(0, 7);
-        const map = ACCOUNT_MAP[t.category];
-        if (!map || map.report !== 'SOPL') return;
+// Returns YYYY-MM-DD, or null when the value is not a real date in the given format
+function parseImportDate(value, format) {
+    const text = String(value || '').trim();
+    const parts = text.split(/[\/\-. ]+/);
+    const order = IMPORT_DATE_FORMATS[format];
+    if (!order || parts.length !== 3 || parts.some(p => !/^\d+$/.test(p))) return null;
+    
+    const values = {};
+    order.forEach((key, i) => { values[key] = parseInt(parts[i], 10); });
+    if (parts[order.indexOf('year')].length === 2) values.year += 2000;
+    
+    const date = new Date(values.year, values.month - 1, values.day);
+    if (date.getFullYear() !== values.year || date.getMonth() !== values.month - 1 || date.getDate() !== values.day) {
+        return null;
+    }
+    return `${values.year}-${String(values.month).padStart(2, '0')}-${String(values.day).padStart(2, '0')}`;
+}
 
-        if (!monthlyDataMap[monthKey]) {
-            monthlyDataMap[monthKey] = { netProfit: 0, revenue: 0, expenses: 0 };
-        }
+// Accepts currency prefixes, thousands separators and bracketed or signed negatives.
+// The sign is dropped because the mapped account decides the direction of the entry.
+function parseImportAmount(value) {
+    const text = String(value || '').replace(/[^0-9.\-()]/g, '');
+    const amount = parseFloat(text.replace(/[()\-]/g, ''));
+    return isNaN(amount) ? NaN : Math.round(amount * 100) / 100;
+}
 
-        const value = parseFloat(t.amount) * map.effect;
-        monthlyDataMap[monthKey].netProfit += value;
+function matchImportCategory(text) {
+    const needle = String(text || '').trim().toLowerCase();
+    if (!needle) return '';
+    const match = chartOfAccounts.getAccounts().find(account =>
+        account.id.toLowerCase() === needle ||
+        getCategoryDisplayName(account.id).toLowerCase() === needle ||
+        (account.names && Object.values(account.names).some(name => name && name.toLowerCase() === needle)) ||
+        (account.labelKey && [L_EN[account.labelKey], L_ML[account.labelKey]].some(label => label && label.toLowerCase() === needle))
+    );
+    return match ? match.id : '';
+}
 
-        if (value > 0) {
-            monthlyDataMap[monthKey].revenue += value;
-        } else {
-            monthlyDataMap[monthKey].expenses += value;
-        }
-    });
+// First column whose header mentions one of the keywords
+function guessImportColumn(headers, keywords) {
+    const index = headers.findIndex(header => keywords.some(k => header.toLowerCase().includes(k)));
+    return index > -1 ? index : null;
+}
 
-    const monthlyKeys = Object.keys(monthlyDataMap).sort();
-    
-    return {
-        labels: monthlyKeys.map(key => formatMonthYear(key)),
-        revenue: monthlyKeys.map(key => monthlyDataMap[key].revenue),
-        expenses: monthlyKeys.map(key => monthlyDataMap[key].expenses * -1),
-        netProfit: monthlyKeys.map(key => monthlyDataMap[key].netProfit)
-    };
+function getImportDataRows() {
+    return importWizard.hasHeader ? importWizard.rows.slice(1) : importWizard.rows;
 }
 
-function calculateKeyRatios(cumulativeData) {
-    const sopl = cumulativeData.sopl;
-    let totalRevenue = (sopl["Revenue"] || 0) + (sopl["Other Income"] || 0);
+function getImportCategoryValues() {
+    const column = importWizard.mapping.category;
+    if (column === null) return [];
+    return [...new Set(getImportDataRows().map(r => (r[column] || '').trim()).filter(Boolean))].sort();
+}
 
-    const ratios = {};
+function buildImportPreview() {
+    const { mapping, dateFormat, categoryMap, defaultCategory } = importWizard;
+    const firstLine = importWizard.hasHeader ? 2 : 1;
     
-    ratios['Profitability Score'] = totalRevenue > 0 
-        ? cumulativeData.netProfit / totalRevenue
-        : 0;
+    return getImportDataRows().map((row, i) => {
+        const cell = (field) => mapping[field] === null ? '' : String(row[mapping[field]] || '').trim();
+        const date = parseImportDate(cell('date'), dateFormat);
+        const description = cell('description');
+        const amount = parseImportAmount(cell('amount'));
+        let category = mapping.category === null ? defaultCategory : (categoryMap[cell('category')] || '');
+        let suggested = false;
+        if (!category) {
+            const suggestion = suggestCategory(description, amount);
+            if (suggestion) {
+                category = suggestion.category;
+                suggested = true;
+            }
+        }
         
-    const sofp = cumulativeData.sofp;
-    const totalAssets = Object.values(sofp.assets).reduce((sum, val) => sum + (val || 0), 0);
-    const totalLiabilities = Object.values(sofp.liabilities).reduce((sum, val) => sum + (val || 0), 0);
-
-    ratios['Financial Safety Score'] = totalLiabilities > 0 
-        ? totalAssets / totalLiabilities
-        : totalAssets > 0 ? Infinity : 0;
+        const errors = [];
+        if (!date) errors.push(L.import_err_date);
+        if (!description) errors.push(L.import_err_description);
+        if (isNaN(amount) || amount <= 0) errors.push(L.import_err_amount);
+        if (!category) {
+            errors.push(L.import_err_category);
+        } else if (isFixedAssetCategory(category) || isLoanCategory(category)) {
+            errors.push(L.import_err_category_form);
+        }
+        if (date && !transactionManager.isPeriodOpen(date)) errors.push(L.import_err_locked);
+        const duplicateOf = errors.length === 0 ? findDuplicates({ date, description, amount, category })[0] || null : null;
         
-    ratios['Asset Efficiency'] = totalAssets > 0 
-        ? cumulativeData.netProfit / totalAssets
-        : 0;
-
-    return ratios;
+        return { line: firstLine + i, date, description, amount, category, suggested, errors, duplicateOf };
+    });
 }
 
-// --- REPORT RENDERING ---
-function renderDashboard(monthlyData, ratios, periodTitle) {
-    const dashboardView = document.getElementById('view-dashboard');
-    if (!dashboardView) return;
-
-    // Render Ratios Cards
-    const profitabilityScore = formatPercentage(ratios['Profitability Score']);
-    const profitColor = ratios['Profitability Score'] >= 0.1 ? 'text-green-600' : (ratios['Profitability Score'] > 0 ? 'text-yellow-600' : 'text-red-600');
-
-    const safetyRatio = ratios['Financial Safety Score'];
-    const safetyScoreText = safetyRatio === Infinity 
-        ? '∞'
-        : safetyRatio.toFixed(1) + ':1';
-    const safetyScoreColor = safetyRatio === Infinity || safetyRatio >= 2 ? 'text-green-600' : (safetyRatio >= 1 ? 'text-yellow-600' : 'text-red-600');
-    
-    let safetyExplanation;
-    if (safetyRatio === Infinity) {
-        safetyExplanation = L.metric_safety_desc_inf;
-    } else if (safetyRatio >= 1) {
-        safetyExplanation = L.metric_safety_desc_safe(safetyRatio);
-    } else {
-        safetyExplanation = L.metric_safety_desc_risk;
-    }
-
-    const assetEfficiency = formatPercentage(ratios['Asset Efficiency']);
-    const assetColor = ratios['Asset Efficiency'] >= 0 ? 'text-blue-600' : 'text-red-600';
+function renderImportWizard() {
+    const container = document.getElementById('import-wizard');
+    if (!container || !importWizard) return;
     
-    const ratioCards = `
-        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
-            <div class="metric-card border-indigo-200">
-                <p class="text-sm font-medium text-gray-500">${L.metric_profitability}</p>
-                <p class="text-3xl font-extrabold ${profitColor} mt-1">
-                    ${profitabilityScore}
-                </p>
-                <p class="text-xs text-gray-400 mt-2">${L.metric_profitability_desc}</p>
-            </div>
-            <div class="metric-card border-green-200">
-                <p class="text-sm font-medium text-gray-500">${L.metric_safety}</p>
-                <p class="text-3xl font-extrabold ${safetyScoreColor} mt-1">
-                    ${safetyScoreText}
-                </p>
-                <p class="text-xs text-gray-400 mt-2">${safetyExplanation}</p>
-            </div>
-            <div class="metric-card border-blue-200">
-                <p class="text-sm font-medium text-gray-500">${L.metric_asset_efficiency}</p>
-                <p class="text-3xl font-extrabold ${assetColor} mt-1">
-                    ${assetEfficiency}
-                </p>
-                <p class="text-xs text-gray-400 mt-2">${L.metric_asset_efficiency_desc}</p>
-            </div>
-        </div>
+    const headerRow = importWizard.rows[0] || [];
+    const columnCount = Math.max(...importWizard.rows.map(r => r.length));
+    const columnLabel = (i) => importWizard.hasHeader && headerRow[i] ? headerRow[i] : L.import_column(i + 1);
+    const columnOptions = (selected, optional) => `
+        ${optional ? `<option value="" ${selected === null ? 'selected' : ''}>${L.import_column_none}</option>` : ''}
+        ${Array.from({ length: columnCount }, (_, i) => `<option value="${i}" ${selected === i ? 'selected' : ''}>${escapeHtml(columnLabel(i))}</option>`).join('')}
     `;
-
-    dashboardView.innerHTML = `
+    const accountOptions = (selected) => `
+        <option value="">${L.import_unmapped}</option>
+        ${chartOfAccounts.getAccounts().map(account => `<option value="${escapeHtml(account.id)}" ${selected === account.id ? 'selected' : ''}>${escapeHtml(getCategoryDisplayName(account.id))}</option>`).join('')}
+    `;
+    
+    const mappingFields = IMPORT_FIELDS.map(field => `
         <div>
-            <h3 class="text-xl font-semibold mb-4 text-gray-800">${L.dashboard_title}</h3>
-            ${ratioCards}
-            
-            <h3 class="text-xl font-semibold mb-4 text-gray-800">${L.dashboard_trend_title}</h3>
-            <p class="text-sm text-gray-500 mb-4">${L.dashboard_trend_subtitle}</p>
-            
-            <div class="report-card">
-                <div class="p-4">
-                    <canvas id="revenueExpenseChart" height="300"></canvas>
-                </div>
-            </div>
+            <label class="block text-sm font-medium text-gray-700">${L[`import_map_${field}`]}</label>
+            <select onchange="updateImportMapping('${field}', this.value)" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                ${columnOptions(importWizard.mapping[field], field === 'category')}
+            </select>
         </div>
-    `;
+    `).join('');
     
-    // Generate Chart
-    const chartCtx = document.getElementById('revenueExpenseChart');
-    if (chartCtx && monthlyData.labels.length > 0) {
-        drawChart(chartCtx, monthlyData);
-    } else if (chartCtx) {
-        chartCtx.parentElement.innerHTML = `
-            <div class="text-center py-8 text-gray-500">
-                <p>No transaction data available for chart display.</p>
-                <p class="text-sm mt-2">Add some transactions to see your financial trends.</p>
+    const categoryValues = getImportCategoryValues();
+    const categoryMapping = importWizard.mapping.category === null
+        ? `
+            <div class="flex items-center space-x-2">
+                <label class="text-sm font-medium text-gray-700">${L.import_default_category}</label>
+                <select onchange="updateImportDefaultCategory(this.value)" class="rounded-md border-gray-300 shadow-sm p-2 border">${accountOptions(importWizard.defaultCategory)}</select>
             </div>
+        `
+        : `
+            <table class="min-w-full">
+                <tbody>
+                    ${categoryValues.map((value, i) => `
+                        <tr>
+                            <td class="px-3 py-1 text-sm">${escapeHtml(value)}</td>
+                            <td class="px-3 py-1 text-right">
+                                <select onchange="updateImportCategory(${i}, this.value)" class="rounded-md border-gray-300 shadow-sm p-1 border">${accountOptions(importWizard.categoryMap[value] || '')}</select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         `;
-    }
-}
-
-function drawChart(ctx, monthlyData) {
-    if (chartInstance) {
-        chartInstance.destroy();
-    }
-
-    chartInstance = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: monthlyData.labels,
-            datasets: [
-                {
-                    label: L.chart_income,
-                    data: monthlyData.revenue,
-                    backgroundColor: 'rgba(79, 70, 229, 0.7)',
-                    borderColor: 'rgb(79, 70, 229)',
-                    borderWidth: 1,
-                    yAxisID: 'y'
-                },
-                {
-                    label: L.chart_spending,
-                    data: monthlyData.expenses,
-                    backgroundColor: 'rgba(239, 68, 68, 0.7)',
-                    borderColor: 'rgb(239, 68, 68)',
-                    borderWidth: 1,
-                    yAxisID: 'y'
-                },
-                {
-                    type: 'line',
-                    label: L.chart_profit,
-                    data: monthlyData.netProfit,
-                    backgroundColor: 'rgba(16, 185, 129, 0.9)',
-                    borderColor: 'rgb(16, 185, 129)',
-                    borderWidth: 2,
-                    fill: false,
-                    yAxisID: 'y'
-                }
-            ]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            scales: {
-                x: {
-                    grid: { display: false }
-                },
-                y: {
-                    beginAtZero: true,
-                    title: {
-                        display: true,
-                        text: L.chart_y_title
-                    }
-                }
-            },
-            plugins: {
-                legend: {
-                    position: 'top',
-                },
-                title: {
-                    display: true,
-                    text: L.chart_trend_title
-                }
-            }
+    
+    const preview = buildImportPreview();
+    const validCount = preview.filter(r => r.errors.length === 0).length;
+    const duplicateCount = preview.filter(r => r.duplicateOf).length;
+    const importCount = validCount - (importWizard.skipDuplicates ? duplicateCount : 0);
+    const rowStatus = (r) => {
+        if (r.errors.length) return `<span class="text-red-600">${r.errors.join('<br>')}</span>`;
+        if (r.duplicateOf) return `<span class="text-amber-600">${escapeHtml(L.import_duplicate_of(describeDuplicate(r.duplicateOf)))}</span>`;
+        return `<span class="text-green-600">${L.import_row_ok}</span>`;
+    };
+    const previewRows = preview.slice(0, IMPORT_PREVIEW_LIMIT).map(r => `
+        <tr class="${r.errors.length ? 'bg-red-50' : r.duplicateOf ? 'bg-amber-50' : ''}">
+            <td class="px-3 py-1 text-sm text-gray-500">${r.line}</td>
+            <td class="px-3 py-1 text-sm whitespace-nowrap">${r.date || '-'}</td>
+            <td class="px-3 py-1 text-sm">${escapeHtml(r.description)}</td>
+            <td class="px-3 py-1 text-sm">${r.category ? escapeHtml(getCategoryDisplayName(r.category)) : '-'}${r.suggested ? ` <span class="text-xs text-indigo-600">(${L.category_source_suggested})</span>` : ''}</td>
+            <td class="px-3 py-1 text-sm text-right whitespace-nowrap">${isNaN(r.amount) ? '-' : formatCurrency(r.amount)}</td>
+            <td class="px-3 py-1 text-sm">${rowStatus(r)}</td>
+        </tr>
+    `).join('');
+    
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-4">
+            <h3 class="text-xl font-semibold text-gray-800">${L.import_wizard_title(escapeHtml(importWizard.fileName))}</h3>
+            <button onclick="closeImportWizard()" class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+        </div>
+        
+        <h4 class="text-md font-semibold text-gray-700 mb-2">${L.import_step_columns}</h4>
+        <label class="flex items-center space-x-2 text-sm text-gray-700 mb-3">
+            <input type="checkbox" onchange="updateImportHasHeader(this.checked)" ${importWizard.hasHeader ? 'checked' : ''}>
+            <span>${L.import_has_header}</span>
+        </label>
+        <div class="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-6">
+            ${mappingFields}
+            <div>
+                <label class="block text-sm font-medium text-gray-700">${L.import_date_format}</label>
+                <select onchange="updateImportDateFormat(this.value)" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border">
+                    ${Object.keys(IMPORT_DATE_FORMATS).map(f => `<option value="${f}" ${importWizard.dateFormat === f ? 'selected' : ''}>${f}</option>`).join('')}
+                </select>
+            </div>
+        </div>
+        
+        <h4 class="text-md font-semibold text-gray-700 mb-2">${L.import_step_categories}</h4>
+        <div class="mb-6">${categoryMapping}</div>
+        
+        <h4 class="text-md font-semibold text-gray-700 mb-2">${L.import_step_preview}</h4>
+        <p class="text-sm text-gray-600 mb-2">${L.import_preview_summary(validCount, preview.length - validCount)}</p>
+        ${duplicateCount ? `
+            <label class="flex items-center space-x-2 text-sm text-amber-700 mb-2">
+                <input type="checkbox" onchange="updateImportSkipDuplicates(this.checked)" ${importWizard.skipDuplicates ? 'checked' : ''}>
+                <span>${L.import_skip_duplicates(duplicateCount)}</span>
+            </label>
+        ` : ''}
+        <div class="overflow-x-auto border rounded-md">
+            <table class="min-w-full divide-y divide-gray-200">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">${L.import_th_row}</th>
+                        <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">${L.th_date}</th>
+                        <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">${L.th_description}</th>
+                        <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">${L.th_category}</th>
+                        <th class="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">${L.th_amount}</th>
+                        <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">${L.import_th_status}</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">${previewRows}</tbody>
+            </table>
+        </div>
+        ${preview.length > IMPORT_PREVIEW_LIMIT ? `<p class="text-xs text-gray-500 mt-1">${L.import_preview_truncated(IMPORT_PREVIEW_LIMIT, preview.length)}</p>` : ''}
+        
+        <div class="flex justify-end space-x-2 mt-6">
+            <button onclick="closeImportWizard()" class="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-100">${L.cancel_button}</button>
+            <button onclick="commitImport()" ${importCount === 0 ? 'disabled' : ''} class="py-2 px-4 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50">${L.import_commit(importCount)}</button>
+        </div>
+    `;
+}
+
+function openImportWizard(file) {
+    return readSpreadsheet(file).then(rows => {
+        if (rows.length === 0) {
+            throw 'No rows found in file';
         }
+        const headers = rows[0].map(h => String(h));
+        importWizard = {
+            fileName: file.name,
+            rows,
+            hasHeader: true,
+            mapping: {
+                date: guessImportColumn(headers, ['date', 'tarikh']) ?? 0,
+                description: guessImportColumn(headers, ['desc', 'particular', 'narration', 'keterangan', 'details']) ?? 1,
+                amount: guessImportColumn(headers, ['amount', 'jumlah', 'total', 'value']) ?? 2,
+                category: guessImportColumn(headers, ['category', 'account', 'kategori', 'akaun'])
+            },
+            dateFormat: 'YYYY-MM-DD',
+            categoryMap: {},
+            defaultCategory: '',
+            skipDuplicates: true
+        };
+        autoMapImportCategories();
+        document.getElementById('import-wizard-modal').classList.remove('hidden');
+        renderImportWizard();
     });
 }
 
-function updateReportsView() {
-    const reportMonthInput = document.getElementById('report-month');
-    const reportMonth = reportMonthInput.value;
+// Pre-fills the category map with exact name matches; earlier choices are kept
+function autoMapImportCategories() {
+    getImportCategoryValues().forEach(value => {
+        if (!(value in importWizard.categoryMap)) {
+            importWizard.categoryMap[value] = matchImportCategory(value);
+        }
+    });
+}
+
+window.updateImportMapping = function(field, value) {
+    importWizard.mapping[field] = value === '' ? null : parseInt(value, 10);
+    if (field === 'category') autoMapImportCategories();
+    renderImportWizard();
+};
+
+window.updateImportHasHeader = function(hasHeader) {
+    importWizard.hasHeader = hasHeader;
+    autoMapImportCategories();
+    renderImportWizard();
+};
+
+window.updateImportSkipDuplicates = function(skip) {
+    importWizard.skipDuplicates = skip;
+    renderImportWizard();
+};
+
+window.updateImportDateFormat = function(format) {
+    importWizard.dateFormat = format;
+    renderImportWizard();
+};
+
+window.updateImportCategory = function(index, accountId) {
+    importWizard.categoryMap[getImportCategoryValues()[index]] = accountId;
+    renderImportWizard();
+};
+
+window.updateImportDefaultCategory = function(accountId) {
+    importWizard.defaultCategory = accountId;
+    renderImportWizard();
+};
+
+window.closeImportWizard = function() {
+    importWizard = null;
+    document.getElementById('import-wizard-modal').classList.add('hidden');
+};
+
+window.commitImport = function() {
+    const preview = buildImportPreview();
+    const validRows = preview.filter(r => r.errors.length === 0 && !(importWizard.skipDuplicates && r.duplicateOf));
+    const invalidCount = preview.filter(r => r.errors.length > 0).length;
+    const duplicateCount = preview.length - invalidCount - validRows.length;
+    if (invalidCount > 0 && !confirm(L.import_skip_invalid_confirm(invalidCount))) return;
     
-    // Update all transactions from manager
+    const result = transactionManager.importTransactions(validRows.map(r => ({
+        date: r.date,
+        description: r.description,
+        category: r.category,
+        amount: r.amount,
+        entryType: 'cash'
+    })));
+    closeImportWizard();
+    showStatusMessage(L.import_success(result.count) + (invalidCount ? ` ${L.import_rows_skipped(invalidCount)}` : '') + (duplicateCount ? ` ${L.import_duplicates_skipped(duplicateCount)}` : ''), 'green');
     allTransactions = transactionManager.transactions;
+    renderTransactionList();
+    updateReportsView();
+};
+
+// --- BANK RECONCILIATION ---
+// Header keywords used to find columns in bank CSV exports (Maybank, CIMB, Public Bank,
+// RHB and Hong Leong all use some variant of these, in English or Malay)
+const BANK_CSV_COLUMNS = {
+    date: ['transaction date', 'posting date', 'value date', 'date', 'tarikh'],
+    debit: ['debit', 'withdrawal', 'pengeluaran', 'money out'],
+    credit: ['credit', 'deposit', 'simpanan', 'money in'],
+    balance: ['balance', 'baki'],
+    amount: ['amount', 'jumlah'],
+    description: ['description', 'details', 'particulars', 'keterangan', 'transaction', 'reference', 'rujukan']
+};
+const BANK_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const BANK_MONTHS_ML = ['jan', 'feb', 'mac', 'apr', 'mei', 'jun', 'jul', 'ogo', 'sep', 'okt', 'nov', 'dis'];
+const BANK_MATCH_DAYS = 3; // Statement dates may trail the book date by clearing time
+
+let bankReconMonth = null;
+
+// Malaysian banks export day-first dates, either numeric or with a month name
+function parseBankDate(value) {
+    const text = String(value || '').trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.substring(0, 10);
     
-    // Update status display
-    const authStatus = document.getElementById('auth-status');
-    if (authStatus) {
-        authStatus.innerHTML = `
-            <span class="text-green-600">✓</span> 
-            Local Storage Ready | 
-            Transactions: <span class="font-semibold">${allTransactions.length}</span>
-        `;
+    const named = text.match(/^(\d{1,2})[\s\-\/]+([A-Za-z]{3})[A-Za-z]*[\s\-\/,]+(\d{2,4})$/);
+    if (named) {
+        const abbr = named[2].toLowerCase();
+        const index = BANK_MONTHS.indexOf(abbr) > -1 ? BANK_MONTHS.indexOf(abbr) : BANK_MONTHS_ML.indexOf(abbr);
+        if (index === -1) return null;
+        return parseImportDate(`${named[1]}/${index + 1}/${named[3]}`, 'DD/MM/YYYY');
     }
+    return parseImportDate(text, 'DD/MM/YYYY');
+}
+
+// Handles "1,234.50-", "(1,234.50)", "-1234.5" and DR/CR suffixes. Empty cells are NaN.
+function parseBankAmount(value) {
+    const text = String(value || '').trim();
+    const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+    if (isNaN(amount)) return NaN;
+    const negative = /^-|^\(|-$|\)$|DR$/i.test(text.replace(/\s/g, ''));
+    return negative ? -amount : amount;
+}
+
+function parseOfx(text) {
+    const tag = (block, name) => {
+        const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+        return match ? match[1].trim() : '';
+    };
+    const toDate = (value) => value.length >= 8 ? `${value.substring(0, 4)}-${value.substring(4, 6)}-${value.substring(6, 8)}` : '';
     
-    // Calculate monthly data for dashboard
-    const monthlyData = calculateMonthlyReports();
-    const cumulativeData = calculateReportData(allTransactions);
-    const ratios = calculateKeyRatios(cumulativeData);
-    
-    // Always update dashboard
-    renderDashboard(monthlyData, ratios, formatMonthYear(reportMonth));
+    const lines = text.split(/<STMTTRN>/i).slice(1).map(block => ({
+        date: toDate(tag(block, 'DTPOSTED')),
+        description: [tag(block, 'NAME'), tag(block, 'MEMO')].filter(Boolean).join(' - '),
+        amount: parseFloat(tag(block, 'TRNAMT')),
+        balance: null,
+        fitId: tag(block, 'FITID') || null
+    })).filter(l => /^\d{4}-\d{2}-\d{2}$/.test(l.date) && !isNaN(l.amount));
     
-    // Only update other reports if month is selected
-    if (!reportMonth) {
-        const noMonthMsg = `<div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 text-center text-gray-500">${L.no_month_msg}</div>`;
-        document.getElementById('sopl-content').innerHTML = noMonthMsg;
-        document.getElementById('sofp-content').innerHTML = noMonthMsg;
-        document.getElementById('socf-content').innerHTML = noMonthMsg;
-        return;
+    // OFX only carries the closing ledger balance; it belongs to the last line on or before its date
+    const ledgerBalance = text.match(/<LEDGERBAL>([\s\S]*?)(<\/LEDGERBAL>|<AVAILBAL>|$)/i);
+    if (ledgerBalance && lines.length > 0) {
+        const balance = parseFloat(tag(ledgerBalance[1], 'BALAMT'));
+        const asOf = toDate(tag(ledgerBalance[1], 'DTASOF'));
+        const last = [...lines].sort((a, b) => a.date.localeCompare(b.date)).filter(l => !asOf || l.date <= asOf).pop();
+        if (last && !isNaN(balance)) last.balance = balance;
     }
+    return lines;
+}
+
+function parseBankCsv(text) {
+    const rows = parseCsv(text);
     
-    const periodTitle = formatMonthYear(reportMonth);
-    const monthlyTransactions = allTransactions.filter(t => t.date.substring(0, 7) === reportMonth);
-    const cumulativeTransactions = allTransactions.filter(t => {
-        return t.date.localeCompare(reportMonth + '-31') <= 0;
-    });
-    
-    if (monthlyTransactions.length === 0 && cumulativeTransactions.length === 0) {
-        const noDataMsg = `<div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 text-center text-gray-500">${L.no_data_msg}</div>`;
-        document.getElementById('sopl-content').innerHTML = noDataMsg;
-        document.getElementById('sofp-content').innerHTML = noDataMsg;
-        document.getElementById('socf-content').innerHTML = noDataMsg;
-        return;
+    // Bank exports start with account details; the header is the first row naming a date and an amount column
+    for (let h = 0; h < Math.min(rows.length, 20); h++) {
+        const headers = rows[h].map(cell => cell.trim().toLowerCase());
+        const columns = {};
+        for (const [field, keywords] of Object.entries(BANK_CSV_COLUMNS)) {
+            const taken = Object.values(columns);
+            for (const keyword of keywords) {
+                const index = headers.findIndex((header, i) => !taken.includes(i) && header.includes(keyword));
+                if (index > -1) {
+                    columns[field] = index;
+                    break;
+                }
+            }
+        }
+        if (columns.date === undefined || (columns.amount === undefined && (columns.debit === undefined || columns.credit === undefined))) continue;
+        
+        const bankRows = rows.slice(h + 1).map(row => {
+            const cell = (field) => columns[field] === undefined ? '' : (row[columns[field]] || '');
+            // A lone "Debit/Credit" column next to Amount is an indicator, not a second amount
+            const amount = columns.debit !== undefined && columns.credit !== undefined
+                ? (Math.abs(parseBankAmount(cell('credit'))) || 0) - (Math.abs(parseBankAmount(cell('debit'))) || 0)
+                : parseBankAmount(cell('amount'));
+            const balance = parseBankAmount(cell('balance'));
+            return {
+                date: parseBankDate(cell('date')),
+                description: cell('description').trim(),
+                amount,
+                balance: isNaN(balance) ? null : balance
+            };
+        }).filter(l => l.date && !isNaN(l.amount) && l.amount !== 0);
+        
+        // Most banks list newest first; keep same-day lines in the order the balance runs
+        if (bankRows.length > 1 && bankRows[0].date > bankRows[bankRows.length - 1].date) bankRows.reverse();
+        return bankRows;
     }
+    throw new Error('Could not find the date and amount columns in this file');
+}
+
+// Net movement on the cash account, positive for money in
+function getCashMovement(entry) {
+    return Math.round(entry.lines
+        .filter(line => line.account === CASH_ACCOUNT)
+        .reduce((sum, line) => sum + line.debit - line.credit, 0) * 100) / 100;
+}
+
+// Entries that move real money: opening balances and year-end closing never reach the bank
+function getBankableEntries(untilDate) {
+    return getLedgerEntries(transactionManager.transactions, untilDate)
+        .filter(t => t.date <= untilDate && t.entryType !== 'opening' && t.entryType !== 'closing' && getCashMovement(t) !== 0);
+}
+
+function daysBetween(a, b) {
+    return Math.round(Math.abs(new Date(a) - new Date(b)) / 86400000);
+}
+
+function countSharedWords(a, b) {
+    const words = (text) => new Set(String(text).toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2));
+    const wordsB = words(b);
+    return [...words(a)].filter(w => wordsB.has(w)).length;
+}
+
+// Matches on exact amount within BANK_MATCH_DAYS, preferring shared description words and then the closest date
+function autoMatchBankLines() {
+    const lines = bankStatement.getLines();
+    if (lines.length === 0) return 0;
     
-    const monthlyReportData = calculateReportData(monthlyTransactions);
-    const cumulativeReportData = calculateReportData(cumulativeTransactions);
+    const entries = getBankableEntries(getMonthEnd(lines[lines.length - 1].date.substring(0, 7)));
+    const entryIds = new Set(entries.map(e => e.id));
+    const used = new Set(lines.filter(l => l.matchedId && entryIds.has(l.matchedId)).map(l => l.matchedId));
+    let matched = 0;
     
-    // Render SOPL (monthly)
-    document.getElementById('sopl-content').innerHTML = renderSOPL(monthlyReportData.sopl, monthlyReportData.netProfit, periodTitle);
+    lines.filter(l => !l.matchedId || !entryIds.has(l.matchedId)).forEach(line => {
+        const best = entries
+            .filter(e => !used.has(e.id) && getCashMovement(e) === line.amount && daysBetween(e.date, line.date) <= BANK_MATCH_DAYS)
+            .map(e => ({ entry: e, score: countSharedWords(e.description, line.description) * BANK_MATCH_DAYS - daysBetween(e.date, line.date) }))
+            .sort((a, b) => b.score - a.score)[0];
+        if (best) {
+            used.add(best.entry.id);
+            bankStatement.setMatch(line.id, best.entry.id);
+            matched++;
+        }
+    });
+    return matched;
+}
+
+function getBankBalance(untilDate) {
+    const line = bankStatement.getLines().filter(l => l.date <= untilDate && l.balance !== null).pop();
+    return line ? line.balance : null;
+}
+
+// Bank balance + book entries not yet on the statement - statement lines not yet in the books = book balance
+function calculateBankReconciliation(monthEnd) {
+    const lines = bankStatement.getLines();
+    const statementStart = lines.length > 0 ? lines[0].date : monthEnd;
+    const entries = getBankableEntries(monthEnd);
+    const entryIds = new Set(entries.map(e => e.id));
+    const matchedIds = new Set(lines.filter(l => l.date <= monthEnd && l.matchedId).map(l => l.matchedId));
     
-    // Render SOFP (cumulative)
-    document.getElementById('sofp-content').innerHTML = renderSOFP(
-        cumulativeReportData.sofp.assets, 
-        cumulativeReportData.sofp.liabilities, 
-        cumulativeReportData.netProfit, 
-        cumulativeReportData.sofp.equity, 
-        periodTitle
-    );
+    const bookBalance = calculateLedgerBalances(getLedgerEntries(transactionManager.transactions, monthEnd).filter(t => t.date <= monthEnd))[CASH_ACCOUNT] || 0;
     
-    // Render SOCF (cumulative)
-    document.getElementById('socf-content').innerHTML = renderSOCF(
-        cumulativeReportData.socf, 
-        cumulativeReportData.sofp.assets['Cash & Bank Balance'] || 0, 
-        periodTitle
-    );
+    return {
+        bankBalance: getBankBalance(monthEnd),
+        bookBalance: Math.round(bookBalance * 100) / 100,
+        outstandingEntries: entries.filter(e => e.date >= statementStart && !matchedIds.has(e.id)),
+        unrecordedLines: lines.filter(l => l.date <= monthEnd && (!l.matchedId || !entryIds.has(l.matchedId)))
+    };
 }
 
-function renderSOPL(soplData, netProfit, periodTitle) {
-    let rows = '';
-    let totalRevenue = 0;
-    let totalExpenses = 0;
+// Accounts that move cash in the same direction as the statement line and need no extra form fields
+function getBankLineAccounts(amount) {
+    return chartOfAccounts.getAccounts().filter(account => {
+        if (isFixedAssetCategory(account.id) || isLoanCategory(account.id)) return false;
+        const cashLine = buildJournalLines(account.id, 1).find(line => line.account === CASH_ACCOUNT);
+        return cashLine && (amount > 0 ? cashLine.debit > 0 : cashLine.credit > 0);
+    });
+}
+
+function renderBankReconciliation() {
+    const bankView = document.getElementById('view-bank');
+    if (!bankView) return;
     
-    rows += `<tr><td colspan="3" class="pt-4 pb-2 font-semibold text-lg text-indigo-700">${L.report_revenue}</td></tr>`;
-    for (const line in soplData) {
-        if (soplData[line] > 0) {
-            rows += `<tr><td>${L[line] || line}</td><td></td><td class="text-right">${formatCurrency(soplData[line])}</td></tr>`;
-            totalRevenue += soplData[line];
-        }
+    const lines = bankStatement.getLines();
+    if (!bankReconMonth) {
+        bankReconMonth = lines.length > 0 ? lines[lines.length - 1].date.substring(0, 7) : new Date().toISOString().substring(0, 7);
     }
-    rows += `<tr class="border-t border-b-2 font-bold bg-indigo-50"><td colspan="2">${L.report_total_revenue}</td><td class="text-right">${formatCurrency(totalRevenue)}</td></tr>`;
-
-    rows += `<tr><td colspan="3" class="pt-6 pb-2 font-semibold text-lg text-red-700">${L.report_expenses}</td></tr>`;
-    for (const line in soplData) {
-        if (soplData[line] < 0) {
-            rows += `<tr><td>${L[line] || line}</td><td class="text-right">${formatCurrency(soplData[line] * -1)}</td><td></td></tr>`;
-            totalExpenses += soplData[line];
+    const monthEnd = getMonthEnd(bankReconMonth);
+    const entries = getBankableEntries(lines.length > 0 ? [monthEnd, lines[lines.length - 1].date].sort().pop() : monthEnd);
+    const entriesById = new Map(entries.map(e => [e.id, e]));
+    
+    const lineRows = lines.map(line => {
+        const matched = line.matchedId ? entriesById.get(line.matchedId) : null;
+        let status;
+        if (matched) {
+            status = `
+                <span class="text-green-700">${L.bank_matched(escapeHtml(matched.date), escapeHtml(matched.description))}</span>
+                <button onclick="unmatchBankLine('${line.id}')" class="text-gray-500 hover:text-gray-700 text-xs ml-2">${L.bank_unmatch}</button>
+            `;
+        } else {
+            const accounts = getBankLineAccounts(line.amount);
+            const suggestion = suggestCategory(line.description, Math.abs(line.amount));
+            const guess = matchImportCategory(line.description) || (suggestion ? suggestion.category : '');
+            status = `
+                <select id="bank-category-${line.id}" class="rounded-md border-gray-300 shadow-sm p-1 border text-sm">
+                    <option value="">${L.import_unmapped}</option>
+                    ${accounts.map(a => `<option value="${escapeHtml(a.id)}" ${a.id === guess ? 'selected' : ''}>${escapeHtml(getCategoryDisplayName(a.id))}</option>`).join('')}
+                </select>
+                <button onclick="createFromBankLine('${line.id}')" class="text-indigo-600 hover:text-indigo-800 font-medium text-sm ml-2">${L.bank_create}</button>
+            `;
         }
+        return `
+            <tr class="${matched ? '' : 'bg-yellow-50'}">
+                <td class="px-3 py-2 text-sm whitespace-nowrap">${line.date}</td>
+                <td class="px-3 py-2 text-sm">${escapeHtml(line.description)}</td>
+                <td class="px-3 py-2 text-sm text-right whitespace-nowrap ${line.amount < 0 ? 'text-red-600' : ''}">${formatAccounting(line.amount)}</td>
+                <td class="px-3 py-2 text-sm text-right whitespace-nowrap text-gray-500">${line.balance === null ? '' : formatAccounting(line.balance)}</td>
+                <td class="px-3 py-2 text-sm">${status}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    const recon = calculateBankReconciliation(monthEnd);
+    const outstandingTotal = recon.outstandingEntries.reduce((sum, e) => sum + getCashMovement(e), 0);
+    const unrecordedTotal = recon.unrecordedLines.reduce((sum, l) => sum + l.amount, 0);
+    const itemRows = (items, dateOf, descriptionOf, amountOf) => items.map(item => `
+        <tr class="text-sm text-gray-600"><td class="pl-8">${dateOf(item)} &middot; ${escapeHtml(descriptionOf(item))}</td><td class="text-right">${formatAccounting(amountOf(item))}</td><td></td></tr>
+    `).join('');
+    
+    let reconRows = '';
+    if (recon.bankBalance === null) {
+        reconRows = `<tr><td colspan="3" class="text-sm text-gray-500">${L.bank_no_balance}</td></tr>`;
+    } else {
+        const adjusted = recon.bankBalance + outstandingTotal - unrecordedTotal;
+        const diff = Math.abs(adjusted - recon.bookBalance);
+        reconRows = `
+            <tr class="font-semibold"><td colspan="2">${L.bank_balance_per_bank}</td><td class="text-right">${formatAccounting(recon.bankBalance)}</td></tr>
+            <tr><td colspan="2" class="pt-3">${L.bank_outstanding}</td><td class="text-right pt-3">${formatAccounting(outstandingTotal)}</td></tr>
+            ${itemRows(recon.outstandingEntries, e => e.date, e => e.description, e => getCashMovement(e))}
+            <tr><td colspan="2" class="pt-3">${L.bank_unrecorded}</td><td class="text-right pt-3">${formatAccounting(-unrecordedTotal)}</td></tr>
+            ${itemRows(recon.unrecordedLines, l => l.date, l => l.description, l => -l.amount)}
+            <tr class="font-bold border-t-2"><td colspan="2">${L.bank_adjusted_balance}</td><td class="text-right">${formatAccounting(adjusted)}</td></tr>
+            <tr class="font-extrabold text-gray-700 border-t-4 border-b-4 bg-gray-200"><td colspan="2">${L.bank_balance_per_books}</td><td class="text-right">${formatAccounting(recon.bookBalance)}</td></tr>
+            <tr><td colspan="3" class="text-center pt-3 text-sm font-semibold ${diff < 0.01 ? 'text-green-600' : 'text-red-600'}">
+                ${diff < 0.01 ? L.bank_reconciled : L.bank_unreconciled(formatCurrency(diff))}
+            </td></tr>
+        `;
     }
-    rows += `<tr class="border-t border-b-2 font-bold bg-red-50"><td colspan="2">${L.report_total_expenses}</td><td class="text-right">(${formatCurrency(totalExpenses * -1)})</td></tr>`;
-
-    rows += `<tr class="font-extrabold text-lg ${netProfit >= 0 ? 'text-green-700' : 'text-red-700'} border-t-4 border-b-4 mt-4 bg-gray-200">
-        <td colspan="2">${L.report_net_profit}</td>
-        <td class="text-right">${formatCurrency(netProfit)}</td>
-    </tr>`;
-
-    return `
-        <div class="report-card bg-white p-6 rounded-xl shadow-xl border border-gray-100">
-            <div class="flex justify-between items-start mb-4">
-                <div>
-                    <h3 class="text-2xl font-bold text-gray-800">${L.sopl_title}</h3>
-                    <p class="text-sm text-gray-500">For the Month of ${periodTitle}</p>
-                </div>
-                <div class="print-button-container no-print">
-                    <button onclick="generatePDF('sopl-content', '${periodTitle.replace(/'/g, "\\'")}', 'SOPL')" 
-                            class="py-1 px-3 border border-green-600 rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 transition duration-150">
-                        ${L.pdf_download}
-                    </button>
-                </div>
+    
+    bankView.innerHTML = `
+        <div class="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mb-4">
+            <h3 class="text-xl font-semibold mb-2 text-gray-800">${L.bank_title}</h3>
+            <p class="text-sm text-gray-500 mb-4">${L.bank_desc}</p>
+            <div class="flex flex-wrap items-center gap-2">
+                <label class="py-2 px-4 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 cursor-pointer">
+                    ${L.bank_import}
+                    <input type="file" accept=".ofx,.qfx,.csv" onchange="importBankStatement(this)" class="hidden">
+                </label>
+                ${lines.length > 0 ? `
+                    <button onclick="runBankAutoMatch()" class="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-100">${L.bank_auto_match}</button>
+                    <button onclick="clearBankStatement()" class="py-2 px-4 border border-red-300 rounded-md text-sm font-medium text-red-600 bg-white hover:bg-red-50">${L.bank_clear}</button>
+                ` : ''}
             </div>
-            <table class="w-full report-table text-gray-700">
-                <tbody>${rows}</tbody>
-            </table>
         </div>
-    `;
-}
-
-function renderSOFP(assets, liabilities, netProfit, equityAccounts, periodTitle) {
-    // Similar implementation to renderSOPL - shortened for brevity
-    // You can copy the SOFP rendering logic from your original code
-    return `
-        <div class="report-card bg-white p-6 rounded-xl shadow-xl border border-gray-100">
-            <div class="flex justify-between items-start mb-4">
-                <div>
-                    <h3 class="text-2xl font-bold text-gray-800">${L.sofp_title}</h3>
-                    <p class="text-sm text-gray-500">As of ${periodTitle}</p>
-                </div>
-                <div class="print-button-container no-print">
-                    <button onclick="generatePDF('sofp-content', '${periodTitle.replace(/'/g, "\\'")}', 'SOFP')" 
-                            class="py-1 px-3 border border-green-600 rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 transition duration-150">
-                        ${L.pdf_download}
-                    </button>
-                </div>
+        
+        ${lines.length === 0 ? `<p class="text-center text-gray-400 p-6">${L.bank_empty}</p>` : `
+            <div class="bg-white rounded-xl shadow-lg overflow-x-auto mb-4">
+                <table class="min-w-full divide-y divide-gray-200">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.th_date}</th>
+                            <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.th_description}</th>
+                            <th class="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">${L.th_amount}</th>
+                            <th class="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">${L.bank_th_balance}</th>
+                            <th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${L.bank_th_status}</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200">${lineRows}</tbody>
+                </table>
             </div>
-            <p class="text-center text-gray-500 py-8">SOFP Report - Implementation details similar to original</p>
-        </div>
-    `;
-}
-
-function renderSOCF(socfData, endingCashBalance, periodTitle) {
-    return `
-        <div class="report-card bg-white p-6 rounded-xl shadow-xl border border-gray-100">
-            <div class="flex justify-between items-start mb-4">
-                <div>
-                    <h3 class="text-2xl font-bold text-gray-800">${L.socf_title}</h3>
-                    <p class="text-sm text-gray-500">For the Period Ending ${periodTitle}</p>
-                </div>
-                <div class="print-button-container no-print">
-                    <button onclick="generatePDF('socf-content', '${periodTitle.replace(/'/g, "\\'")}', 'SOCF')" 
-                            class="py-1 px-3 border border-green-600 rounded-md shadow-sm text-xs font-medium text-white bg-green-600 hover:bg-green-700 transition duration-150">
-                        ${L.pdf_download}
-                    </button>
+            
+            <div class="report-card bg-white p-6 rounded-xl shadow-xl border border-gray-100">
+                <div class="flex justify-between items-center mb-4">
+                    <div>
+                        ${renderCompanyHeader()}
+                        <h3 class="text-2xl font-bold text-gray-800">${L.bank_recon_title}</h3>
+                    </div>
+                    <input type="month" value="${bankReconMonth}" onchange="setBankReconMonth(this.value)" class="rounded-md border-gray-300 shadow-sm p-2 border">
                 </div>
+                <p class="text-sm text-gray-500 mb-2">${L.bank_recon_as_at(monthEnd)}</p>
+                <table class="w-full report-table text-gray-700">
+                    <tbody>${reconRows}</tbody>
+                </table>
             </div>
-            <p class="text-center text-gray-500 py-8">SOCF Report - Implementation details similar to original</p>
-        </div>
+        `}
     `;
 }
 
-// --- VIEW MANAGEMENT ---
-window.showView = function(viewId) {
-    currentView = viewId;
-    
-    // Hide all views
-    document.querySelectorAll('.report-view').forEach(view => view.classList.add('hidden'));
-    // Deactivate all tabs
-    document.querySelectorAll('.tab-button').forEach(button => button.classList.remove('active'));
-    
-    // Show the selected view and activate its tab
-    const viewElement = document.getElementById(`view-${viewId}`);
-    const tabElement = document.getElementById(`tab-${viewId}`);
-    
-    if (viewElement) viewElement.classList.remove('hidden');
-    if (tabElement) tabElement.classList.add('active');
+window.importBankStatement = function(input) {
+    const file = input.files[0];
+    if (!file) return;
     
-    // Update reports if needed
-    if (viewId !== 'transactions') {
-        updateReportsView();
-    }
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const text = e.target.result.replace(/^\uFEFF/, '');
+            const lines = /\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text) ? parseOfx(text) : parseBankCsv(text);
+            if (lines.length === 0) {
+                throw new Error('No statement lines found in this file');
+            }
+            const result = bankStatement.addLines(lines);
+            const matched = autoMatchBankLines();
+            bankReconMonth = null;
+            showStatusMessage(L.bank_import_success(result.count, result.duplicates, matched), 'green');
+            renderBankReconciliation();
+        } catch (error) {
+            showStatusMessage(`Error: ${error.message}`, 'red');
+        }
+        input.value = '';
+    };
+    reader.onerror = () => {
+        showStatusMessage(L.import_error('Failed to read file'), 'red');
+        input.value = '';
+    };
+    reader.readAsText(file);
 };
 
-// --- PDF GENERATION ---
-window.generatePDF = function(reportId, periodTitle, reportType) {
-    const reportElement = document.getElementById(reportId);
-    if (!reportElement) {
-        console.error("Report element not found:", reportId);
-        return;
-    }
-
-    showStatusMessage(L.pdf_generating(reportType), 'indigo');
-
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF('p', 'mm', 'a4');
-
-    html2canvas(reportElement, { 
-        scale: 2, 
-        logging: false,
-        useCORS: true,
-        backgroundColor: '#ffffff'
-    }).then(canvas => {
-        const imgData = canvas.toDataURL('image/png');
-        const pdfWidth = doc.internal.pageSize.getWidth();
-        const pdfHeight = doc.internal.pageSize.getHeight();
-        const imgHeight = canvas.height * pdfWidth / canvas.width;
-        
-        doc.addImage(imgData, 'PNG', 0, 0, pdfWidth, imgHeight);
-        const fileName = `${reportType}-${periodTitle.replace(/\s/g, '-')}.pdf`;
-        doc.save(fileName);
-        
-        showStatusMessage(L.pdf_success(fileName), 'green');
-    }).catch(error => {
-        console.error("Error generating PDF:", error);
-        showStatusMessage(L.pdf_error(error.message), 'red');
-    });
+window.runBankAutoMatch = function() {
+    showStatusMessage(L.bank_auto_match_result(autoMatchBankLines()), 'green');
+    renderBankReconciliation();
 };
 
-// --- DATA MANAGEMENT FUNCTIONS ---
-window.exportData = function() {
-    const success = transactionManager.exportToFile();
-    if (success) {
-        showStatusMessage(L.export_success, 'green');
-    } else {
-        showStatusMessage(L.export_error, 'red');
-    }
+window.unmatchBankLine = function(id) {
+    bankStatement.setMatch(id, null);
+    renderBankReconciliation();
 };
 
-window.importData = function(input) {
-    const file = input.files[0];
-    if (!file) return;
-    
-    if (!file.name.endsWith('.json')) {
-        showStatusMessage('Please select a JSON file', 'red');
+window.createFromBankLine = function(id) {
+    const line = bankStatement.getLine(id);
+    const category = document.getElementById(`bank-category-${id}`).value;
+    if (!line) return;
+    if (!category) {
+        showStatusMessage(L.bank_choose_account, 'red');
         return;
     }
     
-    showStatusMessage('Importing data...', 'indigo');
-    
-    transactionManager.importFromFile(file)
-        .then(result => {
-            showStatusMessage(L.import_success(result.count), 'green');
-            allTransactions = transactionManager.transactions;
-            renderTransactionList();
-            updateReportsView();
-            input.value = ''; // Reset file input
-        })
-        .catch(error => {
-            showStatusMessage(L.import_error(error), 'red');
-            input.value = ''; // Reset file input
+    try {
+        const transaction = transactionManager.saveTransaction({
+            date: line.date,
+            description: line.description,
+            category,
+            amount: Math.abs(line.amount),
+            entryType: 'cash'
         });
+        bankStatement.setMatch(id, transaction.id);
+    } catch (error) {
+        showStatusMessage(`Error: ${error.message}`, 'red');
+        return;
+    }
+    showStatusMessage(L.status_success, 'green');
+    allTransactions = transactionManager.transactions;
+    renderTransactionList();
+    renderBankReconciliation();
 };
 
-window.clearAllData = function() {
-    if (confirm(L.clear_confirm || 'Are you sure you want to delete ALL transactions? This cannot be undone.')) {
-        transactionManager.clearAll();
-        allTransactions = [];
-        showStatusMessage(L.clear_success || 'All data cleared successfully.', 'green');
-        renderTransactionList();
-        updateReportsView();
-        resetForm();
-    } else {
-        showStatusMessage(L.clear_cancelled || 'Data clearance cancelled.', 'blue');
-    }
+window.setBankReconMonth = function(month) {
+    if (!month) return;
+    bankReconMonth = month;
+    renderBankReconciliation();
+};
+
+window.clearBankStatement = function() {
+    if (!confirm(L.bank_clear_confirm)) return;
+    bankStatement.clearAll();
+    bankReconMonth = null;
+    renderBankReconciliation();
 };
 
 // --- INITIALIZATION ---
 function initializeApp() {
+    // Encrypted data stays unreadable until the passphrase is entered
+    if (secureStorage.isLocked()) promptUnlock();
+    
+    // IndexedDB loads asynchronously; nothing can render until the ledger is in memory.
+    // If the ledger cannot be read the app does not start, so nothing overwrites it.
+    transactionManager.ready.then(startApp, error => reportStorageError(error, L.storage_load_error));
+}
+
+function startApp() {
     // Load transactions
     allTransactions = transactionManager.transactions;
     
@@ -1250,6 +8216,24 @@ function initializeApp() {
     // Set up event listeners
     document.getElementById('transaction-form').addEventListener('submit', saveTransaction);
     document.getElementById('report-month').addEventListener('change', updateReportsView);
+    document.getElementById('report-start').addEventListener('change', updateReportsView);
+    document.getElementById('report-end').addEventListener('change', updateReportsView);
+    document.getElementById('report-compare').addEventListener('change', updateReportsView);
+    document.getElementById('report-period-type').addEventListener('change', () => {
+        updateReportPeriodControls();
+        updateReportsView();
+    });
+    document.getElementById('payment-status').addEventListener('change', (e) => updatePaymentStatusFields(e.target.value));
+    document.getElementById('category').addEventListener('change', () => {
+        categoryAutoFilled = false;
+        document.getElementById('category-suggestion').classList.add('hidden');
+        updateAssetFields();
+        updateLoanFields();
+    });
+    document.getElementById('description').addEventListener('input', updateCategorySuggestion);
+    document.getElementById('amount').addEventListener('input', updateCategorySuggestion);
+    updatePaymentStatusFields('cash');
+    processRecurringTransactions();
     
     // Initial render
     renderTransactionList();
@@ -1260,8 +8244,8 @@ function initializeApp() {
 // Start the application
 document.addEventListener('DOMContentLoaded', () => {
     // Check for saved language
-    const savedLanguage = localStorage.getItem('appLanguage') || 'en';
-    const shouldShowModal = !localStorage.getItem('appLanguage');
+    const savedLanguage = localStorage.getItem(companyManager.scopedKey('appLanguage')) || 'en';
+    const shouldShowModal = !localStorage.getItem(companyManager.scopedKey('appLanguage'));
     
     if (shouldShowModal) {
         showLanguageModal();